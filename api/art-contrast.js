@@ -0,0 +1,93 @@
+// api/art-contrast.js
+// Catch art that will disappear on the garment (black ink on BLACK/VINTAGEBLACK) before
+// the order reaches Printful. Each file is downsampled, and every opaque pixel's
+// luminance is compared with the garment's colorHexMap hex using the WCAG contrast
+// ratio. A file fails when too little of its opaque area stands out.
+//
+// ART_CONTRAST_POLICY      warn (default) — record failures in the trace only
+//                          hold — also hold the order and flag it in Shopify for review
+//                          off  — skip the check
+// ART_CONTRAST_MIN_RATIO   contrast a pixel needs to count as visible (default 1.5)
+// ART_CONTRAST_MIN_VISIBLE share of opaque pixels that must be visible (default 0.2)
+import sharp from "sharp";
+import { garmentHex, hexLuminance, relativeLuminance, contrastRatio } from "./image-utils.js";
+
+export const ART_CONTRAST_POLICIES = ["warn", "hold", "off"];
+export const CONTRAST_HOLD_TAG = "printful-contrast-hold";
+
+const SAMPLE_SIZE = 200;
+const OPAQUE_ALPHA = 128;
+
+function numberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/** Policy and thresholds from env. Unknown policies fall back to `warn`. */
+export function resolveContrastPolicy() {
+  const raw = String(process.env.ART_CONTRAST_POLICY || "warn").toLowerCase();
+  return {
+    policy: ART_CONTRAST_POLICIES.includes(raw) ? raw : "warn",
+    minRatio: numberEnv("ART_CONTRAST_MIN_RATIO", 1.5),
+    minVisible: numberEnv("ART_CONTRAST_MIN_VISIBLE", 0.2),
+  };
+}
+
+/**
+ * Measure one art file against a garment hex. Returns
+ * { opaque_fraction, visible_fraction, median_ratio, ok, reason }.
+ */
+export async function analyzeArtContrast(buffer, hex, { minRatio, minVisible }) {
+  const { data, info } = await sharp(buffer)
+    .resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const garmentLum = hexLuminance(hex);
+  const ratios = [];
+  for (let i = 0; i < data.length; i += info.channels) {
+    if (data[i + 3] < OPAQUE_ALPHA) continue;
+    ratios.push(contrastRatio(relativeLuminance(data[i], data[i + 1], data[i + 2]), garmentLum));
+  }
+  const total = info.width * info.height;
+  if (ratios.length === 0) {
+    return { opaque_fraction: 0, visible_fraction: 0, median_ratio: null, ok: false, reason: "no_opaque_pixels" };
+  }
+  ratios.sort((a, b) => a - b);
+  const visible = ratios.filter((r) => r >= minRatio).length / ratios.length;
+  const round = (v) => Math.round(v * 1000) / 1000;
+  return {
+    opaque_fraction: round(ratios.length / total),
+    visible_fraction: round(visible),
+    median_ratio: round(ratios[Math.floor(ratios.length / 2)]),
+    ok: visible >= minVisible,
+    reason: visible >= minVisible ? null : "low_contrast",
+  };
+}
+
+/**
+ * Check every file of a line item. `files` is [{ placement, buffer }].
+ * Returns { garment_hex, files: [{ placement, ...analysis }], ok }, or a skipped result
+ * when the garment color isn't in colorHexMap.
+ */
+export async function checkLineItemContrast({ color, files }, settings = resolveContrastPolicy()) {
+  const { hex, matched } = garmentHex(color);
+  if (!matched) return { garment_hex: null, files: [], ok: true, skipped: "unknown_garment_color" };
+  const results = [];
+  for (const f of files) {
+    results.push({ placement: f.placement, ...(await analyzeArtContrast(f.buffer, hex, settings)) });
+  }
+  return { garment_hex: hex, files: results, ok: results.every((r) => r.ok) };
+}
+
+/** Tag and note for an order held by the contrast check. */
+export function buildContrastHoldFlag(issues) {
+  const listed = issues
+    .map((i) => `${i.sku || i.line_item_id} ${i.placement} on ${i.garment_hex} (${Math.round(i.visible_fraction * 100)}% visible)`)
+    .join(", ");
+  return {
+    tag: CONTRAST_HOLD_TAG,
+    note: `[Printful] Order held for art review: ${issues.length} file(s) may not show on the garment color. ${listed}`,
+  };
+}
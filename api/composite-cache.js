@@ -0,0 +1,107 @@
+// api/composite-cache.js
+// Reuse number/name composites across orders. A composite's file name carries a hash of
+// everything that went into it: the source art and font (by URL plus ETag), the layout
+// section, the text, and COMPOSITE_RENDER_VERSION. When the hash has been seen before the
+// existing object is reused: no downloads, no compositing, no upload. (Its Printful file ID
+// comes from printful-file-registry.js, with the hash as the composite's version.)
+//
+// With R2 configured, each composite has a record at _composites/{hash}.json. Without R2
+// (upload API), an existing composite is found with a HEAD on its public URL.
+//
+// COMPOSITE_CACHE   on (default) | off — always render and upload
+import crypto from "crypto";
+import { hasR2Config, getJsonObject, putJsonObject } from "./r2-store.js";
+
+// Bump when the rendering code changes output for the same inputs (text-render.js,
+// template-layout.js), so old composites aren't reused.
+export const COMPOSITE_RENDER_VERSION = 1;
+
+const RECORD_PREFIX = "_composites/";
+
+export function compositeCacheEnabled() {
+  return String(process.env.COMPOSITE_CACHE || "on").toLowerCase() !== "off";
+}
+
+/** ETag (or Last-Modified) from response headers, or null when the server sends neither. */
+export function validatorFromHeaders(headers) {
+  const etag = headers?.get?.("etag");
+  if (etag) return etag.replace(/^W\//, "");
+  const modified = headers?.get?.("last-modified");
+  return modified ? `lm:${modified}` : null;
+}
+
+/** HEAD `url` for its validator. Null when the request fails or has no validator. */
+export async function sourceValidator(url) {
+  try {
+    const r = await fetch(url, { method: "HEAD" });
+    return r.ok ? validatorFromHeaders(r.headers) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash of a composite's inputs. `sources` is [{ url, validator }]; returns null when any
+ * source has no validator, because then a changed source would still get the old composite.
+ */
+export function compositeHash({ kind, sources, layout, text }) {
+  if (sources.some((s) => !s.validator)) return null;
+  const input = JSON.stringify({
+    v: COMPOSITE_RENDER_VERSION,
+    kind,
+    sources: sources.map((s) => [s.url, s.validator]),
+    layout,
+    text,
+  });
+  return crypto.createHash("sha256").update(input).digest("hex").slice(0, 16);
+}
+
+function recordKey(hash) {
+  return `${RECORD_PREFIX}${hash}.json`;
+}
+
+/** Existing composite for `hash`: { url, ... } or null. */
+async function findComposite(hash, publicUrl) {
+  if (hasR2Config()) {
+    const record = await getJsonObject(recordKey(hash));
+    return record?.url ? record : null;
+  }
+  if (!publicUrl) return null;
+  const r = await fetch(publicUrl, { method: "HEAD" });
+  return r.ok ? { url: publicUrl } : null;
+}
+
+/**
+ * Reuse or build a composite. `fileName(hash)` names it (hash is null when uncacheable),
+ * `build()` returns { png, ...details } and `upload(fileName, png)` returns the upload result
+ * with `url`. Returns { url, hash, cached, png, details, upload }; `png`,
+ * `details` and `upload` are only set when the composite was built in this call.
+ */
+export async function getOrCreateComposite({ kind, sources, layout, text, fileName, publicUrl, build, upload }) {
+  const hash = compositeCacheEnabled() ? compositeHash({ kind, sources, layout, text }) : null;
+  if (hash) {
+    try {
+      const existing = await findComposite(hash, publicUrl(fileName(hash)));
+      if (existing) return { url: existing.url, hash, cached: true, png: null, details: null, upload: null };
+    } catch (err) {
+      console.warn("[composite-cache] lookup failed, rendering", hash, err?.message);
+    }
+  }
+
+  const { png, ...details } = await build();
+  const name = fileName(hash);
+  const uploaded = await upload(name, png);
+  if (!uploaded?.url) throw new Error("Composite upload succeeded but no public URL was resolved");
+  if (hash && hasR2Config()) {
+    await putJsonObject(recordKey(hash), {
+      hash,
+      kind,
+      url: uploaded.url,
+      file_name: name,
+      sources,
+      text,
+      created_at: new Date().toISOString(),
+    }).catch((err) => console.warn("[composite-cache] record write failed", hash, err?.message));
+  }
+  return { url: uploaded.url, hash, cached: false, png, details, upload: uploaded };
+}
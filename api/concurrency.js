@@ -0,0 +1,43 @@
+// api/concurrency.js
+// Bounded concurrency for order processing.
+//
+// LINE_ITEM_CONCURRENCY        line items resolved at once (default 4). Each one may hold a few
+//                              decoded images while compositing, so mind the function's memory.
+// PLACEMENT_CHECK_CONCURRENCY  placement HEAD checks at once within a line item (default 4)
+
+function limitFromEnv(name, fallback) {
+  const value = Math.floor(Number(process.env[name]));
+  return Number.isFinite(value) && value >= 1 ? value : fallback;
+}
+
+export function lineItemConcurrency() {
+  return limitFromEnv("LINE_ITEM_CONCURRENCY", 4);
+}
+
+export function placementCheckConcurrency() {
+  return limitFromEnv("PLACEMENT_CHECK_CONCURRENCY", 4);
+}
+
+/**
+ * `fn(item, index)` for every item, at most `limit` at a time. Resolves to the results in
+ * input order; rejects with the first error once the calls already running have settled.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+  async function worker() {
+    while (next < items.length && !failure) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failure = failure || { err };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  if (failure) throw failure.err;
+  return results;
+}
@@ -1,22 +1,7 @@
 // /api/debug.js
 import crypto from "crypto";
-import { productColorSizeToVariant } from "./variant-map.js";
-
-function parseStructuredSku(rawSku = "") {
-  const sku = String(rawSku).trim();
-  const parts = sku.split("_");
-  if (parts.length < 4) return null;
-  const templateRef = String(parts[0] || "").trim();
-  const productCode = parts[1];
-  const size = parts[parts.length - 1];
-  const color = parts.slice(2, -1).join("_");
-  if (!templateRef) return null;
-  const normalize = (s) => String(s).toUpperCase().replace(/[^A-Z0-9]/g, "");
-  return {
-    templateRef,
-    variantKey: [productCode, color, size].map(normalize).join("_"),
-  };
-}
+import { getVariantMap } from "./variant-map-store.js";
+import { parseSku } from "./sku-grammar.js";
 
 export default async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).send("Method Not Allowed");
@@ -57,18 +42,27 @@ export default async function handler(req, res) {
   };
 
   // ---- Map items
+  const { version: variantMapVersion, map: variantMap } = await getVariantMap();
   const missing = [];
-  const mappedItems = (order.line_items || []).map((li) => {
-    const parsed = parseStructuredSku(li?.sku);
-    const vId = parsed ? productColorSizeToVariant[parsed.variantKey] : undefined;
-    if (!vId) missing.push(li?.sku || `(no sku: ${li?.title})`);
-    return vId ? {
-      variant_id: vId,
-      quantity: li.quantity ?? 1,
-      _sku: li.sku,
-      _variant_key: parsed?.variantKey,
-      _template_ref: parsed?.templateRef
-    } : null;
+  const mappedItems = (order.line_items || []).flatMap((li) => {
+    const parsed = parseSku(li?.sku);
+    if (!parsed) {
+      missing.push(li?.sku || `(no sku: ${li?.title})`);
+      return [];
+    }
+    // Bundle SKUs become one item per component, same as the live handler.
+    return parsed.components.map((c) => {
+      const vId = variantMap[c.variantKey];
+      if (!vId) missing.push(li?.sku || `(no sku: ${li?.title})`);
+      return vId ? {
+        variant_id: vId,
+        quantity: li.quantity ?? 1,
+        _sku: li.sku,
+        _sku_pattern: parsed.pattern,
+        _variant_key: c.variantKey,
+        _template_ref: parsed.templateRef
+      } : null;
+    });
   }).filter(Boolean);
 
   const printfulOrder = {
@@ -86,6 +80,7 @@ export default async function handler(req, res) {
     mapped_items: mappedItems,        // includes _sku for your reference
     missing_skus: missing,
     printful_payload: printfulOrder,  // what /orders would receive
+    variant_map_version: variantMapVersion,
     env: {
       has_token: Boolean(process.env.PRINTFUL_API_TOKEN),
       store_id: process.env.PRINTFUL_STORE_ID || null,
@@ -0,0 +1,251 @@
+// api/embroidery.js
+// Embroidery for products that offer it (hats): which technique an item uses, the thread
+// colors Printful needs for each embroidered file, and a rough stitch count.
+//
+// Technique, first match wins:
+//   1. the template's layout file: "embroidery": { "technique": "embroidery" | "dtf" }
+//   2. TECHNIQUE_POLICY (JSON object keyed by product code, "*" for the rest; default {"*":"dtf"})
+// `dtf` uses the product's DTF hat slot when it has one, otherwise the product's default
+// technique. `embroidery` uses EMBROIDERY when the product offers it.
+//
+// Thread colors per file come from the layout file ("thread_colors": a hex list for every
+// file, or lists keyed by placement), or are matched from the art: each opaque pixel is mapped
+// to the nearest thread in the product's palette (catalog `thread_colors` option values, or
+// Printful's standard threads), and threads covering enough of the art are kept.
+//
+// EMBROIDERY_MAX_THREAD_COLORS  threads per file (default 6)
+// EMBROIDERY_MAX_STITCHES       estimated stitches per file before preflight reports
+//                               `stitch_limit_exceeded` (default 15000). Printful's catalog
+//                               does not publish a limit, so this is configured here (or per
+//                               template as "max_stitches").
+import sharp from "sharp";
+
+// Printful's standard embroidery threads.
+export const PRINTFUL_THREAD_COLORS = {
+  "#FFFFFF": "1801 White",
+  "#000000": "1800 Black",
+  "#96A1A8": "1718 Grey",
+  "#A67843": "1672 Old Gold",
+  "#FFCC00": "1951 Gold",
+  "#E25C27": "1987 Orange",
+  "#CC3366": "1910 Flamingo",
+  "#CC3333": "1839 Red",
+  "#660000": "1784 Maroon",
+  "#333366": "1966 Navy",
+  "#005397": "1842 Royal",
+  "#3399FF": "1695 Aqua/Teal",
+  "#6B5294": "1832 Purple",
+  "#01784E": "1751 Kelly Green",
+  "#7BA35A": "1848 Kiwi Green",
+};
+
+export const TECHNIQUE_POLICIES = ["dtf", "embroidery"];
+
+const SAMPLE_SIZE = 200;
+const OPAQUE_ALPHA = 128;
+// Share of the art's opaque pixels a thread needs before it is used.
+const MIN_THREAD_SHARE = 0.02;
+// Fill stitching runs at roughly this many stitches per square inch.
+const STITCHES_PER_SQUARE_INCH = 2000;
+
+function numberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function embroiderySettings(templateEmbroidery = null) {
+  return {
+    maxThreadColors: numberEnv("EMBROIDERY_MAX_THREAD_COLORS", 6),
+    maxStitches: Number(templateEmbroidery?.max_stitches) > 0
+      ? Number(templateEmbroidery.max_stitches)
+      : numberEnv("EMBROIDERY_MAX_STITCHES", 15000),
+  };
+}
+
+/** Technique policy for a product: `dtf` or `embroidery`, and where it came from. */
+export function resolveTechniquePolicy(productCode, templateEmbroidery = null) {
+  const fromTemplate = String(templateEmbroidery?.technique || "").toLowerCase();
+  if (TECHNIQUE_POLICIES.includes(fromTemplate)) return { policy: fromTemplate, source: "template" };
+  let table = {};
+  if (process.env.TECHNIQUE_POLICY) {
+    try {
+      table = JSON.parse(process.env.TECHNIQUE_POLICY) || {};
+    } catch {
+      console.warn("[embroidery] TECHNIQUE_POLICY is not valid JSON; using dtf");
+    }
+  }
+  const entry = table[String(productCode || "").toUpperCase()] ?? table["*"];
+  const raw = String(entry ?? "dtf").toLowerCase();
+  return { policy: TECHNIQUE_POLICIES.includes(raw) ? raw : "dtf", source: entry ? "env" : "default" };
+}
+
+function hasTechnique(product, key) {
+  return Array.isArray(product?.techniques) && product.techniques.some((t) => t?.key === key);
+}
+
+function fileType(product, type) {
+  return Array.isArray(product?.files) && product.files.some((f) => f?.type === type || f?.id === type) ? type : null;
+}
+
+/**
+ * Main file slot and technique for a catalog product under `policy`:
+ * { fileType, technique, embroidery } or null for the product's plain default.
+ * Yupoong 6245CM (catalog) is EMBROIDERY by default; with DTFILM available the DTF front slot
+ * is `front_dtf_hat`.
+ */
+export function resolveMainTechnique(product, policy) {
+  if (!product || typeof product !== "object") return null;
+  const dtfSlot = hasTechnique(product, "DTFILM") ? fileType(product, "front_dtf_hat") : null;
+  const embroideryDefault = Array.isArray(product.techniques)
+    && product.techniques.some((t) => t?.key === "EMBROIDERY" && t.is_default);
+  const embroidery = {
+    fileType: fileType(product, "embroidery_front") || "default",
+    technique: "EMBROIDERY",
+    embroidery: true,
+  };
+  if (policy === "embroidery" && hasTechnique(product, "EMBROIDERY")) return embroidery;
+  if (dtfSlot) return { fileType: dtfSlot, technique: "DTFILM", embroidery: false };
+  return embroideryDefault ? embroidery : null;
+}
+
+/** Thread palette for a product: { "#RRGGBB": name } from its catalog options, else Printful's standard threads. */
+export function threadPalette(product) {
+  const option = (product?.options || []).find((o) => o?.id === "thread_colors");
+  const values = option?.values && typeof option.values === "object" && !Array.isArray(option.values) ? option.values : null;
+  if (values && Object.keys(values).length > 0) {
+    return Object.fromEntries(Object.entries(values).map(([hex, name]) => [hex.toUpperCase(), String(name)]));
+  }
+  return PRINTFUL_THREAD_COLORS;
+}
+
+/**
+ * Order item option id holding the thread colors for a placement: `thread_colors` for the main
+ * file, `thread_colors_{area}` for embroidery_{area}. Null when the catalog lists options and
+ * this one isn't among them.
+ */
+export function threadOptionId(placement, product, mainFileType) {
+  const id = placement === mainFileType || placement === "default" || placement === "embroidery_front"
+    ? "thread_colors"
+    : `thread_colors_${String(placement).replace(/^embroidery_/, "")}`;
+  const options = product?.options;
+  if (Array.isArray(options) && options.length > 0 && !options.some((o) => o?.id === id)) return null;
+  return id;
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Weighted RGB distance ("redmean"): close enough to perceived difference for picking threads.
+function colorDistance([r1, g1, b1], [r2, g2, b2]) {
+  const rMean = (r1 + r2) / 2;
+  const dr = r1 - r2;
+  const dg = g1 - g2;
+  const db = b1 - b2;
+  return Math.sqrt((2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db);
+}
+
+/**
+ * Threads for one art file: { colors, coverage, opaque_fraction, max_distance }. `colors` are
+ * palette hexes ordered by how much of the art they cover (at most `maxThreadColors`).
+ */
+export async function matchThreadColors(buffer, palette, { maxThreadColors }) {
+  const { data, info } = await sharp(buffer)
+    .resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const threads = Object.keys(palette).map((hex) => ({ hex, rgb: hexToRgb(hex) }));
+  const counts = new Map();
+  let opaque = 0;
+  let maxDistance = 0;
+  for (let i = 0; i < data.length; i += info.channels) {
+    if (data[i + 3] < OPAQUE_ALPHA) continue;
+    opaque += 1;
+    const px = [data[i], data[i + 1], data[i + 2]];
+    let best = null;
+    let bestDistance = Infinity;
+    for (const t of threads) {
+      const d = colorDistance(px, t.rgb);
+      if (d < bestDistance) {
+        best = t.hex;
+        bestDistance = d;
+      }
+    }
+    counts.set(best, (counts.get(best) || 0) + 1);
+    maxDistance = Math.max(maxDistance, bestDistance);
+  }
+  const round = (v) => Math.round(v * 1000) / 1000;
+  const coverage = [...counts.entries()]
+    .map(([hex, n]) => ({ hex, name: palette[hex], share: round(n / Math.max(opaque, 1)) }))
+    .sort((a, b) => b.share - a.share);
+  const colors = coverage.filter((c) => c.share >= MIN_THREAD_SHARE).slice(0, maxThreadColors).map((c) => c.hex);
+  return {
+    colors: colors.length > 0 ? colors : coverage.slice(0, 1).map((c) => c.hex),
+    coverage,
+    opaque_fraction: round(opaque / (info.width * info.height)),
+    max_distance: Math.round(maxDistance),
+  };
+}
+
+/**
+ * Rough stitch count for art printed on `printArea` ({ width, height, dpi }): the art's opaque
+ * share of the area, in square inches, times a fill density. Null without a print area.
+ */
+export async function estimateStitches(buffer, printArea) {
+  if (!printArea?.width || !printArea?.height || !printArea?.dpi) return null;
+  const { data, info } = await sharp(buffer)
+    .resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  let opaque = 0;
+  for (let i = 3; i < data.length; i += info.channels) if (data[i] >= OPAQUE_ALPHA) opaque += 1;
+  const meta = await sharp(buffer).metadata();
+  // Printful fits the art inside the print area, keeping its aspect ratio.
+  const scale = Math.min(printArea.width / meta.width, printArea.height / meta.height);
+  const artSquareInches = ((meta.width * scale) / printArea.dpi) * ((meta.height * scale) / printArea.dpi);
+  return Math.round((opaque / (info.width * info.height)) * artSquareInches * STITCHES_PER_SQUARE_INCH);
+}
+
+function configuredThreads(templateEmbroidery, placement, mainFileType) {
+  const configured = templateEmbroidery?.thread_colors;
+  if (!configured) return null;
+  if (Array.isArray(configured)) return configured;
+  const key = placement === mainFileType ? (configured[placement] ? placement : "default") : placement;
+  return configured[key] ?? configured["*"] ?? null;
+}
+
+/**
+ * Thread color options for an embroidered item. `files` is [{ placement, buffer }].
+ * Returns { options, files: [{ placement, option_id, source, colors, ... }], errors }.
+ * Configured colors must be in the palette; files whose placement has no thread option
+ * are reported in `errors`.
+ */
+export async function resolveThreadColors({ files, product, mainFileType, templateEmbroidery = null }, settings = embroiderySettings(templateEmbroidery)) {
+  const palette = threadPalette(product);
+  const options = [];
+  const results = [];
+  const errors = [];
+  for (const f of files) {
+    const optionId = threadOptionId(f.placement, product, mainFileType);
+    if (!optionId) {
+      errors.push(`${f.placement}: product has no thread color option for this placement`);
+      continue;
+    }
+    const configured = configuredThreads(templateEmbroidery, f.placement, mainFileType);
+    if (configured) {
+      const colors = configured.map((c) => String(c).toUpperCase());
+      const unknown = colors.filter((c) => !(c in palette));
+      if (unknown.length > 0) errors.push(`${f.placement}: ${unknown.join(", ")} not in the thread palette`);
+      options.push({ id: optionId, value: colors });
+      results.push({ placement: f.placement, option_id: optionId, source: "template", colors });
+      continue;
+    }
+    const match = await matchThreadColors(f.buffer, palette, settings);
+    options.push({ id: optionId, value: match.colors });
+    results.push({ placement: f.placement, option_id: optionId, source: "matched", ...match });
+  }
+  return { options, files: results, errors };
+}
@@ -0,0 +1,47 @@
+// api/image-utils.js
+// Art fetching and garment color helpers shared by order previews and the contrast check.
+import { colorHexMap } from "./variant-map.js";
+import { normalizeSkuSegment } from "./sku-grammar.js";
+
+const FALLBACK_HEX = "#D9D9D9";
+
+/** Garment color for a SKU color segment: { hex, matched }. Unknown colors fall back to neutral grey. */
+export function garmentHex(color) {
+  const hex = colorHexMap[normalizeSkuSegment(color)];
+  return hex ? { hex, matched: true } : { hex: FALLBACK_HEX, matched: false };
+}
+
+/** Per-order cache (url → Promise<Buffer>) so art shared by several items is fetched once. */
+export function createImageCache() {
+  return new Map();
+}
+
+export function loadImage(url, cache = createImageCache()) {
+  if (!cache.has(url)) {
+    cache.set(url, (async () => {
+      const r = await fetch(url);
+      if (!r.ok) throw new Error(`Image fetch failed (${r.status}) for ${url}`);
+      return Buffer.from(await r.arrayBuffer());
+    })());
+  }
+  return cache.get(url);
+}
+
+/** WCAG relative luminance of an sRGB triple (0–255 channels). */
+export function relativeLuminance(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map((v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+export function hexLuminance(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(String(hex).slice(i, i + 2), 16));
+  return relativeLuminance(r, g, b);
+}
+
+/** WCAG contrast ratio between two luminances, 1 (none) to 21. */
+export function contrastRatio(l1, l2) {
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
@@ -0,0 +1,35 @@
+// api/order-cancellations.js
+// Shopify cancellations that may arrive before the Printful order exists. orders/cancelled runs
+// as its own order job, so it can run while the order's create job is still pending, running or
+// backing off after an error; the cancel then finds no Printful order. The cancel handler
+// records the cancellation here, and the create flow (order-pipeline.js) checks it before it
+// resolves the order, before it creates the Printful draft and before it confirms it:
+//   _cancelled/{external_id}.json   { external_id, shopify_order_id, reason, cancelled_at }
+// Records are kept; an R2 lifecycle rule on _cancelled/ can expire them.
+import { hasR2Config, getJsonObject, putJsonObject } from "./r2-store.js";
+
+const PREFIX = "_cancelled/";
+
+function cancellationKey(externalId) {
+  const safeId = String(externalId || "unknown").replace(/[^A-Za-z0-9_-]/g, "-");
+  return `${PREFIX}${safeId}.json`;
+}
+
+/** Record that the Shopify order behind `externalId` was cancelled. Returns the record, or null without R2. */
+export async function recordOrderCancellation(externalId, { shopifyOrderId = null, reason } = {}) {
+  if (!hasR2Config()) return null;
+  const record = {
+    external_id: externalId,
+    shopify_order_id: shopifyOrderId,
+    reason: reason || null,
+    cancelled_at: new Date().toISOString(),
+  };
+  await putJsonObject(cancellationKey(externalId), record);
+  return record;
+}
+
+/** The cancellation record for `externalId`, or null when the order wasn't cancelled (or there is no R2). */
+export async function getOrderCancellation(externalId) {
+  if (!hasR2Config()) return null;
+  return getJsonObject(cancellationKey(externalId));
+}
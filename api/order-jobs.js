@@ -0,0 +1,237 @@
+// api/order-jobs.js
+// Durable order jobs, so the webhook can answer Shopify within its 5-second window. The
+// webhook verifies a delivery, stores the order here and acknowledges it; the order worker
+// (api/order-worker.js) runs the pipeline (order-pipeline.js) from the stored job.
+// Jobs live in the same R2 bucket as the order logs:
+//   _jobs/pending/{id}.json   waiting to run: new, or rerunning after an error
+//   _jobs/running/{id}.json   claimed by a worker until lease_until
+//   _jobs/done/{id}.json      the pipeline finished; `result` is its response (which may be a
+//                             held or failed order — that outcome is final)
+//   _jobs/failed/{id}.json    errored on every attempt of the backoff schedule
+//   _jobs/claims/{id}.{n}.json  written (conditionally) by the worker that takes attempt n, so
+//                             a worker kicked by the webhook and a scheduled run that both
+//                             list the job can't both run it
+// `steps` holds the pipeline's completed steps, so a rerun resumes where the last one stopped.
+//
+// ORDER_PROCESSING            async (default with R2) | inline — run the pipeline in the webhook
+// ORDER_JOB_BACKOFF_MINUTES   wait before each rerun of an errored job (default "1,5,15,60")
+// ORDER_JOB_LEASE_SECONDS     a running job untouched for this long is resumed by the next
+//                             worker run (default 300; keep it above the function timeout)
+import crypto from "crypto";
+import { hasR2Config, getJsonObject, putJsonObject, putJsonObjectIfAbsent, deleteObject, listKeys } from "./r2-store.js";
+import { runOrderPipeline } from "./order-pipeline.js";
+
+const JOB_PREFIX = "_jobs";
+export const ORDER_JOB_STATUSES = ["pending", "running", "done", "failed"];
+
+/** `async` when jobs can be stored, else `inline`. */
+export function orderProcessingMode() {
+  const mode = String(process.env.ORDER_PROCESSING || "async").toLowerCase();
+  return mode === "async" && hasR2Config() ? "async" : "inline";
+}
+
+function jobKey(status, id) {
+  const safeId = String(id || "unknown").replace(/[^A-Za-z0-9_-]/g, "-");
+  return `${JOB_PREFIX}/${status}/${safeId}.json`;
+}
+
+function claimKey(id, attempt) {
+  const safeId = String(id || "unknown").replace(/[^A-Za-z0-9_-]/g, "-");
+  return `${JOB_PREFIX}/claims/${safeId}.${attempt}.json`;
+}
+
+function backoffMinutes() {
+  const raw = process.env.ORDER_JOB_BACKOFF_MINUTES || "1,5,15,60";
+  const parsed = raw.split(",").map((v) => Number(v.trim())).filter((n) => Number.isFinite(n) && n >= 0);
+  return parsed.length > 0 ? parsed : [1];
+}
+
+function leaseMs() {
+  const seconds = Number(process.env.ORDER_JOB_LEASE_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 300) * 1000;
+}
+
+async function moveJob(job, fromStatus, toStatus) {
+  job.status = toStatus;
+  job.updated_at = new Date().toISOString();
+  await putJsonObject(jobKey(toStatus, job.id), job);
+  if (fromStatus !== toStatus) await deleteObject(jobKey(fromStatus, job.id));
+}
+
+/**
+ * Store a verified delivery as a pending job and return it. Ids sort by arrival, so the
+ * worker takes jobs oldest first. Throws when the job can't be written: the webhook must
+ * not acknowledge an order it hasn't stored.
+ */
+export async function createOrderJob({ order, topic, shopDomain, webhookId = null }) {
+  const now = new Date();
+  const id = `${now.toISOString().replace(/[-:.TZ]/g, "")}-${order?.id ?? "order"}-${crypto.randomBytes(3).toString("hex")}`;
+  const job = {
+    id,
+    status: "pending",
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    received_at: now.toISOString(),
+    topic: topic || null,
+    shop_domain: shopDomain || null,
+    webhook_id: webhookId,
+    order,
+    steps: {},
+    attempt_count: 0,
+    attempts: [],
+    next_attempt_at: now.toISOString(),
+    lease_until: null,
+    result: null,
+  };
+  await putJsonObject(jobKey("pending", id), job);
+  console.log("[order-jobs] queued", id, { topic: job.topic, orderId: order?.id ?? null });
+  return job;
+}
+
+/**
+ * Take the job's next attempt: a conditional write of its claim key, which only one worker can
+ * win. Every attempt has its own key, so a worker holding a stale copy of the job (one whose
+ * attempt already ran) loses too. Claims are kept; an R2 lifecycle rule can expire them.
+ */
+async function claimOrderJob(job, fromStatus) {
+  const attempt = (job.attempt_count || 0) + 1;
+  const claimed = await putJsonObjectIfAbsent(claimKey(job.id, attempt), {
+    job_id: job.id,
+    attempt,
+    from_status: fromStatus,
+    claimed_at: new Date().toISOString(),
+  });
+  if (!claimed) console.log("[order-jobs] already claimed by another worker", job.id, { attempt });
+  return claimed;
+}
+
+/**
+ * Run a job through the pipeline. The job moves to running/ with a lease, and every
+ * completed step is written back (renewing the lease). A run that throws goes back to
+ * pending/ for the next backoff slot, or to failed/ when the schedule is exhausted.
+ * Returns null when another worker claimed the attempt first.
+ */
+async function runOrderJob(job, fromStatus) {
+  if (!(await claimOrderJob(job, fromStatus))) return null;
+  const startedAt = new Date();
+  job.attempt_count = (job.attempt_count || 0) + 1;
+  job.lease_until = new Date(startedAt.getTime() + leaseMs()).toISOString();
+  await moveJob(job, fromStatus, "running");
+
+  // Line items finish concurrently; writes are chained so a later snapshot never lands first.
+  let lastWrite = Promise.resolve();
+  const checkpoint = () => {
+    lastWrite = lastWrite.catch(() => {}).then(() => {
+      job.lease_until = new Date(Date.now() + leaseMs()).toISOString();
+      job.updated_at = new Date().toISOString();
+      return putJsonObject(jobKey("running", job.id), job);
+    });
+    return lastWrite;
+  };
+
+  let outcome;
+  try {
+    const { response } = await runOrderPipeline(job, { checkpoint });
+    outcome = { ok: true, response };
+  } catch (err) {
+    console.error("[order-jobs] run failed", job.id, err);
+    outcome = { ok: false, error: String(err?.message || err) };
+  }
+
+  await lastWrite.catch(() => {});
+  job.attempts.push({
+    at: startedAt.toISOString(),
+    ok: outcome.ok,
+    error: outcome.error || null,
+    completed_steps: Object.keys(job.steps || {}),
+  });
+  job.lease_until = null;
+  let toStatus;
+  if (outcome.ok) {
+    job.result = outcome.response ?? null;
+    job.next_attempt_at = null;
+    toStatus = "done";
+  } else {
+    const schedule = backoffMinutes();
+    const delay = schedule[job.attempt_count - 1];
+    job.next_attempt_at = delay === undefined ? null : new Date(Date.now() + delay * 60_000).toISOString();
+    toStatus = job.next_attempt_at ? "pending" : "failed";
+  }
+  await moveJob(job, "running", toStatus);
+  return { id: job.id, status: toStatus, ok: outcome.ok, result: job.result, error: outcome.error || null };
+}
+
+function isDue(job, status, now) {
+  if (status === "running") return !job.lease_until || new Date(job.lease_until) <= now;
+  return !job.next_attempt_at || new Date(job.next_attempt_at) <= now;
+}
+
+/**
+ * Why a done job can't be re-driven, or null. A job that finished ok (its order submitted, or its
+ * follow-up topic handled) or handed its order to the Printful retry queue would act on the
+ * order twice; a held order, or one with no valid items, can rerun.
+ */
+function redriveBlocker(job) {
+  if (job.result?.ok) return "it already finished ok";
+  if (job.result?.retry_queued) return "the order is in the Printful retry queue; re-drive it from /api/printful-retries";
+  return null;
+}
+
+/**
+ * Run due jobs: pending ones whose next_attempt_at has passed, and running ones whose lease
+ * expired (their worker died or timed out mid-run). With `jobId`, runs only that job;
+ * `force` also runs it early, while its lease is live, or from failed/ or done/ (a re-drive:
+ * the rerun resumes from the job's saved steps). A done job is only re-driven when it didn't
+ * submit its order (see redriveBlocker). `release` forces the job and records `released_at`
+ * on it, so the pipeline submits an order held by the partial-order or contrast policy
+ * instead of holding it again.
+ */
+export async function processOrderJobs({ jobId, force = false, release = false, limit = 5 } = {}) {
+  const now = new Date();
+  const results = [];
+  if (jobId) {
+    const forced = force || release;
+    for (const status of forced ? ["pending", "running", "failed", "done"] : ["pending", "running"]) {
+      const job = await getJsonObject(jobKey(status, jobId));
+      if (!job) continue;
+      const blocker = status === "done" ? redriveBlocker(job) : null;
+      if (blocker) {
+        results.push({ id: job.id, status, ok: false, result: job.result, error: `not re-driven: ${blocker}` });
+        break;
+      }
+      if (release) job.released_at = job.released_at || now.toISOString();
+      if (forced || isDue(job, status, now)) {
+        const result = await runOrderJob(job, status);
+        if (result) results.push(result);
+      }
+      break;
+    }
+    return results;
+  }
+
+  for (const status of ["running", "pending"]) {
+    const keys = await listKeys(`${JOB_PREFIX}/${status}/`);
+    for (const key of keys.sort()) {
+      if (results.length >= limit) return results;
+      const job = await getJsonObject(key);
+      if (!job || !isDue(job, status, now)) continue;
+      const result = await runOrderJob(job, status);
+      if (result) results.push(result);
+    }
+  }
+  return results;
+}
+
+export async function listOrderJobs({ status = "pending", limit = 50 } = {}) {
+  const keys = await listKeys(`${JOB_PREFIX}/${status}/`);
+  return keys.sort().slice(0, limit);
+}
+
+/** Fetch one job by id, searching every status folder. */
+export async function getOrderJob(id) {
+  for (const status of ORDER_JOB_STATUSES) {
+    const job = await getJsonObject(jobKey(status, id));
+    if (job) return job;
+  }
+  return null;
+}
@@ -2,47 +2,28 @@ import {
   PutObjectCommand,
   ListObjectsV2Command,
   GetObjectCommand,
-  S3Client,
 } from "@aws-sdk/client-s3";
+import { hasR2Config, makeR2Client } from "./r2-store.js";
 
 const LOG_PREFIX = "_logs";
 
-function r2Endpoint() {
-  if (process.env.R2_ENDPOINT) return process.env.R2_ENDPOINT;
-  const accountId = process.env.R2_ACCOUNT_ID || "";
-  return accountId ? `https://${accountId}.r2.cloudflarestorage.com` : "";
-}
-
-function hasR2Config() {
-  return Boolean(
-    process.env.R2_BUCKET_NAME &&
-    process.env.R2_ACCESS_KEY_ID &&
-    process.env.R2_SECRET_ACCESS_KEY &&
-    r2Endpoint()
-  );
-}
-
-function makeClient() {
-  return new S3Client({
-    region: process.env.R2_REGION || "auto",
-    endpoint: r2Endpoint(),
-    forcePathStyle: true,
-    credentials: {
-      accessKeyId: process.env.R2_ACCESS_KEY_ID || "",
-      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || "",
-    },
-  });
+/** A value as a string (JSON unless it is one) cut to `maxLen`, for response previews in traces. */
+export function truncate(value, maxLen = 1200) {
+  const str = typeof value === "string" ? value : JSON.stringify(value);
+  if (str.length <= maxLen) return str;
+  return `${str.slice(0, maxLen)}...[truncated]`;
 }
 
 /**
  * Persist the full trace object to R2 so it can be inspected later.
  * Key format: _logs/YYYY-MM-DD/order_{orderNumber}_{timestamp}.json
+ * Returns the key, or null when nothing was saved.
  * Fails silently — order processing should never break because of logging.
  */
 export async function saveOrderLog(trace) {
   if (!hasR2Config()) {
     console.warn("[order-log] R2 not configured — skipping log persistence");
-    return;
+    return null;
   }
   try {
     const now = new Date();
@@ -51,7 +32,7 @@ export async function saveOrderLog(trace) {
     const ts = now.toISOString().replace(/[:.]/g, "-");
     const key = `${LOG_PREFIX}/${dateDir}/order_${orderNum}_${ts}.json`;
 
-    const client = makeClient();
+    const client = makeR2Client();
     await client.send(new PutObjectCommand({
       Bucket: process.env.R2_BUCKET_NAME,
       Key: key,
@@ -59,8 +40,10 @@ export async function saveOrderLog(trace) {
       ContentType: "application/json",
     }));
     console.log("[order-log] saved", key);
+    return key;
   } catch (err) {
     console.error("[order-log] failed to save log:", err.message);
+    return null;
   }
 }
 
@@ -69,7 +52,7 @@ export async function saveOrderLog(trace) {
  * Returns newest-first (by key name which embeds the timestamp).
  */
 export async function listOrderLogs({ order, date, limit = 50 } = {}) {
-  const client = makeClient();
+  const client = makeR2Client();
   let prefix = `${LOG_PREFIX}/`;
   if (date) prefix += `${date}/`;
 
@@ -91,7 +74,7 @@ export async function listOrderLogs({ order, date, limit = 50 } = {}) {
 
 /** Fetch a single log file from R2 and return the parsed JSON. */
 export async function getOrderLog(key) {
-  const client = makeClient();
+  const client = makeR2Client();
   const res = await client.send(new GetObjectCommand({
     Bucket: process.env.R2_BUCKET_NAME,
     Key: key,
@@ -0,0 +1,1637 @@
+// api/order-pipeline.js
+// Everything that happens to a Shopify order after its webhook is verified: follow-up topics
+// go to shopify-order-events.js; order creation resolves each line item (art, composites,
+// preflight, uploads) and submits the Printful draft. The webhook runs this inline or stores
+// the order as a job for the order worker (order-jobs.js).
+//
+// Order creation is split into steps — the fulfillment reset, each line item, the Shopify
+// flags and the Printful draft — and each step's result is stored in `job.steps` as it
+// finishes. A run over a job that already has steps replays them instead of redoing them,
+// so a worker that errors or times out picks up after the last completed step.
+import sharp from "sharp";
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import { resolveVariantId, loadVariantMapDocument } from "./variant-map-store.js";
+import { parseSku } from "./sku-grammar.js";
+import { saveOrderLog, truncate } from "./order-log.js";
+import { hasR2Config, makeR2Client, r2Endpoint } from "./r2-store.js";
+import {
+  createPrintfulDraftOrder,
+  confirmPrintfulOrder,
+  getPrintfulOrder,
+  cancelPrintfulOrder,
+  isPrintfulExternalIdDuplicate,
+  printfulExternalId,
+  buildPrintfulRecipient,
+} from "./printful-orders.js";
+import { enqueuePrintfulRetry } from "./printful-retry.js";
+import { getOrderCancellation } from "./order-cancellations.js";
+import { resolvePartialOrderPolicy, buildPartialOrderFlag } from "./partial-order-policy.js";
+import { handleOrderCancelled, handleOrderUpdated, handleRefundCreated } from "./shopify-order-events.js";
+import { previewsEnabled, saveItemPreview } from "./order-preview.js";
+import { createImageCache, loadImage } from "./image-utils.js";
+import { resolveContrastPolicy, checkLineItemContrast, buildContrastHoldFlag } from "./art-contrast.js";
+import { resolvePreflightPolicy, preflightLineItem } from "./print-preflight.js";
+import { loadTemplateLayout, compositeArt, resolveLength } from "./template-layout.js";
+import { resolvePlacements, catalogFileTypes } from "./placement-sets.js";
+import { resolveTechniquePolicy, resolveMainTechnique, resolveThreadColors, embroiderySettings } from "./embroidery.js";
+import { renderNumberArt, renderTextArt, renderArcTextArt, templateFontUrl } from "./text-render.js";
+import { getOrCreateComposite, sourceValidator, validatorFromHeaders } from "./composite-cache.js";
+import { lineItemConcurrency, placementCheckConcurrency, mapWithConcurrency } from "./concurrency.js";
+import { createPrintfulClient } from "./printful-client.js";
+import { shopify, shopifyShopDomain } from "./shopify-client.js";
+import {
+  printfulFileRegistryEnabled,
+  lookupPrintfulFile,
+  registerPrintfulFile,
+  updatePrintfulFileStatus,
+  isFailedFileStatus,
+} from "./printful-file-registry.js";
+
+// Tag for an order a reviewer released from a partial-order or contrast hold (a job rerun with
+// `released_at` set; see order-jobs.js).
+const HOLD_RELEASED_TAG = "printful-hold-released";
+
+// ---- Helpers
+/**
+ * One work unit per Printful item: a line item, or each component of a bundle SKU.
+ * `parsed` is null when no SKU pattern matched.
+ */
+function expandLineItems(lineItems = []) {
+  const units = [];
+  for (const li of lineItems) {
+    const parsed = parseSku(li?.sku);
+    if (!parsed) {
+      units.push({ li, parsed: null, component: null });
+      continue;
+    }
+    parsed.components.forEach((c, i) => {
+      units.push({
+        li,
+        parsed: { ...parsed, ...c },
+        component: parsed.components.length > 1 ? i : null,
+      });
+    });
+  }
+  return units;
+}
+
+async function getHandleByProductId(id) {
+  const r = await shopify.getProduct(id, { fields: "handle" });
+  if (!r.ok) throw new Error(`Shopify get product ${id} failed: ${r.status}`);
+  return r.payload.product.handle;
+}
+
+function artUrlFromHandle(handle) {
+  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+  return `${base}/${handle}.png`;
+}
+
+/**
+ * Base filename for design art on the CDN.
+ * variant-merch uploads: {designId}/{teamSlug}_{designId}_{fullProductId}.png (all lowercased/slugged).
+ * fullProductId is productCode + "_" + color from the structured SKU (middle segments before size).
+ *
+ * Shopify handles are often team-only (iron-rats) but can be composite without color (iron-rats_26-divprev_bc3001).
+ * If we always did {handle}_{templateRef}_{fullProductId}, composites would duplicate design+product.
+ *
+ * MAIN_ART_FILENAME_MODE:
+ * - full (default): derive team slug + build 3-part basename; or handle.png if handle is already the full basename.
+ * - handle | legacy: {handle}.png
+ */
+function mainArtFileBaseName(handle, templateRef, productCode, color) {
+  const mode = String(process.env.MAIN_ART_FILENAME_MODE || "full").toLowerCase();
+  if (mode === "handle" || mode === "legacy") {
+    return `${sanitizeFilePart(handle || "art")}.png`;
+  }
+  const hSan = sanitizeFilePart(handle || "art");
+  const tSan = sanitizeFilePart(templateRef);
+  const pSan = sanitizeFilePart(productCode);
+  const fullProductId = [productCode, color].filter(Boolean).join("_");
+  const fpSan = sanitizeFilePart(fullProductId);
+
+  // Handle already matches full art basename (e.g. legacy slug that still includes color)
+  const fullBasenameSuffix = `_${tSan}_${fpSan}`;
+  if (fpSan && hSan.endsWith(fullBasenameSuffix)) {
+    return `${hSan}.png`;
+  }
+
+  // Composite handle: team_design_product (no color) — strip suffix so we do not repeat design/product
+  const noColorSuffix = pSan ? `_${tSan}_${pSan}` : "";
+  if (noColorSuffix && hSan.endsWith(noColorSuffix)) {
+    const teamSlug = hSan.slice(0, -noColorSuffix.length);
+    if (teamSlug) {
+      return `${teamSlug}_${tSan}_${fpSan}.png`;
+    }
+  }
+
+  return `${hSan}_${tSan}_${fpSan}.png`;
+}
+
+function mainArtUrlWithPrefix(handle, templateRef, productCode, color) {
+  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+  const prefix = String(templateRef || "").trim();
+  const filename = mainArtFileBaseName(handle, templateRef, productCode, color);
+  if (!base) return `${prefix}/${filename}`;
+  return prefix ? `${base}/${encodeURIComponent(prefix)}/${filename}` : `${base}/${filename}`;
+}
+
+function placementArtUrl(templateRef, placement) {
+  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+  const prefix = String(templateRef || "").trim();
+  const filename = `${prefix}_${sanitizeFilePart(placement || "")}.png`;
+  if (!base) return `${prefix}/${filename}`;
+  return prefix ? `${base}/${encodeURIComponent(prefix)}/${encodeURIComponent(filename)}` : `${base}/${templateRef}_${placement}.png`;
+}
+
+function compositePublicBaseUrl() {
+  return (process.env.COMPOSITE_PUBLIC_BASE_URL || process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+}
+
+function compositeUploadPluginId() {
+  return process.env.COMPOSITE_UPLOAD_PLUGIN_ID || "variant-merch";
+}
+
+function numberArtUrl(templateRef, customNumber) {
+  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+  const prefix = String(templateRef || "").trim();
+  const filename = `${prefix}_${sanitizeFilePart(String(customNumber || ""))}.png`;
+  if (!base) return `${prefix}/${filename}`;
+  return prefix ? `${base}/${encodeURIComponent(prefix)}/${encodeURIComponent(filename)}` : `${base}/${templateRef}_${customNumber}.png`;
+}
+
+function configuredNumberKeys() {
+  const raw = process.env.CUSTOM_NUMBER_FIELD_KEYS || "";
+  return raw
+    .split(",")
+    .map((k) => k.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function extractCustomNumberFromLineItem(li = {}) {
+  const configuredKeys = configuredNumberKeys();
+  const isNoneLikeValue = (v) => {
+    const s = String(v ?? "").trim().toLowerCase();
+    return s === "none" || s === "no" || s === "n/a" || s === "na";
+  };
+  const isNumberFieldName = (name) => /number|jersey|shirt|custom/i.test(name);
+  const props = [
+    ...(Array.isArray(li?.properties) ? li.properties : []),
+    ...(Array.isArray(li?.custom_properties) ? li.custom_properties : []),
+  ];
+
+  for (const p of props) {
+    const name = String(p?.name || p?.key || "").trim();
+    const value = String(p?.value ?? "").trim();
+    if (!name || !value) continue;
+    const nameLc = name.toLowerCase();
+    const isTargetField = configuredKeys.length > 0
+      ? configuredKeys.includes(nameLc)
+      : isNumberFieldName(name);
+    if (!isTargetField) continue;
+    if (isNoneLikeValue(value)) return null;
+    if (/^\d+$/.test(value)) return value;
+  }
+
+  if (configuredKeys.length > 0) return null;
+  for (const p of props) {
+    const value = String(p?.value ?? "").trim();
+    if (/^\d+$/.test(value)) return value;
+  }
+  return null;
+}
+
+function configuredNameKeys() {
+  const raw = process.env.CUSTOM_NAME_FIELD_KEYS || "";
+  return raw
+    .split(",")
+    .map((k) => k.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function customNameMaxLength() {
+  const n = Number(process.env.CUSTOM_NAME_MAX_LENGTH);
+  return Number.isInteger(n) && n > 0 ? n : 14;
+}
+
+// Letters, spaces and the punctuation names actually use (O'NEIL, SMITH-JONES, JR.).
+const CUSTOM_NAME_PATTERN = /^[A-Za-z][A-Za-z .'-]*$/;
+
+function extractCustomNameFromLineItem(li = {}) {
+  const configuredKeys = configuredNameKeys();
+  const isNoneLikeValue = (v) => {
+    const s = String(v ?? "").trim().toLowerCase();
+    return s === "none" || s === "no" || s === "n/a" || s === "na";
+  };
+  const isNameFieldName = (name) => /(player|jersey|back|custom)[\s_-]*name|name[\s_-]*on[\s_-]*back|^name$/i.test(name);
+  const props = [
+    ...(Array.isArray(li?.properties) ? li.properties : []),
+    ...(Array.isArray(li?.custom_properties) ? li.custom_properties : []),
+  ];
+
+  for (const p of props) {
+    const name = String(p?.name || p?.key || "").trim();
+    const value = String(p?.value ?? "").trim();
+    if (!name || !value) continue;
+    const isTargetField = configuredKeys.length > 0
+      ? configuredKeys.includes(name.toLowerCase())
+      : isNameFieldName(name);
+    if (!isTargetField) continue;
+    if (isNoneLikeValue(value)) return null;
+    return value;
+  }
+  return null;
+}
+
+/** { ok, name, reason }: the name with whitespace collapsed, or why it can't be printed. */
+function validateCustomName(raw) {
+  const name = String(raw || "").replace(/\s+/g, " ").trim();
+  const maxLength = customNameMaxLength();
+  if (!name) return { ok: false, name, reason: "empty" };
+  if (name.length > maxLength) return { ok: false, name, reason: `longer than ${maxLength} characters` };
+  if (!CUSTOM_NAME_PATTERN.test(name)) return { ok: false, name, reason: "only letters, spaces, . ' and - are allowed" };
+  return { ok: true, name, reason: null };
+}
+
+function summarizeLineItemProperties(li = {}) {
+  const props = [
+    ...(Array.isArray(li?.properties) ? li.properties : []),
+    ...(Array.isArray(li?.custom_properties) ? li.custom_properties : []),
+  ];
+  return props.map((p) => ({
+    name: String(p?.name || p?.key || "").trim(),
+    value: String(p?.value ?? "").trim(),
+  }));
+}
+
+function sanitizeFilePart(value = "") {
+  return String(value).toLowerCase().replace(/[^a-z0-9_-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
+}
+
+// `hash` (composite-cache.js) makes the name change whenever an input does, so cached
+// and immutable composites never go stale.
+function compositeFileName({ handle, templateRef, customNumber, hash }) {
+  const h = sanitizeFilePart(handle || "art");
+  const t = sanitizeFilePart(templateRef || "template");
+  const n = sanitizeFilePart(customNumber || "0");
+  return `${h}__${t}__num-${n}${hash ? `-${hash}` : ""}.png`;
+}
+
+function nameCompositeFileName({ handle, templateRef, placement, customName, hash }) {
+  const h = sanitizeFilePart(handle || "art");
+  const t = sanitizeFilePart(templateRef || "template");
+  const n = sanitizeFilePart(customName || "name");
+  return `${h}__${t}__${sanitizeFilePart(placement)}-name-${n}${hash ? `-${hash}` : ""}.png`;
+}
+
+// Hashed composites never change under the same URL, so the hash is their version.
+function compositeValidator(composite) {
+  return composite?.hash ? `composite:${composite.hash}` : undefined;
+}
+
+function compositePublicUrl(templateRef, fileName) {
+  const base = compositePublicBaseUrl();
+  return base ? `${base}/${compositeRemotePath(templateRef, fileName)}` : null;
+}
+
+function deriveRemotePathFromSourceUrl(sourceUrl, fileName) {
+  try {
+    const u = new URL(sourceUrl);
+    const parts = u.pathname.split("/").filter(Boolean);
+    parts.pop(); // drop source filename
+    const prefix = parts.join("/");
+    return prefix ? `${prefix}/${fileName}` : fileName;
+  } catch {
+    return fileName;
+  }
+}
+
+// Composite in same directory as design art: designId/compositeFileName (preserve designId case for R2)
+function compositeRemotePath(templateRef, fileName) {
+  const prefix = String(templateRef || "").trim();
+  return prefix ? `${prefix}/${fileName}` : fileName;
+}
+
+async function fetchImageBuffer(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`Image fetch failed (${r.status}) for ${url}`);
+  const buf = await r.arrayBuffer();
+  return Buffer.from(buf);
+}
+
+/**
+ * Number art composited onto the main art per the template's layout: { png, placement }.
+ * The number comes from `overlayUrl` (pre-made PNG) or, failing that, is rendered from the
+ * layout's font settings.
+ */
+async function buildCompositePng({ baseUrl, overlayUrl, layout, customNumber, templateRef }) {
+  const [baseBuffer, overlayBuffer] = await Promise.all([
+    fetchImageBuffer(baseUrl),
+    overlayUrl
+      ? fetchImageBuffer(overlayUrl)
+      : renderNumberArt(customNumber, layout.font, templateRef).then((r) => r.png),
+  ]);
+  return compositeArt(baseBuffer, overlayBuffer, layout);
+}
+
+/**
+ * Player name rendered from the layout's font and composited onto the placement art, or onto
+ * a transparent canvas of `layout.canvas` when the template has no art for that placement:
+ * { png, placement }.
+ */
+async function buildNameCompositePng({ baseUrl, layout, customName, templateRef, imageCache }) {
+  const { width, height } = layout.canvas;
+  const baseBuffer = baseUrl
+    ? await loadImage(baseUrl, imageCache)
+    : await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+  const text = layout.uppercase ? customName.toUpperCase() : customName;
+  let name;
+  if (layout.style === "arc") {
+    const baseWidth = baseUrl ? (await sharp(baseBuffer).metadata()).width : width;
+    name = await renderArcTextArt(text, layout.font, templateRef, {
+      radius: resolveLength(layout.arc.radius, baseWidth),
+      direction: layout.arc.direction,
+    });
+  } else {
+    name = await renderTextArt(text, layout.font, templateRef);
+  }
+  return compositeArt(baseBuffer, name.png, layout);
+}
+
+async function uploadCompositeDirectToR2({ remotePath, pngBuffer }) {
+  const endpoint = r2Endpoint();
+  const bucket = process.env.R2_BUCKET_NAME || "";
+  const key = String(remotePath || "").replace(/^\/+/, "");
+  const client = makeR2Client();
+
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: pngBuffer,
+    ContentType: "image/png",
+    CacheControl: "public, max-age=31536000, immutable",
+  }));
+
+  const publicBase = compositePublicBaseUrl();
+  const normalizedPath = key.replace(/^\/+/, "");
+  return {
+    method: "r2_direct",
+    endpoint,
+    bucket,
+    remote_path: normalizedPath,
+    url: publicBase ? `${publicBase}/${normalizedPath}` : null,
+  };
+}
+
+async function uploadCompositeViaApi({ fileName, remotePath, pngBuffer }) {
+  const apiUrl = process.env.COMPOSITE_UPLOAD_API_URL || "https://stribe-api.vercel.app/api/upload";
+  if (!apiUrl) return null;
+  const publicBase = compositePublicBaseUrl();
+  const normalizedRemotePath = String(remotePath || "").replace(/^\/+/, "");
+  const pluginId = compositeUploadPluginId();
+  const computedPublicUrl = publicBase ? `${publicBase}/${normalizedRemotePath}` : null;
+  const r = await fetch(apiUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "X-File-Path": normalizedRemotePath,
+      "X-File-Name": fileName,
+      "X-Plugin-ID": pluginId,
+    },
+    body: pngBuffer,
+  });
+  const text = await r.text();
+  const parsed = safeJsonParse(text);
+  if (!r.ok) throw new Error(`Composite API upload failed (${r.status}): ${truncate(parsed)}`);
+  const url = parsed?.url;
+  return {
+    upload_api_url: apiUrl,
+    remote_path: remotePath,
+    api_reported_url: typeof url === "string" && url ? url : null,
+    url: computedPublicUrl || (typeof url === "string" && url ? url : null),
+  };
+}
+
+async function uploadCompositeToCdn({ fileName, remotePath, pngBuffer }) {
+  if (hasR2Config()) {
+    return uploadCompositeDirectToR2({ remotePath, pngBuffer });
+  }
+  return uploadCompositeViaApi({ fileName, remotePath, pngBuffer });
+}
+
+function safeJsonParse(text) {
+  try { return JSON.parse(text); }
+  catch { return { raw: text }; }
+}
+
+/** Catalog variant payload: { variant, product } */
+async function fetchPrintfulCatalogVariant(variantId, trackRequest) {
+  const res = await createPrintfulClient({ onTrace: trackRequest }).getCatalogVariant(variantId);
+  if (!res.ok) {
+    throw new Error(`Printful catalog variant ${variantId} failed (${res.status}): ${truncate(res.payload)}`);
+  }
+  return res.payload?.result ?? null;
+}
+
+/**
+ * Per-product extra `options` to attach to the Printful order item.
+ *
+ * Some catalog products (notably AOP cut-and-sew items) require option values
+ * or the draft order is rejected with a 400 BadRequest. Today this only handles
+ * the All-Over Print Headband (product 545) which mandates `stitch_color`
+ * (white|black). The stitch tracks the design colorway encoded in the SKU so
+ * the visible seam blends with the printed artwork.
+ */
+function buildOrderItemOptions({ productCode, color }) {
+  const code = String(productCode || "").toUpperCase();
+  const colorKey = String(color || "").toUpperCase();
+  if (code === "HEADBAND") {
+    const stitch = colorKey === "BLACK" ? "black" : "white";
+    return [{ id: "stitch_color", value: stitch }];
+  }
+  return [];
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function resetFulfillmentStatus(shopifyOrderId) {
+  const results = { holds: [], cancels: [], errors: [] };
+  try {
+    const foRes = await shopify.getFulfillmentOrders(shopifyOrderId);
+    if (!foRes.ok) {
+      results.errors.push(`FO fetch failed: ${foRes.status}`);
+      return results;
+    }
+
+    for (const fo of (foRes.payload.fulfillment_orders || [])) {
+      if (fo.status === "open") {
+        try {
+          const r = await shopify.holdFulfillmentOrder(fo.id, { reason: "other", notes: "Awaiting Printful fulfillment" });
+          if (r.ok) results.holds.push(fo.id);
+          else results.errors.push(`Hold FO ${fo.id}: ${r.status}`);
+        } catch (e) {
+          results.errors.push(`Hold FO ${fo.id}: ${e.message}`);
+        }
+      }
+    }
+
+    const fRes = await shopify.listFulfillments(shopifyOrderId);
+    if (fRes.ok) {
+      for (const f of (fRes.payload.fulfillments || [])) {
+        if (f.status === "success" && !f.tracking_number) {
+          try {
+            const r = await shopify.cancelFulfillment(f.id);
+            if (r.ok) results.cancels.push(f.id);
+            else results.errors.push(`Cancel fulfillment ${f.id}: ${r.status}`);
+          } catch (e) {
+            results.errors.push(`Cancel fulfillment ${f.id}: ${e.message}`);
+          }
+        }
+      }
+    }
+  } catch (e) {
+    results.errors.push(`resetFulfillmentStatus: ${e.message}`);
+  }
+  return results;
+}
+
+/**
+ * Add a tag, append a note and merge note attributes on the Shopify order.
+ * The webhook payload carries the current tags/note/attributes, so we merge locally
+ * and send one PUT instead of reading the order back first. On success the merged
+ * values are written back onto `order`, so a second flag in the same run keeps the first.
+ */
+async function flagShopifyOrder(order, { tag, note, noteAttributes = [] }) {
+  const tags = String(order?.tags || "").split(",").map((t) => t.trim()).filter(Boolean);
+  if (tag && !tags.includes(tag)) tags.push(tag);
+  const existingAttrs = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
+  const attrNames = new Set(noteAttributes.map((a) => a.name));
+  const payload = {
+    order: {
+      id: order.id,
+      tags: tags.join(", "),
+      note: [order?.note, note].filter(Boolean).join("\n"),
+      ...(noteAttributes.length > 0
+        ? { note_attributes: [...existingAttrs.filter((a) => !attrNames.has(a?.name)), ...noteAttributes] }
+        : {}),
+    },
+  };
+  try {
+    const r = await shopify.updateOrder(order.id, payload.order);
+    if (!r.ok) console.warn(`[order-pipeline] flag order ${order.id} failed: ${r.status}`);
+    else Object.assign(order, payload.order);
+    return { ok: r.ok, status: r.status };
+  } catch (e) {
+    console.warn(`[order-pipeline] flag order ${order.id} error:`, e.message);
+    return { ok: false, status: null, error: e.message };
+  }
+}
+
+/**
+ * Resolve one work unit (a line item or bundle component) into a Printful order item: art,
+ * composites, preflight, thread colors, contrast check, file uploads and preview. Returns the
+ * unit's share of the order, { items, item_files, missing, missing_line_items, line_items,
+ * contrast_issues, contrast_held }, as plain JSON so it can be checkpointed and replayed on a
+ * resumed run. With `holdForContrast`, a unit whose art fails the contrast check stops before
+ * its uploads (`contrast_held`), since the order will be held.
+ */
+async function resolveLineItem({ li, parsed, component }, ctx) {
+  const {
+    trackRequest,
+    imageCache,
+    templateLayouts,
+    contrastSettings,
+    holdForContrast,
+    preflightSettings,
+    renderPreviews,
+    orderExternalId,
+    itemIndex,
+    uploadFileToPrintfulTracked,
+    waitForPrintfulFileReady,
+  } = ctx;
+  const out = { items: [], item_files: [], missing: [], missing_line_items: [], line_items: [], contrast_issues: [], contrast_held: false };
+  const markMissing = (li, reason) => {
+    out.missing.push(li?.sku || li.title);
+    out.missing_line_items.push({ line_item_id: li?.id || null, sku: li?.sku || null, title: li?.title || null, reason });
+  };
+
+  console.log("[order-pipeline] processing line item", {
+    lineItemId: li?.id,
+    sku: li?.sku,
+    productId: li?.product_id,
+    quantity: li?.quantity,
+    bundleComponent: component,
+  });
+  if (!parsed) {
+    console.log("[order-pipeline] no SKU pattern matched", li?.sku);
+    markMissing(li, "invalid_sku");
+    out.line_items.push({
+      sku: li?.sku || null,
+      line_item_id: li?.id || null,
+      product_id: li?.product_id || null,
+      quantity: li?.quantity ?? 1,
+      parse_ok: false,
+    });
+    return out;
+  }
+
+  const { templateRef, productCode, color, variantKey } = parsed;
+  const vId = await resolveVariantId(variantKey);
+  if (!vId) {
+    console.log("[order-pipeline] variant map miss", { sku: li?.sku, variantKey });
+    markMissing(li, "variant_map_miss");
+    out.line_items.push({
+      sku: li?.sku || null,
+      line_item_id: li?.id || null,
+      product_id: li?.product_id || null,
+      quantity: li?.quantity ?? 1,
+      parse_ok: true,
+      sku_pattern: parsed.pattern,
+      bundle_component: component,
+      variant_key: variantKey,
+      variant_id_found: false,
+    });
+    return out;
+  }
+
+  let handle;
+  try {
+    handle = await getHandleByProductId(li.product_id);
+    trackRequest({
+      type: "shopify_product_lookup",
+      line_item_id: li?.id || null,
+      product_id: li?.product_id || null,
+      handle,
+    });
+  } catch (e) {
+    console.error("handle lookup failed", li.product_id, e);
+    markMissing(li, "product_lookup_failed");
+    out.line_items.push({
+      sku: li?.sku || null,
+      line_item_id: li?.id || null,
+      product_id: li?.product_id || null,
+      quantity: li?.quantity ?? 1,
+      parse_ok: true,
+      sku_pattern: parsed.pattern,
+      bundle_component: component,
+      variant_key: variantKey,
+      variant_id_found: true,
+      variant_id: vId,
+      product_handle_lookup_ok: false,
+      error: String(e?.message || e),
+    });
+    return out;
+  }
+
+  const templateLayout = await loadTemplateLayout(templateRef, templateLayouts);
+  if (templateLayout.error) {
+    console.warn("[order-pipeline] template layout unusable, using defaults", templateRef, templateLayout.error);
+  }
+
+  const techniquePolicy = resolveTechniquePolicy(productCode, templateLayout.embroidery);
+  let mainTechnique = null; // { fileType, technique, embroidery } when not the product's plain default
+  let catalogProduct = null;
+  let catalogProductId = null;
+  let productFileTypes = null; // Printful file types for the catalog product, when known
+  try {
+    const catalog = await fetchPrintfulCatalogVariant(vId, trackRequest);
+    const product = catalog?.product;
+    catalogProduct = product ?? null;
+    catalogProductId = product?.id ?? null;
+    productFileTypes = catalogFileTypes(product);
+    mainTechnique = resolveMainTechnique(product, techniquePolicy.policy);
+    trackRequest({
+      type: "printful_catalog_variant",
+      line_item_id: li?.id || null,
+      sku: li?.sku || null,
+      variant_id: vId,
+      product_id: product?.id ?? null,
+      main_file_type: mainTechnique?.fileType ?? null,
+      technique: mainTechnique?.technique ?? null,
+      technique_policy: techniquePolicy.policy,
+      technique_policy_source: techniquePolicy.source,
+    });
+  } catch (e) {
+    console.warn("[order-pipeline] Printful catalog variant lookup failed", vId, e?.message);
+    trackRequest({
+      type: "printful_catalog_variant_error",
+      line_item_id: li?.id || null,
+      sku: li?.sku || null,
+      variant_id: vId,
+      error: String(e?.message || e),
+    });
+  }
+
+  const mainFilePlacementLabel = mainTechnique?.fileType || "default";
+
+  try {
+    // ---- Upload files first (prefixed path matches variant-merch: designId/filename.png)
+    const mainArtUrl = mainArtUrlWithPrefix(handle, templateRef, productCode, color);
+    const customNumber = extractCustomNumberFromLineItem(li);
+    const customName = extractCustomNameFromLineItem(li);
+    let defaultArtUrl = mainArtUrl;
+    console.log("[order-pipeline] line item custom properties", {
+      lineItemId: li?.id || null,
+      sku: li?.sku || null,
+      properties: summarizeLineItemProperties(li),
+      extractedCustomNumber: customNumber || null,
+      extractedCustomName: customName || null,
+    });
+    let numberSource = null; // "png" | "font" once a number has been composited
+    let mainComposite = null; // getOrCreateComposite result for the number composite
+    if (customNumber) {
+      const customNumberUrl = numberArtUrl(templateLayout.number.set || templateRef, customNumber);
+      const numberHead = await fetch(customNumberUrl, { method: "HEAD" });
+      trackRequest({
+        type: "custom_number_head_check",
+        line_item_id: li?.id || null,
+        sku: li?.sku || null,
+        custom_number: customNumber,
+        url: customNumberUrl,
+        response_status: numberHead.status,
+        response_ok: numberHead.ok,
+      });
+      // No pre-made PNG: render the number from the template's font, when it has one.
+      numberSource = numberHead.ok ? "png" : templateLayout.number.font ? "font" : null;
+      if (numberSource) {
+        const numberFontSource = numberSource === "font" ? templateFontUrl(templateRef, templateLayout.number.font.file) : null;
+        const composite = await getOrCreateComposite({
+          kind: "number",
+          sources: [
+            { url: mainArtUrl, validator: await sourceValidator(mainArtUrl) },
+            numberSource === "png"
+              ? { url: customNumberUrl, validator: validatorFromHeaders(numberHead.headers) }
+              : { url: numberFontSource, validator: await sourceValidator(numberFontSource) },
+          ],
+          layout: templateLayout.number,
+          text: customNumber,
+          fileName: (hash) => compositeFileName({ handle, templateRef, customNumber, hash }),
+          publicUrl: (fileName) => compositePublicUrl(templateRef, fileName),
+          build: () => buildCompositePng({
+            baseUrl: mainArtUrl,
+            overlayUrl: numberSource === "png" ? customNumberUrl : null,
+            layout: templateLayout.number,
+            customNumber,
+            templateRef,
+          }),
+          upload: (fileName, png) => uploadCompositeToCdn({
+            fileName,
+            remotePath: compositeRemotePath(templateRef, fileName),
+            pngBuffer: png,
+          }),
+        });
+        trackRequest({
+          type: composite.cached ? "composite_reused" : "composite_created_uploaded",
+          line_item_id: li?.id || null,
+          sku: li?.sku || null,
+          template_ref: templateRef,
+          custom_number: customNumber,
+          base_url: mainArtUrl,
+          number_source: numberSource,
+          number_url: numberSource === "png" ? customNumberUrl : null,
+          number_font_url: numberFontSource,
+          number_layout_source: templateLayout.source,
+          number_layout_error: templateLayout.error,
+          number_placement: composite.details?.placement ?? null,
+          composite_hash: composite.hash,
+          composite_public_url: composite.url,
+          upload_method: composite.upload ? composite.upload.method || "api_proxy" : null,
+          upload_configured: hasR2Config() || Boolean(process.env.COMPOSITE_UPLOAD_API_URL),
+        });
+        defaultArtUrl = composite.url;
+        mainComposite = composite;
+        // The preview can reuse the composite we just built instead of fetching it back.
+        if (composite.png) imageCache.set(composite.url, Promise.resolve(composite.png));
+      } else {
+        trackRequest({
+          type: "composite_skipped_missing_number_file",
+          line_item_id: li?.id || null,
+          sku: li?.sku || null,
+          template_ref: templateRef,
+          custom_number: customNumber,
+          number_url: customNumberUrl,
+        });
+      }
+    }
+    const placementCandidates = [];
+    const placementSet = resolvePlacements({
+      productCode,
+      templateOverride: templateLayout.placements,
+      fileTypes: productFileTypes,
+      mainFileType: mainFilePlacementLabel,
+      // Without the catalog product the technique is unknown; a known product with no main
+      // technique prints with its plain default, which isn't embroidery.
+      embroidered: catalogProduct ? Boolean(mainTechnique?.embroidery) : null,
+    });
+    trackRequest({
+      type: "placement_set",
+      line_item_id: li?.id || null,
+      sku: li?.sku || null,
+      product_code: productCode,
+      ...placementSet,
+    });
+    const placementHeads = await mapWithConcurrency(placementSet.placements, placementCheckConcurrency(), async (placement) => {
+      const placementUrl = placementArtUrl(templateRef, placement);
+      return { placement, placementUrl, headRes: await fetch(placementUrl, { method: "HEAD" }) };
+    });
+    for (const { placement, placementUrl, headRes } of placementHeads) {
+      trackRequest({
+        type: "placement_head_check",
+        line_item_id: li?.id || null,
+        sku: li?.sku || null,
+        placement,
+        url: placementUrl,
+        response_status: headRes.status,
+        response_ok: headRes.ok,
+      });
+      if (headRes.ok) placementCandidates.push({ placement, url: placementUrl, validator: validatorFromHeaders(headRes.headers) });
+    }
+
+    // ---- Player name: rendered into its placement file (usually back) like a number composite
+    let nameComposite = null;
+    if (customName) {
+      const checked = validateCustomName(customName);
+      const nameLayout = templateLayout.name;
+      const placementMissing = nameLayout && productFileTypes && !productFileTypes.includes(nameLayout.placement);
+      if (!checked.ok || !nameLayout || placementMissing) {
+        const reason = !checked.ok ? "invalid_custom_name" : placementMissing ? "custom_name_unsupported_placement" : "custom_name_no_layout";
+        console.warn("[order-pipeline] custom name not printable", { sku: li?.sku, customName, reason, detail: checked.reason });
+        markMissing(li, reason);
+        out.line_items.push({
+          sku: li?.sku || null,
+          line_item_id: li?.id || null,
+          product_id: li?.product_id || null,
+          quantity: li?.quantity ?? 1,
+          parse_ok: true,
+          sku_pattern: parsed.pattern,
+          bundle_component: component,
+          variant_key: variantKey,
+          variant_id_found: true,
+          variant_id: vId,
+          template_ref: templateRef,
+          product_handle_lookup_ok: true,
+          product_handle: handle,
+          custom_name: customName,
+          custom_name_error: !checked.ok
+            ? checked.reason
+            : placementMissing
+              ? `product has no ${nameLayout.placement} placement`
+              : templateLayout.error || "template layout has no `name` section",
+        });
+        return out;
+      }
+      const existing = placementCandidates.find((c) => c.placement === nameLayout.placement);
+      const nameFontUrl = nameLayout.font?.file ? templateFontUrl(templateRef, nameLayout.font.file) : null;
+      const composite = await getOrCreateComposite({
+        kind: "name",
+        sources: [
+          ...(existing ? [{ url: existing.url, validator: existing.validator }] : []),
+          { url: nameFontUrl, validator: nameFontUrl ? await sourceValidator(nameFontUrl) : null },
+        ],
+        layout: nameLayout,
+        text: checked.name,
+        fileName: (hash) => nameCompositeFileName({ handle, templateRef, placement: nameLayout.placement, customName: checked.name, hash }),
+        publicUrl: (fileName) => compositePublicUrl(templateRef, fileName),
+        build: () => buildNameCompositePng({
+          baseUrl: existing?.url || null,
+          layout: nameLayout,
+          customName: checked.name,
+          templateRef,
+          imageCache,
+        }),
+        upload: (fileName, png) => uploadCompositeToCdn({
+          fileName,
+          remotePath: compositeRemotePath(templateRef, fileName),
+          pngBuffer: png,
+        }),
+      });
+      trackRequest({
+        type: composite.cached ? "name_composite_reused" : "name_composite_created_uploaded",
+        line_item_id: li?.id || null,
+        sku: li?.sku || null,
+        template_ref: templateRef,
+        custom_name: checked.name,
+        placement: nameLayout.placement,
+        base_url: existing?.url || null,
+        name_style: nameLayout.style,
+        name_font_url: nameFontUrl,
+        name_layout_source: templateLayout.source,
+        name_placement: composite.details?.placement ?? null,
+        composite_hash: composite.hash,
+        composite_public_url: composite.url,
+        upload_method: composite.upload ? composite.upload.method || "api_proxy" : null,
+      });
+      const nameCandidate = { placement: nameLayout.placement, url: composite.url, composite };
+      if (existing) Object.assign(existing, nameCandidate);
+      else placementCandidates.push(nameCandidate);
+      if (composite.png) imageCache.set(composite.url, Promise.resolve(composite.png));
+      nameComposite = { name: checked.name, placement: nameLayout.placement, base: existing ? "placement_art" : "blank_canvas" };
+    }
+
+    // ---- Preflight every file against the Printful print area before anything is uploaded
+    let preflight = null;
+    if (preflightSettings.policy !== "off") {
+      try {
+        const files = [];
+        for (const a of [{ placement: mainFilePlacementLabel, url: defaultArtUrl }, ...placementCandidates]) {
+          files.push({ placement: a.placement, buffer: await loadImage(a.url, imageCache) });
+        }
+        preflight = await preflightLineItem({
+          productId: catalogProductId,
+          variantId: vId,
+          technique: mainTechnique?.technique || null,
+          files,
+          maxStitches: mainTechnique?.embroidery ? embroiderySettings(templateLayout.embroidery).maxStitches : null,
+        }, preflightSettings);
+        trackRequest({ type: "print_preflight", line_item_id: li?.id || null, sku: li?.sku || null, ...preflight });
+      } catch (e) {
+        console.warn("[order-pipeline] print preflight failed", li?.sku, e?.message);
+        trackRequest({ type: "print_preflight_error", line_item_id: li?.id || null, sku: li?.sku || null, error: String(e?.message || e) });
+      }
+    }
+    if (preflightSettings.policy === "block" && preflight && !preflight.ok) {
+      console.warn("[order-pipeline] line item blocked by preflight", { sku: li?.sku, errors: preflight.errors });
+      markMissing(li, "preflight_failed");
+      out.line_items.push({
+        sku: li?.sku || null,
+        line_item_id: li?.id || null,
+        product_id: li?.product_id || null,
+        quantity: li?.quantity ?? 1,
+        parse_ok: true,
+        sku_pattern: parsed.pattern,
+        bundle_component: component,
+        variant_key: variantKey,
+        variant_id_found: true,
+        variant_id: vId,
+        template_ref: templateRef,
+        product_handle_lookup_ok: true,
+        product_handle: handle,
+        preflight_ok: false,
+        preflight_errors: preflight.files.flatMap((f) => f.findings
+          .filter((x) => x.severity === "error")
+          .map((x) => ({ placement: f.placement, code: x.code, message: x.message }))),
+      });
+      return out;
+    }
+
+    // ---- Embroidery: every embroidered file needs its thread colors on the order item
+    let threads = null;
+    if (mainTechnique?.embroidery) {
+      const files = [];
+      for (const a of [{ placement: mainFilePlacementLabel, url: defaultArtUrl }, ...placementCandidates]) {
+        files.push({ placement: a.placement, buffer: await loadImage(a.url, imageCache) });
+      }
+      threads = await resolveThreadColors({
+        files,
+        product: catalogProduct,
+        mainFileType: mainFilePlacementLabel,
+        templateEmbroidery: templateLayout.embroidery,
+      });
+      trackRequest({ type: "embroidery_thread_colors", line_item_id: li?.id || null, sku: li?.sku || null, ...threads });
+      if (threads.errors.length > 0) {
+        console.warn("[order-pipeline] thread colors unresolved", { sku: li?.sku, errors: threads.errors });
+        markMissing(li, "embroidery_thread_colors");
+        out.line_items.push({
+          sku: li?.sku || null,
+          line_item_id: li?.id || null,
+          product_id: li?.product_id || null,
+          quantity: li?.quantity ?? 1,
+          parse_ok: true,
+          sku_pattern: parsed.pattern,
+          bundle_component: component,
+          variant_key: variantKey,
+          variant_id_found: true,
+          variant_id: vId,
+          template_ref: templateRef,
+          product_handle_lookup_ok: true,
+          product_handle: handle,
+          printful_item_technique: mainTechnique.technique,
+          thread_color_errors: threads.errors,
+        });
+        return out;
+      }
+    }
+
+    // ---- Contrast: checked on the final (composited) art, before anything goes to the file library
+    let contrast = null;
+    if (contrastSettings.policy !== "off") {
+      try {
+        const files = [];
+        for (const a of [{ placement: mainFilePlacementLabel, url: defaultArtUrl }, ...placementCandidates]) {
+          files.push({ placement: a.placement, buffer: await loadImage(a.url, imageCache) });
+        }
+        contrast = await checkLineItemContrast({ color, files }, contrastSettings);
+        for (const f of contrast.files.filter((r) => !r.ok)) {
+          out.contrast_issues.push({ line_item_id: li?.id || null, sku: li?.sku || null, garment_hex: contrast.garment_hex, ...f });
+        }
+        trackRequest({ type: "art_contrast_check", line_item_id: li?.id || null, sku: li?.sku || null, ...contrast });
+      } catch (e) {
+        console.warn("[order-pipeline] art contrast check failed", li?.sku, e?.message);
+        trackRequest({ type: "art_contrast_error", line_item_id: li?.id || null, sku: li?.sku || null, error: String(e?.message || e) });
+      }
+    }
+    if (holdForContrast && out.contrast_issues.length > 0) {
+      // The order will be held; its files are uploaded when a reviewer releases it.
+      out.contrast_held = true;
+      out.line_items.push({
+        sku: li?.sku || null,
+        line_item_id: li?.id || null,
+        product_id: li?.product_id || null,
+        quantity: li?.quantity ?? 1,
+        parse_ok: true,
+        sku_pattern: parsed.pattern,
+        bundle_component: component,
+        variant_key: variantKey,
+        variant_id_found: true,
+        variant_id: vId,
+        template_ref: templateRef,
+        product_handle_lookup_ok: true,
+        product_handle: handle,
+        default_art_url: defaultArtUrl,
+        art_contrast_ok: false,
+        art_contrast_held: true,
+      });
+      return out;
+    }
+
+    const mainContext = {
+      sku: li?.sku || null,
+      line_item_id: li?.id || null,
+      placement: mainFilePlacementLabel,
+      source: defaultArtUrl === mainArtUrl ? "base_art" : "composite_art",
+    };
+    const mainUpload = await uploadFileToPrintfulTracked(defaultArtUrl, mainContext, {
+      validator: compositeValidator(mainComposite),
+    });
+    const mainFileId = mainUpload.fileId;
+    if (defaultArtUrl !== mainArtUrl && !mainUpload.reused) {
+      const fileReady = await waitForPrintfulFileReady(mainFileId, {
+        sku: li?.sku || null,
+        line_item_id: li?.id || null,
+        placement: mainFilePlacementLabel,
+        source: "composite_art",
+      });
+      trackRequest({
+        type: "printful_file_ready_result",
+        line_item_id: li?.id || null,
+        sku: li?.sku || null,
+        file_id: mainFileId,
+        ...fileReady,
+      });
+      if (fileReady.status && printfulFileRegistryEnabled()) {
+        await updatePrintfulFileStatus(defaultArtUrl, mainFileId, fileReady.status).catch(() => {});
+      }
+    }
+
+    const placementFiles = [];
+    const placementArt = [];
+    for (const { placement, url: placementUrl, validator, composite } of placementCandidates) {
+      try {
+        const { fileId } = await uploadFileToPrintfulTracked(placementUrl, {
+          sku: li?.sku || null,
+          line_item_id: li?.id || null,
+          placement,
+        }, { validator: composite ? compositeValidator(composite) : validator });
+        placementFiles.push({ type: placement, id: fileId });
+        placementArt.push({ placement, url: placementUrl });
+      } catch (e) {
+        console.log("Placement upload failed:", placement, e.message);
+        // Dropping plain placement art is tolerated; dropping a customer's name is not.
+        if (composite) throw e;
+      }
+    }
+
+    const mainFileType = mainTechnique?.fileType || "default";
+    const allFiles = [{ type: mainFileType, id: mainFileId }, ...placementFiles];
+    const orderItem = {
+      // Shopify line item ID, so refunds can find the Printful item to reduce.
+      // Bundle components get a -{index} suffix so every item's external_id stays unique.
+      ...(li?.id ? { external_id: component === null ? String(li.id) : `${li.id}-${component}` } : {}),
+      variant_id: vId,
+      quantity: li.quantity ?? 1,
+      files: allFiles,
+    };
+    if (mainTechnique?.technique) orderItem.technique = mainTechnique.technique;
+
+    // All-Over Print Headband (Printful product 545) requires a `stitch_color`
+    // option (white|black) on the order item or the draft is rejected. We match
+    // the stitch to the design colorway encoded in the SKU so the seam blends
+    // with the printed art.
+    const itemOptions = [...buildOrderItemOptions({ productCode, color }), ...(threads?.options || [])];
+    if (itemOptions.length > 0) orderItem.options = itemOptions;
+
+    const sentArt = [{ placement: mainFileType, url: defaultArtUrl }, ...placementArt];
+
+    let preview = null;
+    if (renderPreviews) {
+      try {
+        preview = await saveItemPreview({
+          orderExternalId,
+          itemExternalId: orderItem.external_id || String(itemIndex),
+          color,
+          files: sentArt,
+          imageCache,
+        });
+        trackRequest({ type: "order_preview_saved", line_item_id: li?.id || null, sku: li?.sku || null, ...preview });
+      } catch (e) {
+        console.warn("[order-pipeline] order preview failed", li?.sku, e?.message);
+        trackRequest({ type: "order_preview_error", line_item_id: li?.id || null, sku: li?.sku || null, error: String(e?.message || e) });
+      }
+    }
+
+    out.items.push(orderItem);
+    out.item_files.push({
+      line_item_id: li?.id || null,
+      bundle_component: component,
+      sku: li?.sku || null,
+      variant_id: vId,
+      files: allFiles,
+    });
+    out.line_items.push({
+      sku: li?.sku || null,
+      line_item_id: li?.id || null,
+      product_id: li?.product_id || null,
+      quantity: li?.quantity ?? 1,
+      parse_ok: true,
+      sku_pattern: parsed.pattern,
+      bundle_component: component,
+      variant_key: variantKey,
+      variant_id_found: true,
+      variant_id: vId,
+      template_ref: templateRef,
+      custom_number: customNumber || null,
+      custom_number_source: numberSource,
+      custom_name: nameComposite?.name || null,
+      custom_name_placement: nameComposite?.placement || null,
+      custom_name_base: nameComposite?.base || null,
+      product_handle_lookup_ok: true,
+      product_handle: handle,
+      default_art_source: defaultArtUrl === mainArtUrl ? "base_art" : "composite_art",
+      default_art_url: defaultArtUrl,
+      printful_main_file_type: mainFileType,
+      printful_item_technique: mainTechnique?.technique || null,
+      printful_item_options: itemOptions.length > 0 ? itemOptions : null,
+      technique_policy: techniquePolicy.policy,
+      file_count: allFiles.length,
+      preview_key: preview?.key || null,
+      art_contrast_ok: contrast ? contrast.ok : null,
+      preflight_ok: preflight ? preflight.ok : null,
+      preflight_warnings: preflight ? preflight.warnings : null,
+    });
+    console.log("[order-pipeline] mapped line item", {
+      sku: li?.sku,
+      variantId: vId,
+      templateRef,
+      fileCount: allFiles.length,
+    });
+
+  } catch (e) {
+    console.error("File upload failed for SKU", li?.sku, e.message);
+    markMissing(li, "art_upload_failed");
+    out.line_items.push({
+      sku: li?.sku || null,
+      line_item_id: li?.id || null,
+      product_id: li?.product_id || null,
+      quantity: li?.quantity ?? 1,
+      parse_ok: true,
+      sku_pattern: parsed.pattern,
+      bundle_component: component,
+      variant_key: variantKey,
+      variant_id_found: true,
+      variant_id: vId,
+      template_ref: templateRef,
+      product_handle_lookup_ok: true,
+      product_handle: handle,
+      upload_ok: false,
+      error: String(e?.message || e),
+    });
+    return out;
+  }
+  return out;
+}
+
+/**
+ * Printful file helpers that record their requests with `trackRequest`, so each line item's
+ * uploads and status checks land in its own part of the trace.
+ */
+function createPrintfulFileHelpers(trackRequest) {
+  const printful = createPrintfulClient({ onTrace: trackRequest });
+
+  /**
+   * Printful file for an art URL: { fileId, reused, status }. Art already in the Printful file
+   * library at the same version (see printful-file-registry.js) is reused instead of uploaded
+   * again. `validator` is the art's ETag when the caller already has it; otherwise the art is
+   * HEADed for it.
+   */
+  async function uploadFileToPrintfulTracked(fileUrl, context = {}, { validator } = {}) {
+    const version = printfulFileRegistryEnabled() ? (validator ?? await sourceValidator(fileUrl)) : null;
+    if (version) {
+      try {
+        const { state, entry } = await lookupPrintfulFile(fileUrl, version);
+        let reused = state === "hit";
+        let status = entry?.status ?? null;
+        if (state === "recheck") {
+          const check = await waitForPrintfulFileReady(entry.file_id, { ...context, source: "file_registry" }, { maxAttempts: 1 });
+          status = check.status || null;
+          // Still processing is fine to reuse; gone (HTTP error) or failed is not.
+          reused = check.ready || (!String(check.reason || "").startsWith("status_check_http") && !isFailedFileStatus(status));
+          if (reused) await updatePrintfulFileStatus(fileUrl, entry.file_id, status);
+        }
+        trackRequest({
+          type: "printful_file_registry",
+          context,
+          url: fileUrl,
+          validator: version,
+          state,
+          file_id: entry?.file_id ?? null,
+          file_status: status,
+          reused,
+        });
+        if (reused) return { fileId: entry.file_id, reused: true, status };
+      } catch (e) {
+        console.warn("[order-pipeline] Printful file registry lookup failed", fileUrl, e?.message);
+      }
+    }
+
+    const body = { url: fileUrl, store_id: Number(process.env.PRINTFUL_STORE_ID) };
+    const res = await printful.uploadFile(body);
+    const parsed = res.payload;
+    trackRequest({
+      type: "printful_file_upload",
+      context,
+      request: body,
+      response_status: res.status,
+      response_ok: res.ok,
+      attempts: res.attempts,
+      response_preview: truncate(parsed),
+    });
+    if (!res.ok) throw new Error(`Printful file upload failed: ${truncate(parsed)}`);
+    const fileId = parsed?.result?.id;
+    const status = parsed?.result?.status || null;
+    if (version && fileId) {
+      await registerPrintfulFile(fileUrl, version, fileId, status)
+        .catch((e) => console.warn("[order-pipeline] Printful file registry write failed", fileUrl, e?.message));
+    }
+    return { fileId, reused: false, status };
+  }
+
+  async function waitForPrintfulFileReady(fileId, context = {}, options = {}) {
+    if (!fileId) return { ready: false, reason: "missing_file_id" };
+    const maxAttempts = options.maxAttempts ?? Number(process.env.PRINTFUL_FILE_READY_ATTEMPTS || 8);
+    const delayMs = Number(process.env.PRINTFUL_FILE_READY_DELAY_MS || 1500);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      const res = await printful.getFile(fileId);
+      const parsed = res.payload;
+      const status = String(
+        parsed?.result?.status ||
+        parsed?.result?.preview_status ||
+        parsed?.result?.sync_status ||
+        ""
+      ).toLowerCase();
+      const isReady = status === "ok" || status === "accepted" || status === "ready";
+      const isFailed = status === "failed" || status === "error" || status === "rejected";
+      trackRequest({
+        type: "printful_file_status_check",
+        context,
+        file_id: fileId,
+        attempt,
+        max_attempts: maxAttempts,
+        response_status: res.status,
+        response_ok: res.ok,
+        file_status: status || null,
+        response_preview: truncate(parsed),
+      });
+
+      if (!res.ok) return { ready: false, reason: `status_check_http_${res.status}`, status };
+      if (isReady) return { ready: true, status };
+      if (isFailed) return { ready: false, reason: "file_status_failed", status };
+      if (attempt < maxAttempts) await sleep(delayMs);
+    }
+
+    return { ready: false, reason: "timeout_waiting_for_file_ready" };
+  }
+
+  return { uploadFileToPrintfulTracked, waitForPrintfulFileReady };
+}
+
+// ---- Order creation
+/** Order creation. Returns the response body; the trace is filled in along the way. */
+async function processOrderCreate(order, { trace, trackRequest, step, steps, checkpoint, release = false }) {
+  const configCheck = {
+    ART_BASE_URL_set: Boolean(process.env.ART_BASE_URL),
+    PRINTFUL_API_TOKEN_set: Boolean(process.env.PRINTFUL_API_TOKEN),
+    PRINTFUL_STORE_ID_set: Boolean(process.env.PRINTFUL_STORE_ID),
+    COMPOSITE_UPLOAD_API_URL_set: Boolean(process.env.COMPOSITE_UPLOAD_API_URL),
+  };
+  trace.config_check = configCheck;
+  trace.variant_map_version = (await loadVariantMapDocument()).version;
+  if (!configCheck.ART_BASE_URL_set) console.warn("[order-pipeline] ART_BASE_URL is not set; art URLs will be invalid.");
+  if (!configCheck.PRINTFUL_STORE_ID_set || !configCheck.PRINTFUL_API_TOKEN_set) console.warn("[order-pipeline] PRINTFUL_STORE_ID or PRINTFUL_API_TOKEN not set; Printful file upload will fail.");
+
+  const recipient = buildPrintfulRecipient(order);
+  const orderExternalId = printfulExternalId(order);
+  const renderPreviews = previewsEnabled();
+  const imageCache = createImageCache();
+  const contrastSettings = resolveContrastPolicy();
+  const preflightSettings = resolvePreflightPolicy();
+  const contrastIssues = [];
+  const templateLayouts = new Map(); // templateRef → layout, shared by the order's line items
+
+  const items = [];
+  const itemFiles = [];
+  const missing = [];
+  const missingLineItems = [];
+  const releasedHolds = []; // holds a reviewer released (job.released_at) that this run submits past
+
+  // orders/cancelled runs as its own job and can overtake this one while it waits or backs off,
+  // so a cancellation is checked before any work and again before each Printful submit call.
+  const findCancellation = async () => (order.cancelled_at
+    ? { cancelled_at: order.cancelled_at, reason: "order_cancelled" }
+    : getOrderCancellation(orderExternalId));
+  const stopCancelled = (stage, cancellation, extra = {}) => {
+    console.warn("[order-pipeline] order cancelled in Shopify; not submitting", { orderId: order.id, stage });
+    trackRequest({ type: "order_cancelled_before_submit", stage, cancelled_at: cancellation.cancelled_at ?? null, ...extra });
+    trace.result = { ok: true, status: "cancelled", stage, cancelled_at: cancellation.cancelled_at ?? null, ...extra };
+    return { ok: true, cancelled: true, stage, ...extra, missing };
+  };
+  const cancelledAtStart = await findCancellation();
+  if (cancelledAtStart) return stopCancelled("before_resolve", cancelledAtStart);
+
+  const fulfillmentReset = await step("fulfillment_reset", () => resetFulfillmentStatus(order.id));
+  trace.fulfillment_reset = fulfillmentReset;
+  trackRequest({ type: "fulfillment_reset", ...fulfillmentReset });
+
+  // Units run LINE_ITEM_CONCURRENCY at a time. Each one buffers its trace entries (tagged with
+  // its `unit` index), and the buffers are added in unit order, so the trace reads the same
+  // however the requests interleaved.
+  const units = expandLineItems(order.line_items);
+  const unitRequests = units.map(() => []);
+  const holdForContrast = contrastSettings.policy === "hold" && !release;
+  if (release) {
+    // Units held for contrast stopped before their uploads; a released run resolves them again.
+    for (const [name, saved] of Object.entries(steps)) {
+      if (name.startsWith("line_item:") && saved?.contrast_held) delete steps[name];
+    }
+  }
+  let resolved;
+  try {
+    resolved = await mapWithConcurrency(units, lineItemConcurrency(), (unit, i) => {
+      const trackUnitRequest = (entry) => {
+        const tagged = { unit: i, ...entry };
+        unitRequests[i].push(tagged);
+        console.log("[order-pipeline][trace]", JSON.stringify(tagged));
+      };
+      return step(`line_item:${i}`, () => resolveLineItem(unit, {
+        trackRequest: trackUnitRequest,
+        imageCache,
+        templateLayouts,
+        contrastSettings,
+        holdForContrast,
+        preflightSettings,
+        renderPreviews,
+        orderExternalId,
+        itemIndex: i,
+        ...createPrintfulFileHelpers(trackUnitRequest),
+      }));
+    });
+  } finally {
+    for (const entries of unitRequests) trace.requests.push(...entries);
+  }
+  for (const unit of resolved) {
+    items.push(...unit.items);
+    itemFiles.push(...unit.item_files);
+    missing.push(...unit.missing);
+    missingLineItems.push(...unit.missing_line_items);
+    trace.line_items.push(...unit.line_items);
+    contrastIssues.push(...unit.contrast_issues);
+  }
+  trace.missing = missing;
+
+  if (contrastSettings.policy !== "off") {
+    trace.art_contrast = {
+      policy: contrastSettings.policy,
+      min_ratio: contrastSettings.minRatio,
+      min_visible: contrastSettings.minVisible,
+      issues: contrastIssues,
+    };
+  }
+  // Checked first: units held for contrast sent nothing, so they aren't missing items, and an
+  // order whose every unit was held must be held rather than end with no valid items.
+  if (contrastSettings.policy === "hold" && contrastIssues.length > 0) {
+    const flag = buildContrastHoldFlag(contrastIssues);
+    const flagResult = await step("art_contrast_flag", () => flagShopifyOrder(order, flag));
+    trace.art_contrast.shopify_flag = { tag: flag.tag, note: flag.note, ...flagResult };
+    trackRequest({ type: "art_contrast_hold", issue_count: contrastIssues.length, ok: flagResult.ok, response_status: flagResult.status });
+    if (!release) {
+      console.warn("[order-pipeline] order held for low-contrast art", { orderId: order.id, issues: contrastIssues.length });
+      trace.result = { ok: false, reason: "held_low_contrast" };
+      return { ok: false, reason: "held_low_contrast", issues: contrastIssues, missing };
+    }
+    trace.art_contrast.released = true;
+    releasedHolds.push("low_contrast");
+  }
+
+  if (missingLineItems.length > 0) {
+    const { policy, source } = resolvePartialOrderPolicy(trace.incoming.shopify_shop_domain || shopifyShopDomain());
+    // Nothing resolvable means nothing to split or submit, so the order is held regardless.
+    const action = items.length === 0 ? "hold" : policy;
+    const flag = buildPartialOrderFlag({ policy, action, missingLineItems, submittedCount: items.length });
+    const flagResult = await step("partial_order_flag", () => flagShopifyOrder(order, flag));
+    trace.partial_order = {
+      policy,
+      policy_source: source,
+      action,
+      submitted_count: items.length,
+      missing_line_items: missingLineItems,
+      shopify_flag: { tag: flag.tag, note: flag.note, note_attributes: flag.noteAttributes, ...flagResult },
+    };
+    trackRequest({ type: "partial_order_policy", policy, action, ok: flagResult.ok, response_status: flagResult.status });
+
+    if (action === "hold" && items.length > 0) {
+      if (!release) {
+        console.warn("[order-pipeline] partial order held by policy", { orderId: order.id, missing });
+        trace.result = { ok: false, reason: "held_partial_order", policy };
+        return { ok: false, reason: "held_partial_order", policy, missing };
+      }
+      trace.partial_order.released = true;
+      releasedHolds.push("partial_order");
+    }
+  }
+
+  if (items.length === 0) {
+    console.error("[order-pipeline] no valid items", { missing, orderId: order.id });
+    trace.result = { ok: false, reason: "No valid items" };
+    return { ok: false, reason: "No valid items", missing };
+  }
+
+  if (releasedHolds.length > 0) {
+    const flag = {
+      tag: HOLD_RELEASED_TAG,
+      note: `[Printful] Hold released by review (${releasedHolds.join(", ")}); ${items.length} item(s) sent to Printful.`,
+    };
+    const flagResult = await step("hold_release_flag", () => flagShopifyOrder(order, flag));
+    trackRequest({ type: "hold_released", holds: releasedHolds, ok: flagResult.ok, response_status: flagResult.status });
+    console.log("[order-pipeline] hold released", { orderId: order.id, holds: releasedHolds });
+  }
+
+  const draftOrder = {
+    recipient,
+    items,
+    external_id: orderExternalId,
+    shipping: "STANDARD",
+    store_id: Number(process.env.PRINTFUL_STORE_ID),
+    confirm: false, // <-- create draft first
+  };
+
+  // steps.submit: { create_started_at, printful_order_id, confirmed_at } — a resumed run with a
+  // draft ID only confirms, and one with confirmed_at (a forced rerun) submits nothing.
+  const submit = steps.submit || (steps.submit = {});
+  if (submit.confirmed_at) {
+    trackRequest({ type: "printful_order_already_submitted", printful_order_id: submit.printful_order_id, confirmed_at: submit.confirmed_at });
+    trace.result = { ok: true, status: "already_submitted", printful_order_id: submit.printful_order_id };
+    return { ok: true, already_submitted: true, printful_order_id: submit.printful_order_id, missing };
+  }
+  let printfulOrderId = submit.printful_order_id ?? null;
+  let submitStage = printfulOrderId ? "confirm" : "create";
+  let lastResponseStatus = null;
+  let draftPayload = null;
+  try {
+    // ---- Step 1: Create draft (skipped when an earlier run of this job created it)
+    if (!printfulOrderId) {
+      const cancelledBeforeCreate = await findCancellation();
+      if (cancelledBeforeCreate) return stopCancelled("before_create", cancelledBeforeCreate);
+      const interrupted = Boolean(submit.create_started_at);
+      submit.create_started_at = new Date().toISOString();
+      await checkpoint("submit");
+      trackRequest({
+        type: "printful_order_create_request",
+        request: draftOrder,
+      });
+      const draft = await createPrintfulDraftOrder(draftOrder, { onTrace: trackRequest });
+      draftPayload = draft.payload;
+      lastResponseStatus = draft.status;
+      trackRequest({
+        type: "printful_order_create_response",
+        response_status: draft.status,
+        response_ok: draft.ok,
+        response_preview: truncate(draftPayload),
+      });
+      if (draft.ok) {
+        printfulOrderId = draftPayload?.result?.id;
+        if (!printfulOrderId) throw new Error("Draft order creation failed");
+      } else if (isPrintfulExternalIdDuplicate(draftPayload)) {
+        if (interrupted) {
+          // An earlier run of this job created the draft but stopped before recording its ID.
+          const found = await getPrintfulOrder({ externalId: draftOrder.external_id }, { onTrace: trackRequest });
+          trackRequest({
+            type: "printful_order_lookup",
+            external_id: draftOrder.external_id,
+            response_status: found.status,
+            response_ok: found.ok,
+            printful_status: found.payload?.result?.status || null,
+          });
+          if (found.ok && found.payload?.result?.status === "draft") {
+            printfulOrderId = found.payload.result.id;
+            draftPayload = found.payload;
+          }
+        }
+        if (!printfulOrderId) {
+          trace.result = {
+            ok: true,
+            status: "already_exists",
+            external_id: draftOrder.external_id,
+            printful_error_code: draftPayload?.error?.api_error_code || null,
+          };
+          console.log("[printful] duplicate external_id treated as success", {
+            externalId: draftOrder.external_id,
+            code: draftPayload?.error?.api_error_code || null,
+          });
+          return { ok: true, already_exists: true, external_id: draftOrder.external_id, missing };
+        }
+      } else {
+        throw new Error(`Draft order create failed (${draft.status}): ${JSON.stringify(draftPayload)}`);
+      }
+      submit.printful_order_id = printfulOrderId;
+      await checkpoint("submit");
+    }
+    const orderId = printfulOrderId;
+    submitStage = "confirm";
+
+    const cancelledBeforeConfirm = await findCancellation();
+    if (cancelledBeforeConfirm) {
+      // The draft exists but was never confirmed: remove it rather than leave it for Printful.
+      const removed = await cancelPrintfulOrder({ id: orderId }, { onTrace: trackRequest });
+      trackRequest({
+        type: "printful_order_cancel_response",
+        printful_order_id: orderId,
+        response_status: removed.status,
+        response_ok: removed.ok,
+        response_preview: truncate(removed.payload),
+      });
+      return stopCancelled("before_confirm", cancelledBeforeConfirm, { printful_order_id: orderId, draft_cancelled: removed.ok });
+    }
+
+    // ---- Step 2: Confirm the draft
+    const confirm = await confirmPrintfulOrder(orderId, { onTrace: trackRequest });
+    const confirmPayload = confirm.payload;
+    lastResponseStatus = confirm.status;
+    trackRequest({
+      type: "printful_order_confirm_response",
+      printful_order_id: orderId,
+      response_status: confirm.status,
+      response_ok: confirm.ok,
+      response_preview: truncate(confirmPayload),
+    });
+    if (!confirm.ok) {
+      throw new Error(`Draft confirm failed (${confirm.status}): ${JSON.stringify(confirmPayload)}`);
+    }
+    submit.confirmed_at = new Date().toISOString();
+    await checkpoint("submit");
+    console.log("[printful] Order confirmed:", confirmPayload?.result?.id);
+    trace.result = { ok: true, printful_order_id: confirmPayload?.result?.id || orderId };
+    return { ok: true, draft: draftPayload, confirmed: confirmPayload, missing };
+
+  } catch (err) {
+    console.error("[printful] Order creation/confirmation failed:", err);
+    // Shopify won't redeliver a webhook we answered with 200, so park the resolved
+    // payload in the retry queue instead of dropping a paid order.
+    const retry = await enqueuePrintfulRetry({
+      draftOrder,
+      itemFiles,
+      printfulOrderId,
+      stage: submitStage,
+      error: truncate(String(err)),
+      responseStatus: lastResponseStatus,
+      source: { shopify_order_id: order.id || null, order_number: order.order_number || null },
+    });
+    trackRequest({
+      type: "printful_retry_enqueued",
+      stage: submitStage,
+      queued: Boolean(retry),
+      retry_key: retry?.key || null,
+      next_attempt_at: retry?.next_attempt_at || null,
+    });
+    trace.result = { ok: false, error: String(err), retry_queued: Boolean(retry), retry_key: retry?.key || null };
+    return { ok: false, error: String(err), retry_queued: Boolean(retry), missing };
+  }
+}
+
+// ---- Entry point
+/**
+ * Run a job ({ order, topic, shop_domain, webhook_id, received_at, debug_bypass, steps })
+ * through the pipeline. Returns { trace, response, logKey }; logKey is where the trace was saved.
+ * `checkpoint(stepName)` is called after each completed step so the caller can persist
+ * `job.steps`. Errors propagate (after the partial trace is saved) so the job can be rerun.
+ */
+export async function runOrderPipeline(job, { checkpoint = async () => {} } = {}) {
+  const order = job.order || {};
+  const steps = job.steps || (job.steps = {});
+  const trace = {
+    received_at: new Date().toISOString(),
+    debug_bypass: Boolean(job.debug_bypass),
+    ...(job.id ? { job_id: job.id, job_attempt: job.attempt_count ?? null, webhook_received_at: job.received_at ?? null } : {}),
+    ...(job.released_at ? { released_at: job.released_at } : {}),
+    incoming: {
+      shopify_topic: job.topic || null,
+      shopify_shop_domain: job.shop_domain || null,
+      webhook_id: job.webhook_id || null,
+      shopify_order_id: order.id || null,
+      order_number: order.order_number || null,
+      line_item_count: (order.line_items || []).length,
+      raw_preview: truncate(JSON.stringify(order), 1800),
+    },
+    line_items: [],
+    requests: [],
+    missing: [],
+    result: null,
+  };
+
+  const trackRequest = (entry) => {
+    trace.requests.push(entry);
+    console.log("[order-pipeline][trace]", JSON.stringify(entry));
+  };
+
+  /** Run `fn` once per job: a resumed run gets the stored result back instead. */
+  const step = async (name, fn) => {
+    if (name in steps) {
+      (trace.resumed_steps ||= []).push(name);
+      return steps[name];
+    }
+    const value = await fn();
+    steps[name] = value ?? null;
+    await checkpoint(name);
+    return value;
+  };
+
+  let response;
+  try {
+    // ---- Follow-up topics act on the existing Printful order; anything else is treated as order creation.
+    const topicHandlers = {
+      "orders/cancelled": handleOrderCancelled,
+      "orders/updated": handleOrderUpdated,
+      "refunds/create": handleRefundCreated,
+    };
+    const topicHandler = topicHandlers[String(trace.incoming.shopify_topic || "").toLowerCase()];
+    if (topicHandler) {
+      try {
+        trace.result = await topicHandler(order, { trackRequest, trace });
+      } catch (err) {
+        console.error("[order-pipeline] topic handler failed:", trace.incoming.shopify_topic, err);
+        trace.result = { ok: false, error: String(err) };
+      }
+      response = trace.result;
+    } else {
+      response = await processOrderCreate(order, { trace, trackRequest, step, steps, checkpoint, release: Boolean(job.released_at) });
+    }
+  } catch (err) {
+    trace.result = { ok: false, error: String(err?.message || err), interrupted: true };
+    console.log("[order-pipeline][trace:summary]", JSON.stringify(trace));
+    await saveOrderLog(trace);
+    throw err;
+  }
+  console.log("[order-pipeline][trace:summary]", JSON.stringify(trace));
+  const logKey = await saveOrderLog(trace);
+  return { trace, response, logKey };
+}
@@ -0,0 +1,98 @@
+// api/order-preview.js
+// Flat mockups of what was sent to Printful, so support can check an order without
+// opening the Printful dashboard. Each Printful item gets one PNG: a tile per file
+// (main art first), each a garment-shaped panel in the item's colorHexMap color
+// with the art fitted on it.
+// Stored in R2 at _previews/{order external_id}/{item external_id}.png.
+// Previews are best-effort: callers catch failures and record them in the trace.
+import sharp from "sharp";
+import { garmentHex, createImageCache, loadImage, hexLuminance } from "./image-utils.js";
+import { hasR2Config, putObject, getObject, listKeys } from "./r2-store.js";
+
+const PREVIEW_PREFIX = "_previews";
+const TILE_WIDTH = 600;
+const TILE_HEIGHT = 720;
+const ART_BOX = { width: 260, height: 340, top: 220 }; // inside the silhouette body
+
+/** ORDER_PREVIEWS=off disables rendering; previews also need R2 to be stored anywhere. */
+export function previewsEnabled() {
+  return String(process.env.ORDER_PREVIEWS || "on").toLowerCase() !== "off" && hasR2Config();
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/** SVG for one tile: a simple tee silhouette in the garment color plus the placement label. */
+function tileSvg(hex, label) {
+  const ink = hexLuminance(hex) > 0.5 ? "#222222" : "#F5F5F5";
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${TILE_WIDTH}" height="${TILE_HEIGHT}">
+  <rect width="100%" height="100%" fill="#F4F4F4"/>
+  <path d="M190 40 L410 40 L560 150 L500 240 L450 205 L450 640 L150 640 L150 205 L100 240 L40 150 Z"
+        fill="${hex}" stroke="#00000033" stroke-width="3" stroke-linejoin="round"/>
+  <text x="300" y="${TILE_HEIGHT - 30}" text-anchor="middle" font-family="sans-serif" font-size="28" fill="#555555">${escapeXml(label)}</text>
+  <text x="300" y="620" text-anchor="middle" font-family="sans-serif" font-size="18" fill="${ink}" opacity="0.6">${escapeXml(hex)}</text>
+</svg>`);
+}
+
+async function renderTile({ hex, label, url }, cache) {
+  const art = await sharp(await loadImage(url, cache))
+    .resize({ width: ART_BOX.width, height: ART_BOX.height, fit: "inside" })
+    .png()
+    .toBuffer();
+  const { width, height } = await sharp(art).metadata();
+  return sharp(tileSvg(hex, label))
+    .composite([{
+      input: art,
+      left: Math.round((TILE_WIDTH - width) / 2),
+      top: ART_BOX.top + Math.round((ART_BOX.height - height) / 2),
+    }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Render an item preview. `files` is [{ placement, url }] in Printful order (main file first).
+ * Returns { png, hex, color_matched, placements }.
+ */
+export async function renderItemPreview({ color, files, imageCache = createImageCache() }) {
+  if (!files?.length) throw new Error("No files to preview");
+  const { hex, matched } = garmentHex(color);
+  const tiles = [];
+  for (const f of files) {
+    tiles.push(await renderTile({ hex, label: f.placement, url: f.url }, imageCache));
+  }
+  const png = await sharp({
+    create: { width: TILE_WIDTH * tiles.length, height: TILE_HEIGHT, channels: 4, background: "#F4F4F4" },
+  })
+    .composite(tiles.map((input, i) => ({ input, left: i * TILE_WIDTH, top: 0 })))
+    .png()
+    .toBuffer();
+  return { png, hex, color_matched: matched, placements: files.map((f) => f.placement) };
+}
+
+function keyPart(value) {
+  return String(value || "unknown").replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+function previewKey(orderExternalId, itemExternalId) {
+  return `${PREVIEW_PREFIX}/${keyPart(orderExternalId)}/${keyPart(itemExternalId)}.png`;
+}
+
+/** Render and store an item preview. Returns { key, hex, color_matched, placements }. */
+export async function saveItemPreview({ orderExternalId, itemExternalId, color, files, imageCache }) {
+  const { png, ...meta } = await renderItemPreview({ color, files, imageCache });
+  const key = await putObject(previewKey(orderExternalId, itemExternalId), png, "image/png");
+  return { key, ...meta };
+}
+
+/** Preview keys for one order (by Printful external_id), sorted. */
+export async function listOrderPreviews(orderExternalId) {
+  return (await listKeys(`${PREVIEW_PREFIX}/${keyPart(orderExternalId)}/`, { maxKeys: 200 })).sort();
+}
+
+/** PNG bytes for a preview key, or null. Only keys under _previews/ are served. */
+export async function getOrderPreview(key) {
+  if (!String(key || "").startsWith(`${PREVIEW_PREFIX}/`)) return null;
+  return getObject(key);
+}
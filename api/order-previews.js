@@ -0,0 +1,39 @@
+import { listOrderPreviews, getOrderPreview } from "./order-preview.js";
+import { printfulExternalId } from "./printful-orders.js";
+
+// GET ?token=DEBUG_TOKEN&order=1234            list preview keys (order number or NBHL external_id)
+// GET ?token=DEBUG_TOKEN&key=_previews/...png  the preview image itself
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).send("Method Not Allowed");
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const token = url.searchParams.get("token");
+  if (!token || token !== process.env.DEBUG_TOKEN) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  const key = url.searchParams.get("key");
+  const order = String(url.searchParams.get("order") || "").trim();
+
+  try {
+    if (key) {
+      const preview = await getOrderPreview(key);
+      if (!preview) return res.status(404).json({ error: `No preview at ${key}` });
+      res.setHeader("Content-Type", preview.contentType);
+      res.setHeader("Cache-Control", "private, max-age=300");
+      return res.status(200).send(preview.body);
+    }
+
+    if (!order) return res.status(400).json({ error: "Pass &order=<order number> or &key=<preview key>" });
+    const externalId = /^NBHL/i.test(order) ? order.toUpperCase() : printfulExternalId({ order_number: order });
+    const keys = await listOrderPreviews(externalId);
+    return res.status(200).json({
+      external_id: externalId,
+      count: keys.length,
+      keys,
+      hint: "Add &key=<key> to view a preview image. Order traces list each item's preview_key.",
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
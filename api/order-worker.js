@@ -0,0 +1,66 @@
+import {
+  ORDER_JOB_STATUSES,
+  listOrderJobs,
+  getOrderJob,
+  processOrderJobs,
+} from "./order-jobs.js";
+
+// GET  ?token=...                     list pending jobs (&status=running|done|failed)
+// GET  ?token=...&job_id=...          one job with its steps, attempts and result
+// POST ?token=... (or GET &run=1)     run due jobs; add &job_id=..&force=1 to run one now,
+//                                     including a failed or done one
+// POST ?token=...&job_id=...&release=1  release a held order: rerun the job and submit it
+//                                     past the partial-order or contrast hold
+// A scheduler (e.g. Vercel Cron) or the webhook's kick may call with
+// `Authorization: Bearer $CRON_SECRET` instead of ?token.
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const token = url.searchParams.get("token");
+  const cronAuth = Boolean(process.env.CRON_SECRET) &&
+    req.headers.authorization === `Bearer ${process.env.CRON_SECRET}`;
+  if (!cronAuth && (!token || token !== process.env.DEBUG_TOKEN)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  const jobId = url.searchParams.get("job_id");
+  const release = url.searchParams.get("release") === "1";
+  const run = req.method === "POST" || url.searchParams.get("run") === "1" || cronAuth;
+  if (release && (!jobId || !run)) {
+    return res.status(400).json({ error: "release=1 needs a job_id and a POST (or &run=1)" });
+  }
+
+  try {
+    if (run) {
+      const results = await processOrderJobs({
+        jobId,
+        force: url.searchParams.get("force") === "1",
+        release,
+        limit: Math.min(Number(url.searchParams.get("limit") || 5), 20),
+      });
+      return res.status(200).json({ ok: true, processed: results.length, results });
+    }
+
+    if (jobId) {
+      const job = await getOrderJob(jobId);
+      if (!job) return res.status(404).json({ error: "No job with that job_id" });
+      return res.status(200).json(job);
+    }
+
+    const status = url.searchParams.get("status") || "pending";
+    if (!ORDER_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ORDER_JOB_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Number(url.searchParams.get("limit") || 50), 200);
+    const keys = await listOrderJobs({ status, limit });
+    return res.status(200).json({
+      count: keys.length,
+      status,
+      keys,
+      hint: "Add &job_id=<id> to see a job's steps and attempts, or &run=1 to run due jobs.",
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
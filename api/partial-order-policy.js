@@ -0,0 +1,74 @@
+// api/partial-order-policy.js
+// What to do with an order when some line items could not be resolved
+// (bad SKU, variant map miss, art upload or preflight failure, unprintable name):
+//   partial — submit the resolved items, flag the shortfall on the Shopify order
+//   hold    — submit nothing, flag the Shopify order for manual review
+//   split   — submit the resolved items and record the remainder line items on the
+//             Shopify order so shipment fulfillment leaves them open
+//
+// PARTIAL_ORDER_POLICY sets the default; PARTIAL_ORDER_POLICY_BY_STORE overrides it per
+// shop domain as JSON, e.g. {"nbhl.myshopify.com":"hold"}.
+
+export const PARTIAL_ORDER_POLICIES = ["partial", "hold", "split"];
+
+/** Shopify note attribute listing line item IDs that were not sent to Printful. */
+export const REMAINDER_NOTE_ATTRIBUTE = "printful_remainder_line_items";
+
+const POLICY_TAGS = {
+  partial: "printful-partial",
+  hold: "printful-hold",
+  split: "printful-split",
+};
+
+function normalizeDomain(value) {
+  return String(value || "").toLowerCase().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+}
+
+function storePolicyOverrides() {
+  const raw = process.env.PARTIAL_ORDER_POLICY_BY_STORE || "";
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(parsed).map(([k, v]) => [normalizeDomain(k), String(v).toLowerCase()]));
+  } catch {
+    console.warn("[partial-order-policy] PARTIAL_ORDER_POLICY_BY_STORE is not valid JSON; ignoring");
+    return {};
+  }
+}
+
+/** Resolve the policy for a shop domain. Unknown values fall back to `partial`. */
+export function resolvePartialOrderPolicy(shopDomain) {
+  const override = storePolicyOverrides()[normalizeDomain(shopDomain)];
+  if (PARTIAL_ORDER_POLICIES.includes(override)) return { policy: override, source: "store" };
+  const fallback = String(process.env.PARTIAL_ORDER_POLICY || "partial").toLowerCase();
+  if (PARTIAL_ORDER_POLICIES.includes(fallback)) return { policy: fallback, source: "default" };
+  return { policy: "partial", source: "builtin" };
+}
+
+/**
+ * Tag, note and note attributes to write on the Shopify order.
+ * `action` is the policy actually applied — an order with nothing resolvable is
+ * always held, whatever the configured policy.
+ */
+export function buildPartialOrderFlag({ policy, action, missingLineItems, submittedCount }) {
+  const tag = POLICY_TAGS[action] || POLICY_TAGS.partial;
+  const listed = missingLineItems
+    .map((m) => `${m.sku || m.title || m.line_item_id} (${m.reason})`)
+    .join(", ");
+  const outcome = action === "hold"
+    ? "order held, nothing sent to Printful"
+    : `${submittedCount} item(s) sent to Printful`;
+  const policyNote = policy === action ? policy : `${policy}, applied as ${action}`;
+  const note = `[Printful] ${missingLineItems.length} line item(s) not sent (policy: ${policyNote}); ${outcome}. Unresolved: ${listed}`;
+  const noteAttributes = action === "split"
+    ? [{ name: REMAINDER_NOTE_ATTRIBUTE, value: missingLineItems.map((m) => m.line_item_id).filter(Boolean).join(",") }]
+    : [];
+  return { tag, note, noteAttributes };
+}
+
+/** Parse the remainder note attribute back into a set of line item IDs (as strings). */
+export function remainderLineItemIds(noteAttributes = []) {
+  const attr = (Array.isArray(noteAttributes) ? noteAttributes : [])
+    .find((a) => a?.name === REMAINDER_NOTE_ATTRIBUTE);
+  return new Set(String(attr?.value || "").split(",").map((v) => v.trim()).filter(Boolean));
+}
@@ -0,0 +1,117 @@
+// api/placement-sets.js
+// Which extra placement files (besides the main file) the webhook looks for, per product.
+// A placement is a Printful file type; its art is {templateRef}/{templateRef}_{placement}.png.
+//
+// Resolution, first match wins:
+//   1. the template's layout file: "placements": ["back", "label_inside"], or keyed by product
+//      code with "*" as the fallback: { "Y6245CM": ["embroidery_back"], "*": ["back"] }
+//   2. PLACEMENT_SETS (JSON object keyed by product code, "*" for everything else), merged over
+//      the built-ins below
+//   3. BUILTIN_PLACEMENT_SETS
+// The result is then narrowed to the file types the Printful catalog product actually has, so
+// a set can list placements some products lack without costing a HEAD request, and
+// embroidery_* placements are dropped unless the item is embroidered: a hat sent as DTF
+// (TECHNIQUE_POLICY=dtf) takes only its front_dtf_hat file.
+
+export const DEFAULT_PLACEMENTS = ["front", "back", "sleeve_left", "sleeve_right"];
+
+export const BUILTIN_PLACEMENT_SETS = {
+  "*": DEFAULT_PLACEMENTS,
+  BC3001: DEFAULT_PLACEMENTS,
+  G18500: DEFAULT_PLACEMENTS,
+  CHM2580: DEFAULT_PLACEMENTS,
+  // Hats: the main file is the front (embroidery or front_dtf_hat). The embroidery_* files only
+  // go on embroidered hats.
+  Y6245CM: ["embroidery_back", "embroidery_left", "embroidery_right"],
+  R258: ["embroidery_back", "embroidery_left", "embroidery_right"],
+  // All-over print: one file covers the whole piece.
+  HEADBAND: [],
+};
+
+const PLACEMENT_NAME = /^[a-z0-9_]+$/;
+
+let cachedSets = null;
+let cachedSource = null;
+
+/** Keep valid placement names from a list; null when `list` isn't an array. */
+export function normalizePlacementList(list) {
+  if (!Array.isArray(list)) return null;
+  return [...new Set(list.map((p) => String(p || "").trim().toLowerCase()).filter((p) => PLACEMENT_NAME.test(p)))];
+}
+
+/** Placement sets from PLACEMENT_SETS merged over the built-ins. */
+export function loadPlacementSets() {
+  const raw = process.env.PLACEMENT_SETS || "";
+  if (cachedSets && cachedSource === raw) return cachedSets;
+
+  const sets = { ...BUILTIN_PLACEMENT_SETS };
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        for (const [code, list] of Object.entries(parsed)) {
+          const placements = normalizePlacementList(list);
+          if (placements) sets[code === "*" ? "*" : code.toUpperCase()] = placements;
+          else console.warn("[placement-sets] PLACEMENT_SETS entry must be an array", code);
+        }
+      } else {
+        console.warn("[placement-sets] PLACEMENT_SETS must be a JSON object; using defaults");
+      }
+    } catch {
+      console.warn("[placement-sets] PLACEMENT_SETS is not valid JSON; using defaults");
+    }
+  }
+  cachedSets = sets;
+  cachedSource = raw;
+  return sets;
+}
+
+/** File types of a Printful catalog product (`product.files[].type`), or null when unknown. */
+export function catalogFileTypes(product) {
+  if (!Array.isArray(product?.files)) return null;
+  return product.files.map((f) => f?.type || f?.id).filter(Boolean);
+}
+
+function templateSet(override, productCode) {
+  if (!override) return null;
+  if (Array.isArray(override)) return override;
+  return override[String(productCode || "").toUpperCase()] ?? override["*"] ?? null;
+}
+
+const isEmbroideryPlacement = (p) => p.startsWith("embroidery_");
+
+/**
+ * Placements to HEAD-check for a line item: { placements, source, unsupported, wrong_technique }.
+ * `templateOverride` is the layout file's `placements`; `fileTypes` comes from
+ * catalogFileTypes() (null skips the catalog filter); `mainFileType` is never repeated
+ * as a placement. `embroidered` is whether the item's main technique is EMBROIDERY; false
+ * moves embroidery_* placements to `wrong_technique`, null (technique unknown) keeps them.
+ */
+export function resolvePlacements({ productCode, templateOverride = null, fileTypes = null, mainFileType = null, embroidered = null }) {
+  const code = String(productCode || "").toUpperCase();
+  const sets = loadPlacementSets();
+  const fromTemplate = templateSet(templateOverride, code);
+  let candidates;
+  let source;
+  if (fromTemplate) {
+    candidates = fromTemplate;
+    source = "template";
+  } else if (sets[code]) {
+    candidates = sets[code];
+    source = code in BUILTIN_PLACEMENT_SETS && sets[code] === BUILTIN_PLACEMENT_SETS[code] ? "builtin" : "env";
+  } else {
+    candidates = sets["*"];
+    source = sets["*"] === BUILTIN_PLACEMENT_SETS["*"] ? "builtin" : "env";
+  }
+  candidates = candidates.filter((p) => p !== mainFileType);
+  const wrongTechnique = embroidered === false ? candidates.filter(isEmbroideryPlacement) : [];
+  if (wrongTechnique.length > 0) candidates = candidates.filter((p) => !isEmbroideryPlacement(p));
+  if (!fileTypes) return { placements: candidates, source, unsupported: [], wrong_technique: wrongTechnique };
+  const known = new Set(fileTypes);
+  return {
+    placements: candidates.filter((p) => known.has(p)),
+    source,
+    unsupported: candidates.filter((p) => !known.has(p)),
+    wrong_technique: wrongTechnique,
+  };
+}
@@ -0,0 +1,162 @@
+// api/print-preflight.js
+// Check art files before they are uploaded to Printful. Each file's pixel size is compared
+// with the Printful print area for its variant and placement (from the mockup generator's
+// printfiles endpoint), and its DPI metadata, color mode, format and transparency are read
+// with sharp.
+//
+// PRINT_PREFLIGHT_POLICY   warn (default) — record findings in the trace only
+//                          block — a line item with any error finding is not sent to Printful
+//                                  (it goes through PARTIAL_ORDER_POLICY as `preflight_failed`)
+//                          off  — skip preflight
+// PRINT_PREFLIGHT_MIN_DPI  effective DPI below this is an error (default 100); below the
+//                          print area's own DPI (usually 150) is a warning
+// Embroidered items also get a stitch estimate (embroidery.js); over the limit is an error.
+import sharp from "sharp";
+import { estimateStitches } from "./embroidery.js";
+import { printful } from "./printful-client.js";
+
+export const PREFLIGHT_POLICIES = ["warn", "block", "off"];
+
+const ASPECT_TOLERANCE = 0.1;
+const SUPPORTED_FORMATS = ["png", "jpeg"];
+
+// Printfiles rarely change; keep them for the life of the function instance.
+const printfileCache = new Map(); // `${productId}:${technique}` → Promise<result|null>
+
+/** Policy and thresholds from env. Unknown policies fall back to `warn`. */
+export function resolvePreflightPolicy() {
+  const raw = String(process.env.PRINT_PREFLIGHT_POLICY || "warn").toLowerCase();
+  const minDpi = Number(process.env.PRINT_PREFLIGHT_MIN_DPI);
+  return {
+    policy: PREFLIGHT_POLICIES.includes(raw) ? raw : "warn",
+    minDpi: Number.isFinite(minDpi) && minDpi > 0 ? minDpi : 100,
+  };
+}
+
+/** Printfiles for a catalog product: { printfiles, variant_printfiles, ... }, or null when unavailable. */
+export function getPrintfiles(productId, technique = null) {
+  const cacheKey = `${productId}:${technique || ""}`;
+  if (!printfileCache.has(cacheKey)) {
+    const promise = (async () => {
+      const res = await printful.getPrintfiles(productId, { technique });
+      if (!res.ok) {
+        printfileCache.delete(cacheKey); // don't pin a transient failure
+        return null;
+      }
+      return res.payload?.result || null;
+    })();
+    promise.catch(() => printfileCache.delete(cacheKey)); // nor a network error that outlasted its retries
+    printfileCache.set(cacheKey, promise);
+  }
+  return printfileCache.get(cacheKey);
+}
+
+/**
+ * Print area for a variant and placement: { placement, printfile_id, width, height, dpi }, or null.
+ * `default` (the main file) resolves to Printful's `default` slot, then `front`, then the
+ * variant's first placement.
+ */
+export function printAreaFor(printfiles, variantId, placement) {
+  const slots = (printfiles?.variant_printfiles || []).find((v) => v.variant_id === variantId)?.placements;
+  if (!slots) return null;
+  const name = placement in slots
+    ? placement
+    : placement === "default"
+      ? ("front" in slots ? "front" : Object.keys(slots)[0])
+      : null;
+  if (!name) return null;
+  const pf = (printfiles.printfiles || []).find((p) => p.printfile_id === slots[name]);
+  return pf ? { placement: name, printfile_id: pf.printfile_id, width: pf.width, height: pf.height, dpi: pf.dpi } : null;
+}
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+/**
+ * Inspect one file. Returns { placement, image, print_area, effective_dpi, estimated_stitches, findings }.
+ * `printArea` may be null (print area unknown), which skips the size checks. `maxStitches`
+ * (embroidered items only) turns on the stitch estimate.
+ */
+export async function preflightArt(buffer, { placement, printArea }, { minDpi, maxStitches = null }) {
+  const image = sharp(buffer);
+  const meta = await image.metadata();
+  const findings = [];
+
+  if (!SUPPORTED_FORMATS.includes(meta.format)) {
+    findings.push(finding("unsupported_format", "error", `format ${meta.format || "unknown"}; Printful expects PNG or JPEG`));
+  }
+  if (meta.space === "cmyk") {
+    findings.push(finding("cmyk_color_mode", "error", "CMYK art; Printful expects RGB and colors will shift"));
+  } else if (meta.space === "b-w" || meta.channels === 1 || meta.channels === 2) {
+    findings.push(finding("grayscale_color_mode", "warning", "grayscale art"));
+  }
+  if (!meta.hasAlpha) {
+    findings.push(finding("no_alpha", "warning", "no alpha channel; the background will print as a solid block"));
+  } else if ((await image.stats()).isOpaque) {
+    findings.push(finding("opaque_background", "warning", "alpha channel is fully opaque; the background will print as a solid block"));
+  }
+  if (meta.density && meta.density < minDpi) {
+    findings.push(finding("low_density_metadata", "warning", `file is tagged ${meta.density} DPI`));
+  }
+
+  let effectiveDpi = null;
+  if (!printArea) {
+    findings.push(finding("print_area_unknown", "warning", `no Printful print area for placement ${placement}; size not checked`));
+  } else {
+    // Printful scales the art to fit the print area; what matters is the DPI after that scaling.
+    const scale = Math.min(meta.width / printArea.width, meta.height / printArea.height);
+    effectiveDpi = Math.round(printArea.dpi * scale);
+    if (effectiveDpi < minDpi) {
+      findings.push(finding("low_resolution", "error",
+        `${meta.width}x${meta.height}px prints at ~${effectiveDpi} DPI on a ${printArea.width}x${printArea.height}px area (minimum ${minDpi})`));
+    } else if (effectiveDpi < printArea.dpi) {
+      findings.push(finding("below_print_dpi", "warning",
+        `${meta.width}x${meta.height}px prints at ~${effectiveDpi} DPI; the print area is ${printArea.dpi} DPI`));
+    }
+    const artAspect = meta.width / meta.height;
+    const areaAspect = printArea.width / printArea.height;
+    if (Math.abs(artAspect - areaAspect) / areaAspect > ASPECT_TOLERANCE) {
+      findings.push(finding("aspect_mismatch", "warning",
+        `art aspect ${artAspect.toFixed(2)} vs print area ${areaAspect.toFixed(2)}; it will be letterboxed`));
+    }
+  }
+
+  const estimatedStitches = maxStitches ? await estimateStitches(buffer, printArea) : null;
+  if (estimatedStitches !== null && estimatedStitches > maxStitches) {
+    findings.push(finding("stitch_limit_exceeded", "error",
+      `~${estimatedStitches} stitches estimated; the limit is ${maxStitches}`));
+  }
+
+  return {
+    placement,
+    image: {
+      width: meta.width,
+      height: meta.height,
+      format: meta.format,
+      space: meta.space,
+      density: meta.density ?? null,
+      has_alpha: Boolean(meta.hasAlpha),
+    },
+    print_area: printArea,
+    effective_dpi: effectiveDpi,
+    estimated_stitches: estimatedStitches,
+    findings,
+  };
+}
+
+/**
+ * Preflight every file of a line item. `files` is [{ placement, buffer }]; `maxStitches` is set
+ * for embroidered items. Returns { ok, errors, warnings, files } where `ok` means no error findings.
+ */
+export async function preflightLineItem({ productId, variantId, technique, files, maxStitches = null }, settings = resolvePreflightPolicy()) {
+  const printfiles = productId ? await getPrintfiles(productId, technique) : null;
+  const results = [];
+  for (const f of files) {
+    const printArea = printfiles ? printAreaFor(printfiles, variantId, f.placement) : null;
+    results.push(await preflightArt(f.buffer, { placement: f.placement, printArea }, { ...settings, maxStitches }));
+  }
+  const all = results.flatMap((r) => r.findings);
+  const errors = all.filter((f) => f.severity === "error").length;
+  return { ok: errors === 0, errors, warnings: all.length - errors, files: results };
+}
@@ -0,0 +1,199 @@
+// api/printful-client.js
+// The one place that talks to the Printful API. Every request gets the auth and store
+// headers, waits for a slot in the `printful` rate-limit bucket (rate-limit.js), and is
+// retried when Printful asks for it:
+//   429           always retried — Printful rejected it before doing anything. Waits for
+//                 Retry-After (or X-Ratelimit-Reset), and pauses the bucket for everyone else.
+//   5xx, network  retried only for requests that are safe to repeat: reads, PUT/DELETE, file
+//                 uploads and webhook config. Order create and confirm are not — a create that
+//                 timed out may have gone through, and repeating it would come back as a
+//                 duplicate external_id. Their callers already park failures in the retry queue.
+// Waits between attempts double from PRINTFUL_API_RETRY_BASE_MS. A response whose X-Ratelimit-Remaining
+// is 0 pauses the bucket until X-Ratelimit-Reset, so the next request doesn't earn a 429.
+//
+// Methods resolve to { status, ok, payload, attempts } and never throw on HTTP errors, so callers
+// can record the response before deciding; a network error that survives its retries throws.
+// Pass `onTrace` (client-wide or per call) to receive a trace entry for every retry and
+// every rate-limit wait of a second or more: { type: "printful_api_retry" | "printful_api_throttled", ... }.
+//
+// PRINTFUL_API_BASE               API origin (default https://api.printful.com); point it at
+//                                 scripts/printful-mock-server.js to run against the mock
+// PRINTFUL_RATE_LIMIT_PER_MINUTE  client-side request rate (default 100 — Printful allows 120
+//                                 a minute per token; 0 = unlimited)
+// PRINTFUL_API_MAX_RETRIES        retries per request (default 3; 0 = off)
+// PRINTFUL_API_RETRY_BASE_MS      first backoff (default 500); doubles on each retry
+// PRINTFUL_API_RETRY_MAX_WAIT_MS  longest single wait (default 30000). A Retry-After beyond it
+//                                 isn't waited out: the 429 is returned to the caller.
+import { acquireSlot, pauseSlots, retryAfterMs, backoffMs } from "./rate-limit.js";
+
+const DEFAULT_API_BASE = "https://api.printful.com";
+const BUCKET = "printful";
+
+/**
+ * @typedef {object} PrintfulResponse
+ * @property {number} status    HTTP status of the last attempt
+ * @property {boolean} ok
+ * @property {object} payload   parsed body ({ raw } when it isn't JSON)
+ * @property {number} attempts  requests made, including retries
+ */
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function printfulApiBase() {
+  return (process.env.PRINTFUL_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, "");
+}
+
+function retrySettings() {
+  return {
+    maxRetries: envNumber("PRINTFUL_API_MAX_RETRIES", 3),
+    baseMs: envNumber("PRINTFUL_API_RETRY_BASE_MS", 500),
+    maxWaitMs: envNumber("PRINTFUL_API_RETRY_MAX_WAIT_MS", 30_000),
+  };
+}
+
+function safeJsonParse(text) {
+  try { return JSON.parse(text); }
+  catch { return { raw: text }; }
+}
+
+/** Time until X-Ratelimit-Reset: seconds from now, or an epoch timestamp. */
+function rateLimitResetMs(headers) {
+  const reset = Number(headers.get("x-ratelimit-reset"));
+  if (!headers.has("x-ratelimit-reset") || !Number.isFinite(reset)) return null;
+  return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A Printful client. `token` and `storeId` default to PRINTFUL_API_TOKEN (or PRINTFUL_API_KEY)
+ * and PRINTFUL_STORE_ID, read on each request; `onTrace` receives retry and throttle entries.
+ */
+export function createPrintfulClient({ token, storeId, baseUrl, onTrace } = {}) {
+  function headers(hasBody) {
+    const apiToken = token ?? (process.env.PRINTFUL_API_TOKEN || process.env.PRINTFUL_API_KEY);
+    const store = storeId ?? process.env.PRINTFUL_STORE_ID;
+    return {
+      ...(apiToken ? { Authorization: `Bearer ${apiToken}` } : {}),
+      ...(store ? { "X-PF-Store-Id": String(store) } : {}),
+      ...(hasBody ? { "Content-Type": "application/json" } : {}),
+    };
+  }
+
+  /**
+   * Any Printful endpoint. `retryUnsafe` marks a POST as safe to repeat after a 5xx or network
+   * error (GET, PUT and DELETE always are).
+   * @returns {Promise<PrintfulResponse>}
+   */
+  async function request(path, { method = "GET", body, query, retryUnsafe = false, onTrace: callTrace } = {}) {
+    const trace = callTrace || onTrace || null;
+    const search = query
+      ? new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== "")).toString()
+      : "";
+    const url = `${baseUrl || printfulApiBase()}${path}${search ? `?${search}` : ""}`;
+    const idempotent = method !== "POST" || retryUnsafe;
+    const { maxRetries, baseMs, maxWaitMs } = retrySettings();
+
+    let after429 = false; // that wait is already in the trace as the retry
+    for (let attempt = 1; ; attempt += 1) {
+      const throttledMs = await acquireSlot(BUCKET, envNumber("PRINTFUL_RATE_LIMIT_PER_MINUTE", 100));
+      if (throttledMs >= 1000 && !after429) {
+        trace?.({ type: "printful_api_throttled", method, path, waited_ms: throttledMs });
+      }
+
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          headers: headers(body !== undefined),
+          ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        });
+      } catch (err) {
+        if (!idempotent || attempt > maxRetries) throw err;
+        const wait = Math.min(backoffMs(baseMs, attempt), maxWaitMs);
+        trace?.({ type: "printful_api_retry", method, path, attempt, error: String(err?.message || err), wait_ms: wait, wait_source: "backoff" });
+        console.warn("[printful-client] network error; retrying", method, path, err?.message);
+        await sleep(wait);
+        continue;
+      }
+
+      // Out of requests for this window: hold everyone until it resets.
+      if (res.headers.get("x-ratelimit-remaining") === "0") {
+        const reset = rateLimitResetMs(res.headers);
+        if (reset) pauseSlots(BUCKET, Math.min(reset, maxWaitMs));
+      }
+
+      const retryable = res.status === 429 || (res.status >= 500 && idempotent);
+      if (!retryable || attempt > maxRetries) {
+        const text = await res.text();
+        return { status: res.status, ok: res.ok, payload: safeJsonParse(text), attempts: attempt };
+      }
+
+      const asked = res.status === 429 ? (retryAfterMs(res.headers) ?? rateLimitResetMs(res.headers)) : retryAfterMs(res.headers);
+      const wait = asked ?? Math.min(backoffMs(baseMs, attempt), maxWaitMs);
+      if (wait > maxWaitMs) {
+        const text = await res.text();
+        console.warn("[printful-client] Retry-After beyond PRINTFUL_API_RETRY_MAX_WAIT_MS; not retrying", method, path, wait);
+        return { status: res.status, ok: res.ok, payload: safeJsonParse(text), attempts: attempt };
+      }
+      await res.text().catch(() => {});
+      after429 = res.status === 429;
+      if (after429) pauseSlots(BUCKET, wait);
+      trace?.({
+        type: "printful_api_retry",
+        method,
+        path,
+        attempt,
+        response_status: res.status,
+        wait_ms: wait,
+        wait_source: asked === null ? "backoff" : "retry_after",
+      });
+      console.warn("[printful-client] retrying", method, path, res.status, `in ${wait}ms`);
+      // A 429 already paused the bucket, so the next acquireSlot does the waiting.
+      if (res.status !== 429) await sleep(wait);
+    }
+  }
+
+  /** Path segment for an order: its numeric ID, or `@external_id`. */
+  const orderRef = ({ id, externalId }) => (id ? String(id) : `@${encodeURIComponent(externalId)}`);
+
+  return {
+    request,
+
+    // ---- Files
+    /** Add a file to the file library by URL: POST /files { url, ... }. */
+    uploadFile: (file, options) => request("/files", { method: "POST", body: file, retryUnsafe: true, ...options }),
+    getFile: (fileId, options) => request(`/files/${fileId}`, options),
+
+    // ---- Orders
+    createOrder: (draftOrder, options) => request("/orders", { method: "POST", body: draftOrder, ...options }),
+    confirmOrder: (orderId, options) => request(`/orders/${orderId}/confirm`, { method: "POST", ...options }),
+    /** Look up an order by Printful ID or by external ID (passed without the `@`). */
+    getOrder: (ref, options) => request(`/orders/${orderRef(ref)}`, options),
+    cancelOrder: (ref, options) => request(`/orders/${orderRef(ref)}`, { method: "DELETE", ...options }),
+    /** PUT only the fields that change; `confirm` keeps an already-submitted order submitted. */
+    updateOrder: (ref, changes, { confirm = false, ...options } = {}) =>
+      request(`/orders/${orderRef(ref)}`, { method: "PUT", body: changes, query: confirm ? { confirm: 1 } : null, ...options }),
+
+    // ---- Catalog
+    /** GET /products/{id}: { product, variants }. */
+    getCatalogProduct: (productId, options) => request(`/products/${productId}`, options),
+    /** GET /products/variant/{id}: { variant, product }. */
+    getCatalogVariant: (variantId, options) => request(`/products/variant/${variantId}`, options),
+    /** Mockup generator printfiles (print area sizes) for a catalog product. */
+    getPrintfiles: (productId, { technique, ...options } = {}) =>
+      request(`/mockup-generator/printfiles/${productId}`, { query: { technique }, ...options }),
+
+    // ---- Webhooks
+    getWebhooks: (options) => request("/webhooks", options),
+    /** Replace the store's webhook config: { url, types, secret, ... }. */
+    setWebhooks: (config, options) => request("/webhooks", { method: "POST", body: config, retryUnsafe: true, ...options }),
+  };
+}
+
+/** Shared client configured from env. */
+export const printful = createPrintfulClient();
@@ -0,0 +1,79 @@
+// api/printful-file-registry.js
+// Printful file IDs by art URL, so the same art isn't sent to POST /files for every order.
+// One R2 record per store and URL at _printful-files/{sha1}.json:
+//   { url, validator, store_id, file_id, status, registered_at, checked_at }
+// `validator` is the art's ETag (or Last-Modified) when it was uploaded. A lookup with a
+// different validator means the art changed: the entry is stale and the file is uploaded again,
+// overwriting it.
+//
+// PRINTFUL_FILE_REGISTRY             on (default) | off
+// PRINTFUL_FILE_REGISTRY_MAX_AGE_HOURS  re-check a ready entry's status with Printful after this
+//                                    many hours (default 24), in case the file was deleted
+import crypto from "crypto";
+import { hasR2Config, getJsonObject, putJsonObject } from "./r2-store.js";
+
+const PREFIX = "_printful-files/";
+const READY_STATUSES = ["ok", "ready", "accepted"];
+const FAILED_STATUSES = ["failed", "error", "rejected"];
+
+export function printfulFileRegistryEnabled() {
+  return String(process.env.PRINTFUL_FILE_REGISTRY || "on").toLowerCase() !== "off" && hasR2Config();
+}
+
+function maxAgeMs() {
+  const hours = Number(process.env.PRINTFUL_FILE_REGISTRY_MAX_AGE_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : 24) * 3600 * 1000;
+}
+
+function storeId() {
+  return String(process.env.PRINTFUL_STORE_ID || "");
+}
+
+function registryKey(url) {
+  return `${PREFIX}${crypto.createHash("sha1").update(`${storeId()}\n${url}`).digest("hex")}.json`;
+}
+
+export function isReadyFileStatus(status) {
+  return READY_STATUSES.includes(String(status || "").toLowerCase());
+}
+
+export function isFailedFileStatus(status) {
+  return FAILED_STATUSES.includes(String(status || "").toLowerCase());
+}
+
+/**
+ * Registry entry for `url` at `validator`: { state, entry }. `state` is
+ *   hit      — registered, ready and recently checked; use entry.file_id as is
+ *   recheck  — registered, but the status is pending or old; confirm with Printful first
+ *   stale    — registered for a different version of the art (or a failed file)
+ *   miss     — not registered
+ */
+export async function lookupPrintfulFile(url, validator) {
+  const entry = await getJsonObject(registryKey(url));
+  if (!entry?.file_id) return { state: "miss", entry: null };
+  if (entry.validator !== validator || isFailedFileStatus(entry.status)) return { state: "stale", entry };
+  const age = Date.now() - Date.parse(entry.checked_at || entry.registered_at || 0);
+  if (isReadyFileStatus(entry.status) && age <= maxAgeMs()) return { state: "hit", entry };
+  return { state: "recheck", entry };
+}
+
+/** Record a fresh upload, replacing any entry for an older version of the art. */
+export async function registerPrintfulFile(url, validator, fileId, status) {
+  const now = new Date().toISOString();
+  await putJsonObject(registryKey(url), {
+    url,
+    validator,
+    store_id: storeId(),
+    file_id: fileId,
+    status: status || null,
+    registered_at: now,
+    checked_at: now,
+  });
+}
+
+/** Update the status of a registered file after checking it with Printful. */
+export async function updatePrintfulFileStatus(url, fileId, status) {
+  const entry = await getJsonObject(registryKey(url));
+  if (!entry || entry.file_id !== fileId) return;
+  await putJsonObject(registryKey(url), { ...entry, status: status || null, checked_at: new Date().toISOString() });
+}
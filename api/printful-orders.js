@@ -0,0 +1,69 @@
+// api/printful-orders.js
+// Thin wrappers around the Printful order endpoints shared by the Shopify webhook
+// and the retry queue, on top of the Printful client (printful-client.js). Each call returns
+// { status, ok, payload, attempts } and never throws on HTTP errors so callers can record the
+// response in their trace before deciding. The trailing `options` take the client's per-call
+// `onTrace`, for the trace entries of retries and rate-limit waits.
+import { printful } from "./printful-client.js";
+
+/** Printful external_id for a Shopify order, e.g. NBHL1042. */
+export function printfulExternalId(order = {}) {
+  return `NBHL${order.order_number || order.id}`;
+}
+
+/** Printful recipient from a Shopify order's shipping address (customer default address as fallback). */
+export function buildPrintfulRecipient(order = {}) {
+  const sa = order.shipping_address || order.customer?.default_address || {};
+  return {
+    name: [sa.first_name, sa.last_name].filter(Boolean).join(" ") || order.customer?.first_name || "Customer",
+    address1: sa.address1 || "N/A",
+    address2: sa.address2 || "",
+    city: sa.city || "N/A",
+    state_code: sa.province_code || sa.province || "",
+    country_code: sa.country_code || sa.country || "US",
+    zip: sa.zip || "",
+    email: order.email || "",
+    phone: sa.phone || order.customer?.phone || "",
+  };
+}
+
+export function isPrintfulExternalIdDuplicate(payload) {
+  const code = String(payload?.error?.api_error_code || "");
+  if (code === "OR-13") return true;
+  const msg = String(payload?.error?.message || payload?.result || "").toLowerCase();
+  return msg.includes("external id already exists");
+}
+
+export function createPrintfulDraftOrder(draftOrder, options) {
+  return printful.createOrder(draftOrder, options);
+}
+
+export function confirmPrintfulOrder(orderId, options) {
+  return printful.confirmOrder(orderId, options);
+}
+
+/** Look up an order by Printful ID or by external ID (passed without the `@`). */
+export function getPrintfulOrder({ id, externalId }, options) {
+  return printful.getOrder({ id, externalId }, options);
+}
+
+/**
+ * Printful statuses in which an order can still be cancelled. Once it moves to
+ * inprocess (or later) it is in production and DELETE is rejected.
+ */
+export const PRINTFUL_CANCELLABLE_STATUSES = ["draft", "pending", "failed", "onhold"];
+
+export function cancelPrintfulOrder({ id, externalId }, options) {
+  return printful.cancelOrder({ id, externalId }, options);
+}
+
+/**
+ * Statuses in which Printful still accepts order edits. `pending` orders are
+ * submitted but not yet in production; they are re-confirmed after the edit.
+ */
+export const PRINTFUL_EDITABLE_STATUSES = ["draft", "failed", "onhold", "pending"];
+
+/** PUT only the fields that change; `confirm` keeps an already-submitted order submitted. */
+export function updatePrintfulOrder({ id, externalId }, changes, { confirm = false, ...options } = {}) {
+  return printful.updateOrder({ id, externalId }, changes, { confirm, ...options });
+}
@@ -1,3 +1,5 @@
+import { createPrintfulClient } from "./printful-client.js";
+
 export default async function handler(req, res) {
   // allow GET so you can click it; POST also works
   if (req.method !== "GET" && req.method !== "POST") {
@@ -46,24 +48,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    const r = await fetch("https://api.printful.com/webhooks", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        url: webhookUrl,
-        secret,
-        // Only subscribe to events we act on. `order_updated` is noisy and carries no
-        // shipment tracking, so it just clutters logs without changing customer outcomes.
-        types: ["package_shipped"],
-        store_id: storeId,
-      }),
+    const r = await createPrintfulClient({ token, storeId }).setWebhooks({
+      url: webhookUrl,
+      secret,
+      // Only subscribe to events we act on. `order_updated` is noisy and carries no
+      // shipment tracking, so it just clutters logs without changing customer outcomes.
+      types: ["package_shipped"],
+      store_id: storeId,
     });
 
-    const text = await r.text();
-    return res.status(r.ok ? 200 : 500).send(text);
+    return res.status(r.ok ? 200 : 500).json(r.payload);
   } catch (e) {
     return res.status(500).send(String(e));
   }
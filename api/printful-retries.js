@@ -0,0 +1,57 @@
+import {
+  RETRY_STATUSES,
+  listPrintfulRetries,
+  getPrintfulRetry,
+  processDueRetries,
+} from "./printful-retry.js";
+
+// GET  ?token=...                         list pending entries (&status=succeeded|failed)
+// GET  ?token=...&external_id=NBHL1042    one entry with its full attempt history
+// POST ?token=... (or GET &run=1)         process due entries; add &external_id=..&force=1 to re-drive one
+// A scheduler (e.g. Vercel Cron) may call with `Authorization: Bearer $CRON_SECRET` instead of ?token.
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method Not Allowed");
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const token = url.searchParams.get("token");
+  const cronAuth = Boolean(process.env.CRON_SECRET) &&
+    req.headers.authorization === `Bearer ${process.env.CRON_SECRET}`;
+  if (!cronAuth && (!token || token !== process.env.DEBUG_TOKEN)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  const externalId = url.searchParams.get("external_id");
+  const run = req.method === "POST" || url.searchParams.get("run") === "1" || cronAuth;
+
+  try {
+    if (run) {
+      const results = await processDueRetries({
+        externalId,
+        force: url.searchParams.get("force") === "1",
+        limit: Math.min(Number(url.searchParams.get("limit") || 10), 50),
+      });
+      return res.status(200).json({ ok: true, processed: results.length, results });
+    }
+
+    if (externalId) {
+      const entry = await getPrintfulRetry(externalId);
+      if (!entry) return res.status(404).json({ error: "No retry entry for that external_id" });
+      return res.status(200).json(entry);
+    }
+
+    const status = url.searchParams.get("status") || "pending";
+    if (!RETRY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${RETRY_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Number(url.searchParams.get("limit") || 50), 200);
+    const keys = await listPrintfulRetries({ status, limit });
+    return res.status(200).json({
+      count: keys.length,
+      status,
+      keys,
+      hint: "Add &external_id=<id> to see an entry's attempt history, or &run=1 to process due entries.",
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
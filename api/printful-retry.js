@@ -0,0 +1,264 @@
+// api/printful-retry.js
+// Durable retry queue for Printful order submissions that failed at the draft
+// create or confirm step. Entries live in the same R2 bucket as the order logs:
+//   _retry/pending/{external_id}.json    waiting for the next attempt
+//   _retry/succeeded/{external_id}.json  submitted (kept for the attempt history)
+//   _retry/failed/{external_id}.json     backoff schedule exhausted
+//   _retry/cancelled/{external_id}.json  order cancelled in Shopify before it went through
+import { hasR2Config, getJsonObject, putJsonObject, deleteObject, listKeys } from "./r2-store.js";
+import { saveOrderLog, truncate } from "./order-log.js";
+import {
+  createPrintfulDraftOrder,
+  confirmPrintfulOrder,
+  getPrintfulOrder,
+  isPrintfulExternalIdDuplicate,
+} from "./printful-orders.js";
+
+const RETRY_PREFIX = "_retry";
+export const RETRY_STATUSES = ["pending", "succeeded", "failed", "cancelled"];
+
+function retryKey(status, externalId) {
+  const safeId = String(externalId || "unknown").replace(/[^A-Za-z0-9_-]/g, "-");
+  return `${RETRY_PREFIX}/${status}/${safeId}.json`;
+}
+
+/**
+ * Minutes to wait before each retry attempt, e.g. "5,15,60,240,720".
+ * The first value applies after the webhook's own failure; once the list is
+ * exhausted the entry is moved to failed/.
+ */
+function retryBackoffMinutes() {
+  const raw = process.env.PRINTFUL_RETRY_BACKOFF_MINUTES || "5,15,60,240,720";
+  const parsed = raw.split(",").map((v) => Number(v.trim())).filter((n) => Number.isFinite(n) && n >= 0);
+  return parsed.length > 0 ? parsed : [5];
+}
+
+function nextAttemptAt(retryCount, now = new Date()) {
+  const schedule = retryBackoffMinutes();
+  if (retryCount >= schedule.length) return null;
+  return new Date(now.getTime() + schedule[retryCount] * 60_000).toISOString();
+}
+
+async function moveEntry(entry, fromStatus, toStatus) {
+  entry.status = toStatus;
+  entry.updated_at = new Date().toISOString();
+  await putJsonObject(retryKey(toStatus, entry.external_id), entry);
+  if (fromStatus !== toStatus) await deleteObject(retryKey(fromStatus, entry.external_id));
+}
+
+/**
+ * Queue a failed submission. `draftOrder` is the exact payload sent to POST /orders
+ * and `itemFiles` the per-line-item Printful file IDs it references, so a retry
+ * never has to re-resolve art. When the draft was created but confirm failed,
+ * pass `printfulOrderId` and the retry only confirms.
+ * Fails silently (returns null) — queueing must never break the webhook response.
+ */
+export async function enqueuePrintfulRetry({
+  draftOrder,
+  itemFiles = [],
+  printfulOrderId = null,
+  stage,
+  error,
+  responseStatus = null,
+  source = {},
+}) {
+  if (!hasR2Config()) {
+    console.warn("[printful-retry] R2 not configured — cannot queue retry");
+    return null;
+  }
+  try {
+    const now = new Date();
+    const externalId = draftOrder?.external_id;
+    const key = retryKey("pending", externalId);
+    const existing = await getJsonObject(key);
+    const entry = {
+      external_id: externalId,
+      status: "pending",
+      created_at: existing?.created_at || now.toISOString(),
+      updated_at: now.toISOString(),
+      source,
+      stage,
+      printful_order_id: printfulOrderId || existing?.printful_order_id || null,
+      draft_order: draftOrder,
+      item_files: itemFiles,
+      attempts: [
+        ...(existing?.attempts || []),
+        { at: now.toISOString(), trigger: "webhook", stage, ok: false, response_status: responseStatus, error },
+      ],
+      retry_count: existing?.retry_count || 0,
+    };
+    entry.next_attempt_at = nextAttemptAt(entry.retry_count, now);
+    await putJsonObject(key, entry);
+    console.log("[printful-retry] queued", key, "next attempt", entry.next_attempt_at);
+    return { key, next_attempt_at: entry.next_attempt_at };
+  } catch (err) {
+    console.error("[printful-retry] failed to queue retry:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Run one submission attempt for an entry. Mirrors the webhook: create the draft
+ * (unless we already have its ID), then confirm. A duplicate external_id means an
+ * earlier attempt got further than we recorded, so we look the order up and only
+ * confirm it if it is still a draft.
+ */
+async function attemptSubmission(entry, trackRequest) {
+  let stage = entry.printful_order_id ? "confirm" : "create";
+  let orderId = entry.printful_order_id;
+
+  if (!orderId) {
+    const created = await createPrintfulDraftOrder(entry.draft_order);
+    trackRequest({
+      type: "printful_order_create_response",
+      response_status: created.status,
+      response_ok: created.ok,
+      response_preview: truncate(created.payload),
+    });
+    if (created.ok) {
+      orderId = created.payload?.result?.id;
+    } else if (isPrintfulExternalIdDuplicate(created.payload)) {
+      const found = await getPrintfulOrder({ externalId: entry.external_id });
+      trackRequest({
+        type: "printful_order_lookup",
+        external_id: entry.external_id,
+        response_status: found.status,
+        response_ok: found.ok,
+        printful_status: found.payload?.result?.status || null,
+      });
+      if (!found.ok) return { ok: false, stage, response_status: found.status, error: truncate(found.payload) };
+      orderId = found.payload?.result?.id;
+      if (found.payload?.result?.status !== "draft") {
+        return { ok: true, stage, printful_order_id: orderId, already_submitted: true };
+      }
+    } else {
+      return { ok: false, stage, response_status: created.status, error: truncate(created.payload) };
+    }
+    if (!orderId) return { ok: false, stage, error: "Draft order created without an ID" };
+    entry.printful_order_id = orderId;
+  }
+
+  stage = "confirm";
+  const confirmed = await confirmPrintfulOrder(orderId);
+  trackRequest({
+    type: "printful_order_confirm_response",
+    printful_order_id: orderId,
+    response_status: confirmed.status,
+    response_ok: confirmed.ok,
+    response_preview: truncate(confirmed.payload),
+  });
+  if (!confirmed.ok) return { ok: false, stage, response_status: confirmed.status, error: truncate(confirmed.payload) };
+  return { ok: true, stage, response_status: confirmed.status, printful_order_id: orderId };
+}
+
+async function runRetry(entry, fromStatus) {
+  const now = new Date();
+  const trace = {
+    received_at: now.toISOString(),
+    source: "printful-retry",
+    incoming: {
+      order_number: entry.source?.order_number ?? null,
+      shopify_order_id: entry.source?.shopify_order_id ?? null,
+    },
+    external_id: entry.external_id,
+    retry_count: entry.retry_count + 1,
+    requests: [],
+    result: null,
+  };
+  const trackRequest = (req) => {
+    trace.requests.push(req);
+    console.log("[printful-retry][trace]", JSON.stringify(req));
+  };
+
+  let outcome;
+  try {
+    outcome = await attemptSubmission(entry, trackRequest);
+  } catch (err) {
+    outcome = { ok: false, stage: entry.printful_order_id ? "confirm" : "create", error: String(err?.message || err) };
+  }
+
+  entry.retry_count += 1;
+  entry.stage = outcome.stage;
+  entry.attempts.push({
+    at: now.toISOString(),
+    trigger: "retry",
+    stage: outcome.stage,
+    ok: outcome.ok,
+    response_status: outcome.response_status ?? null,
+    error: outcome.error || null,
+    ...(outcome.already_submitted ? { already_submitted: true } : {}),
+  });
+
+  let toStatus;
+  if (outcome.ok) {
+    entry.next_attempt_at = null;
+    toStatus = "succeeded";
+  } else {
+    entry.next_attempt_at = nextAttemptAt(entry.retry_count, now);
+    toStatus = entry.next_attempt_at ? "pending" : "failed";
+  }
+  await moveEntry(entry, fromStatus, toStatus);
+
+  trace.result = { ok: outcome.ok, status: toStatus, printful_order_id: entry.printful_order_id, error: outcome.error || null };
+  await saveOrderLog(trace);
+  return { external_id: entry.external_id, status: toStatus, ok: outcome.ok, error: outcome.error || null };
+}
+
+/**
+ * Process every pending entry whose next_attempt_at has passed.
+ * With `externalId` + `force`, retries that single entry immediately, including
+ * one that already exhausted its schedule (manual re-drive from failed/).
+ */
+export async function processDueRetries({ externalId, force = false, limit = 10 } = {}) {
+  const results = [];
+  if (externalId) {
+    for (const status of force ? ["pending", "failed"] : ["pending"]) {
+      const entry = await getJsonObject(retryKey(status, externalId));
+      if (!entry) continue;
+      if (!force && entry.next_attempt_at && new Date(entry.next_attempt_at) > new Date()) break;
+      results.push(await runRetry(entry, status));
+      break;
+    }
+    return results;
+  }
+
+  const keys = await listKeys(`${RETRY_PREFIX}/pending/`);
+  for (const key of keys.sort()) {
+    if (results.length >= limit) break;
+    const entry = await getJsonObject(key);
+    if (!entry || !entry.next_attempt_at) continue;
+    if (new Date(entry.next_attempt_at) > new Date()) continue;
+    results.push(await runRetry(entry, "pending"));
+  }
+  return results;
+}
+
+export async function listPrintfulRetries({ status = "pending", limit = 50 } = {}) {
+  const keys = await listKeys(`${RETRY_PREFIX}/${status}/`);
+  return keys.sort().slice(0, limit);
+}
+
+/** Fetch one entry by external ID, searching every status folder. */
+export async function getPrintfulRetry(externalId) {
+  for (const status of RETRY_STATUSES) {
+    const entry = await getJsonObject(retryKey(status, externalId));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Stop retrying an order that was cancelled in Shopify. Returns the entry's previous
+ * status, or null when nothing was queued for it.
+ */
+export async function cancelPrintfulRetry(externalId, reason) {
+  for (const status of ["pending", "failed"]) {
+    const entry = await getJsonObject(retryKey(status, externalId));
+    if (!entry) continue;
+    entry.next_attempt_at = null;
+    entry.attempts.push({ at: new Date().toISOString(), trigger: "cancel", ok: true, error: null, reason });
+    await moveEntry(entry, status, "cancelled");
+    return status;
+  }
+  return null;
+}
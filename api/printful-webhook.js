@@ -1,15 +1,13 @@
 // /api/printful-webhook.js
 import crypto from "crypto";
 import { saveOrderLog } from "./order-log.js";
+import { remainderLineItemIds } from "./partial-order-policy.js";
+import { shopify } from "./shopify-client.js";
 
 async function findShopifyOrderIdByName(name) {
-  const url = `https://${shopDomain()}/admin/api/2025-01/orders.json?status=any&name=${encodeURIComponent(name)}`;
-  const r = await fetch(url, {
-    headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }
-  });
-  const data = await r.json();
-  if (!r.ok) throw new Error(`Order lookup by name failed: ${r.status} ${JSON.stringify(data)}`);
-  const order = (data?.orders || [])[0];
+  const r = await shopify.findOrdersByName(name);
+  if (!r.ok) throw new Error(`Order lookup by name failed: ${r.status} ${JSON.stringify(r.payload)}`);
+  const order = (r.payload?.orders || [])[0];
   return order?.id || null;
 }
 
@@ -111,9 +109,6 @@ function verifySignature(headers, raw) {
     },
   };
 }
-function shopDomain() {
-  return (process.env.SHOPIFY_STORE_DOMAIN || "").replace(/^https?:\/\//, "").replace(/\/+$/, "");
-}
 
 function extractShipments(body) {
   const sources = [
@@ -158,13 +153,19 @@ function normalizeTracking(shipment = {}, body = {}) {
 
 // --- Shopify helpers
 async function getFulfillmentOrders(orderId) {
-  const url = `https://${shopDomain()}/admin/api/2025-01/orders/${orderId}/fulfillment_orders.json`;
-  const r = await fetch(url, {
-    headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-  });
+  const r = await shopify.getFulfillmentOrders(orderId);
   if (!r.ok) throw new Error(`Fulfillment orders fetch failed: ${r.status}`);
-  const { fulfillment_orders } = await r.json();
-  return fulfillment_orders || [];
+  return r.payload.fulfillment_orders || [];
+}
+
+/**
+ * Line item IDs the shopify-webhook left out of a split order (see partial-order-policy.js).
+ * They stay open in Shopify so they can be fulfilled separately.
+ */
+async function getRemainderLineItemIds(orderId) {
+  const r = await shopify.getOrder(orderId, { fields: "note_attributes" });
+  if (!r.ok) throw new Error(`Order note attributes fetch failed: ${r.status}`);
+  return remainderLineItemIds(r.payload.order?.note_attributes);
 }
 
 async function releaseFulfillmentHolds(fulfillmentOrders) {
@@ -172,13 +173,7 @@ async function releaseFulfillmentHolds(fulfillmentOrders) {
   for (const fo of fulfillmentOrders) {
     if (fo.status !== "on_hold") continue;
     try {
-      const r = await fetch(
-        `https://${shopDomain()}/admin/api/2025-01/fulfillment_orders/${fo.id}/release_hold.json`,
-        {
-          method: "POST",
-          headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-        }
-      );
+      const r = await shopify.releaseFulfillmentOrderHold(fo.id);
       if (r.ok) released.push(fo.id);
       else console.warn(`[printful-webhook] release hold FO ${fo.id} failed: ${r.status}`);
     } catch (e) {
@@ -189,13 +184,9 @@ async function releaseFulfillmentHolds(fulfillmentOrders) {
 }
 
 async function listFulfillments(orderId) {
-  const fRes = await fetch(
-    `https://${shopDomain()}/admin/api/2025-01/orders/${orderId}/fulfillments.json`,
-    { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } }
-  );
+  const fRes = await shopify.listFulfillments(orderId);
   if (!fRes.ok) return [];
-  const { fulfillments } = await fRes.json();
-  return fulfillments || [];
+  return fRes.payload.fulfillments || [];
 }
 
 function fulfillmentHasSameTracking(fulfillment, tracking) {
@@ -212,29 +203,9 @@ async function updateExistingFulfillmentTracking(orderId, tracking) {
   const target = fulfillments.find((f) => f.status === "success");
   if (!target) return { already_fulfilled: true, tracking_updated: false };
 
-  const r = await fetch(
-    `https://${shopDomain()}/admin/api/2025-01/fulfillments/${target.id}/update_tracking.json`,
-    {
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        fulfillment: {
-          tracking_info: {
-            company: tracking?.company || "Carrier",
-            number: tracking?.number || "",
-            url: tracking?.url || "",
-          },
-          notify_customer: true,
-        },
-      }),
-    }
-  );
-  const text = await r.text();
-  if (!r.ok) throw new Error(`Shopify tracking update err ${r.status}: ${text}`);
-  return { ...JSON.parse(text), tracking_updated: true };
+  const r = await shopify.updateFulfillmentTracking(target.id, tracking, { notifyCustomer: true });
+  if (!r.ok) throw new Error(`Shopify tracking update err ${r.status}: ${JSON.stringify(r.payload)}`);
+  return { ...r.payload, tracking_updated: true };
 }
 
 async function createShopifyFulfillment({ orderId, tracking }) {
@@ -262,37 +233,32 @@ async function createShopifyFulfillment({ orderId, tracking }) {
     (fo) => ["open", "in_progress", "scheduled"].includes(fo.status)
   );
 
-  if (openFOs.length === 0) {
+  const remainder = openFOs.length > 0 ? await getRemainderLineItemIds(orderId) : new Set();
+  const lineItemsByFO = openFOs
+    .map((fo) => {
+      if (remainder.size === 0) return { fulfillment_order_id: fo.id };
+      const lines = (fo.line_items || [])
+        .filter((l) => !remainder.has(String(l.line_item_id)) && l.fulfillable_quantity > 0)
+        .map((l) => ({ id: l.id, quantity: l.fulfillable_quantity }));
+      return { fulfillment_order_id: fo.id, fulfillment_order_line_items: lines };
+    })
+    .filter((entry) => !entry.fulfillment_order_line_items || entry.fulfillment_order_line_items.length > 0);
+
+  if (lineItemsByFO.length === 0) {
     console.log("[printful-webhook] no open FOs, updating tracking on existing fulfillment");
     return await updateExistingFulfillmentTracking(orderId, tracking);
   }
+  if (remainder.size > 0) {
+    console.log("[printful-webhook] split order: leaving remainder line items open", [...remainder]);
+  }
 
-  const payload = {
-    fulfillment: {
-      line_items_by_fulfillment_order: openFOs.map((fo) => ({
-        fulfillment_order_id: fo.id,
-      })),
-      tracking_info: {
-        company: tracking?.company || "Carrier",
-        number: tracking?.number || "",
-        url: tracking?.url || "",
-      },
-      notify_customer: true,
-    },
-  };
-
-  const url = `https://${shopDomain()}/admin/api/2025-01/fulfillments.json`;
-  const r = await fetch(url, {
-    method: "POST",
-    headers: {
-      "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
+  const r = await shopify.createFulfillment({
+    lineItemsByFulfillmentOrder: lineItemsByFO,
+    tracking,
+    notifyCustomer: true,
   });
-  const text = await r.text();
-  if (!r.ok) throw new Error(`Shopify fulfill err ${r.status}: ${text}`);
-  return JSON.parse(text);
+  if (!r.ok) throw new Error(`Shopify fulfill err ${r.status}: ${JSON.stringify(r.payload)}`);
+  return r.payload;
 }
 
 // --- handler
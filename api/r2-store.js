@@ -0,0 +1,134 @@
+import {
+  PutObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+export function r2Endpoint() {
+  if (process.env.R2_ENDPOINT) return process.env.R2_ENDPOINT;
+  const accountId = process.env.R2_ACCOUNT_ID || "";
+  return accountId ? `https://${accountId}.r2.cloudflarestorage.com` : "";
+}
+
+export function hasR2Config() {
+  return Boolean(
+    process.env.R2_BUCKET_NAME &&
+    process.env.R2_ACCESS_KEY_ID &&
+    process.env.R2_SECRET_ACCESS_KEY &&
+    r2Endpoint()
+  );
+}
+
+export function makeR2Client() {
+  return new S3Client({
+    region: process.env.R2_REGION || "auto",
+    endpoint: r2Endpoint(),
+    forcePathStyle: true,
+    credentials: {
+      accessKeyId: process.env.R2_ACCESS_KEY_ID || "",
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || "",
+    },
+  });
+}
+
+function isNotFound(err) {
+  return err?.name === "NoSuchKey" || err?.$metadata?.httpStatusCode === 404;
+}
+
+/** Read and parse a JSON object. Returns null when the key does not exist. */
+export async function getJsonObject(key) {
+  try {
+    const res = await makeR2Client().send(new GetObjectCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: key,
+    }));
+    const text = await res.Body.transformToString();
+    return JSON.parse(text);
+  } catch (err) {
+    if (isNotFound(err)) return null;
+    throw err;
+  }
+}
+
+export async function putJsonObject(key, value) {
+  await makeR2Client().send(new PutObjectCommand({
+    Bucket: process.env.R2_BUCKET_NAME,
+    Key: key,
+    Body: JSON.stringify(value, null, 2),
+    ContentType: "application/json",
+  }));
+  return key;
+}
+
+/**
+ * Write a JSON object only when `key` doesn't exist yet (conditional PUT, If-None-Match: *).
+ * Returns false when the key is already there, so two concurrent writers can't both win.
+ */
+export async function putJsonObjectIfAbsent(key, value) {
+  try {
+    await makeR2Client().send(new PutObjectCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: key,
+      Body: JSON.stringify(value, null, 2),
+      ContentType: "application/json",
+      IfNoneMatch: "*",
+    }));
+    return true;
+  } catch (err) {
+    if (err?.name === "PreconditionFailed" || err?.$metadata?.httpStatusCode === 412) return false;
+    throw err;
+  }
+}
+
+/** Store raw bytes (images, etc.) under `key`. */
+export async function putObject(key, body, contentType = "application/octet-stream") {
+  await makeR2Client().send(new PutObjectCommand({
+    Bucket: process.env.R2_BUCKET_NAME,
+    Key: key,
+    Body: body,
+    ContentType: contentType,
+  }));
+  return key;
+}
+
+/** Read raw bytes: { body: Buffer, contentType }, or null when the key does not exist. */
+export async function getObject(key) {
+  try {
+    const res = await makeR2Client().send(new GetObjectCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: key,
+    }));
+    const bytes = await res.Body.transformToByteArray();
+    return { body: Buffer.from(bytes), contentType: res.ContentType || "application/octet-stream" };
+  } catch (err) {
+    if (isNotFound(err)) return null;
+    throw err;
+  }
+}
+
+export async function deleteObject(key) {
+  await makeR2Client().send(new DeleteObjectCommand({
+    Bucket: process.env.R2_BUCKET_NAME,
+    Key: key,
+  }));
+}
+
+/** List every key under a prefix, following continuation tokens up to `maxKeys`. */
+export async function listKeys(prefix, { maxKeys = 1000 } = {}) {
+  const client = makeR2Client();
+  const keys = [];
+  let token;
+  do {
+    const res = await client.send(new ListObjectsV2Command({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Prefix: prefix,
+      MaxKeys: Math.min(1000, maxKeys - keys.length),
+      ContinuationToken: token,
+    }));
+    for (const o of res.Contents || []) if (o.Key) keys.push(o.Key);
+    token = res.IsTruncated ? res.NextContinuationToken : undefined;
+  } while (token && keys.length < maxKeys);
+  return keys;
+}
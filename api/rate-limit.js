@@ -0,0 +1,85 @@
+// api/rate-limit.js
+// Client-side request rate limits per API, so line items processed in parallel don't trip the
+// API's own limit. A token bucket per key: by default it holds a few seconds' worth of requests,
+// so bursts are short and the steady rate is the configured one; an API with a documented
+// bucket (Shopify's) passes its real capacity, and requests can cost more than one token
+// (Shopify GraphQL query cost). When the API reports what it has left, syncSlots() sets the
+// local bucket to match — Shopify, for one, refunds the part of a query's reserved cost it
+// didn't use. A bucket can also be paused, when the API says it is out of requests (a 429's
+// Retry-After, or a rate-limit header reaching zero), so every concurrent caller waits rather
+// than only the one that was told. Limits are per function instance, not shared between
+// concurrent invocations.
+// The API clients (printful-client.js, shopify-client.js) own the buckets.
+
+const BURST_SECONDS = 5;
+const buckets = new Map();
+
+function refill(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+  bucket.updatedAt = now;
+}
+
+function bucketFor(key, perMinute, capacity = Math.max(1, Math.floor((perMinute / 60) * BURST_SECONDS))) {
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { perMinute, capacity, tokens: capacity, ratePerMs: perMinute / 60_000, updatedAt: Date.now(), pausedUntil: 0 };
+    buckets.set(key, bucket);
+  } else if (bucket.perMinute !== perMinute || bucket.capacity !== capacity) {
+    refill(bucket);
+    Object.assign(bucket, { perMinute, capacity, ratePerMs: perMinute / 60_000, tokens: Math.min(bucket.tokens, capacity) });
+  }
+  return bucket;
+}
+
+/**
+ * Wait for `cost` tokens in `key`'s bucket (`perMinute` 0 = unlimited, but pauses still
+ * apply; `capacity` defaults to five seconds' worth). Returns the milliseconds waited.
+ * Callers that arrive while the bucket is empty reserve tokens in arrival order.
+ */
+export async function acquireSlot(key, perMinute, { capacity, cost = 1 } = {}) {
+  const bucket = bucketFor(key, perMinute, capacity);
+  let waited = 0;
+  const paused = bucket.pausedUntil - Date.now();
+  if (paused > 0) {
+    await new Promise((resolve) => setTimeout(resolve, paused));
+    waited += paused;
+  }
+  if (!perMinute) return waited;
+  refill(bucket);
+  bucket.tokens -= cost;
+  if (bucket.tokens >= 0) return waited;
+  const wait = Math.ceil(-bucket.tokens / bucket.ratePerMs);
+  await new Promise((resolve) => setTimeout(resolve, wait));
+  return waited + wait;
+}
+
+/** Set `key`'s bucket to the `available` tokens the API reports. */
+export function syncSlots(key, available) {
+  const bucket = buckets.get(key);
+  if (!bucket || !Number.isFinite(available)) return;
+  bucket.tokens = Math.min(bucket.capacity, available);
+  bucket.updatedAt = Date.now();
+}
+
+/** Hold every request in `key`'s bucket for `ms` (extends, never shortens, a current pause). */
+export function pauseSlots(key, ms) {
+  const bucket = buckets.get(key) || bucketFor(key, 0);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+}
+
+/** Retry-After as milliseconds: delta-seconds or an HTTP date. Null when absent or unreadable. */
+export function retryAfterMs(headers) {
+  const raw = headers.get("retry-after");
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(raw);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/** Exponential backoff before retry number `retry` (1-based), doubling from `baseMs`. */
+export function backoffMs(baseMs, retry) {
+  // A little jitter so concurrent line items don't retry in lockstep.
+  return Math.round(baseMs * 2 ** (retry - 1) * (1 + Math.random() * 0.2));
+}
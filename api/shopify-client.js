@@ -0,0 +1,427 @@
+// api/shopify-client.js
+// The one place that talks to the Shopify Admin API, REST and GraphQL, for the store in
+// SHOPIFY_STORE_DOMAIN. Every request uses SHOPIFY_API_VERSION and waits for its share of
+// Shopify's own rate limits (rate-limit.js), tracked per shop:
+//   REST     a leaky bucket of 40 requests draining 2 a second (Plus: 400 and 20). The bucket
+//            size is read from X-Shopify-Shop-Api-Call-Limit ("32/40"), which also sets the
+//            local bucket to what Shopify says is left.
+//   GraphQL  a bucket of query cost points. Each query reserves its estimated cost; the
+//            response's extensions.cost.throttleStatus (maximumAvailable, currentlyAvailable,
+//            restoreRate) sizes the bucket and syncs it.
+// Retries follow the Printful client (printful-client.js): a 429, or a GraphQL THROTTLED error,
+// is always retried — Shopify did nothing — after Retry-After or once the cost is restored. A 5xx
+// or network error is retried only for reads (GET, PUT, DELETE and GraphQL queries), not for
+// POSTs or mutations, which may have gone through.
+//
+// Methods resolve to { status, ok, payload, attempts } and never throw on HTTP errors; a network
+// error that survives its retries throws. `onTrace` (client-wide or per call) receives
+// `shopify_api_retry` and `shopify_api_throttled` (waits of a second or more) entries.
+//
+// Fulfillment orders and fulfillments go through GraphQL (the REST fulfillment endpoints are
+// deprecated) and come back in the REST shape — numeric IDs, lowercase statuses, snake_case
+// fields — so callers read them the same either way. SHOPIFY_FULFILLMENT_API=rest switches
+// them back to the REST endpoints.
+//
+// SHOPIFY_API_VERSION             Admin API version (default 2025-01)
+// SHOPIFY_FULFILLMENT_API         graphql (default) | rest
+// SHOPIFY_API_MAX_RETRIES         retries per request (default 3; 0 = off)
+// SHOPIFY_API_RETRY_BASE_MS       first backoff (default 500); doubles on each retry
+// SHOPIFY_API_RETRY_MAX_WAIT_MS   longest single wait (default 30000); a longer Retry-After
+//                                 returns the 429 to the caller
+import { acquireSlot, syncSlots, pauseSlots, retryAfterMs, backoffMs } from "./rate-limit.js";
+
+const DEFAULT_API_VERSION = "2025-01";
+const REST_DEFAULT_BUCKET = 40; // drains bucket / 20 requests a second: 40 → 2, Plus 400 → 20
+const GRAPHQL_DEFAULT_LIMITS = { maximumAvailable: 1000, restoreRate: 50 };
+const MUTATION_COST = 10;
+
+// Learned from responses, per shop.
+const restBuckets = new Map(); // shop → bucket size
+const graphqlLimits = new Map(); // shop → { maximumAvailable, restoreRate }
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function shopifyApiVersion() {
+  return process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+}
+
+export function shopifyShopDomain() {
+  return (process.env.SHOPIFY_STORE_DOMAIN || "").replace(/^https?:\/\//, "").replace(/\/+$/, "");
+}
+
+function fulfillmentApi() {
+  return String(process.env.SHOPIFY_FULFILLMENT_API || "graphql").toLowerCase() === "rest" ? "rest" : "graphql";
+}
+
+function retrySettings() {
+  return {
+    maxRetries: envNumber("SHOPIFY_API_MAX_RETRIES", 3),
+    baseMs: envNumber("SHOPIFY_API_RETRY_BASE_MS", 500),
+    maxWaitMs: envNumber("SHOPIFY_API_RETRY_MAX_WAIT_MS", 30_000),
+  };
+}
+
+function safeJsonParse(text) {
+  try { return JSON.parse(text); }
+  catch { return { raw: text }; }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---- GraphQL ↔ REST shapes
+const toGid = (type, id) => (String(id).startsWith("gid://") ? String(id) : `gid://shopify/${type}/${id}`);
+const legacyId = (gid) => {
+  const m = String(gid ?? "").match(/\/(\d+)$/);
+  return m ? Number(m[1]) : gid ?? null;
+};
+const lower = (value) => (value ? String(value).toLowerCase() : null);
+
+function restFulfillmentOrder(fo) {
+  return {
+    id: legacyId(fo.id),
+    status: lower(fo.status),
+    line_items: (fo.lineItems?.nodes || []).map((l) => ({
+      id: legacyId(l.id),
+      line_item_id: legacyId(l.lineItem?.id),
+      quantity: l.totalQuantity,
+      fulfillable_quantity: l.remainingQuantity,
+    })),
+  };
+}
+
+function restFulfillment(f) {
+  const tracking = f.trackingInfo || [];
+  return {
+    id: legacyId(f.id),
+    status: lower(f.status),
+    tracking_number: tracking[0]?.number || null,
+    tracking_numbers: tracking.map((t) => t.number).filter(Boolean),
+    tracking_company: tracking[0]?.company || null,
+    tracking_url: tracking[0]?.url || null,
+  };
+}
+
+const FULFILLMENT_ORDERS_QUERY = `query FulfillmentOrders($id: ID!) {
+  order(id: $id) {
+    fulfillmentOrders(first: 5) {
+      nodes { id status lineItems(first: 50) { nodes { id totalQuantity remainingQuantity lineItem { id } } } }
+    }
+  }
+}`;
+const FULFILLMENT_ORDERS_COST = 520;
+
+const FULFILLMENTS_QUERY = `query Fulfillments($id: ID!) {
+  order(id: $id) {
+    fulfillments(first: 20) { id status trackingInfo(first: 5) { number company url } }
+  }
+}`;
+const FULFILLMENTS_COST = 120;
+
+const FULFILLMENT_FIELDS = "id status trackingInfo(first: 5) { number company url }";
+
+/**
+ * A Shopify Admin client. `shop`, `token` and `apiVersion` default to SHOPIFY_STORE_DOMAIN,
+ * SHOPIFY_ADMIN_TOKEN and SHOPIFY_API_VERSION, read on each request. `baseUrl` replaces
+ * `https://{shop}` as the origin (a local mock in tests); rate limits stay keyed by `shop`.
+ */
+export function createShopifyClient({ shop, token, apiVersion, baseUrl, onTrace } = {}) {
+  const shopHost = () => shop || shopifyShopDomain();
+  const adminUrl = (path) => `${baseUrl || `https://${shopHost()}`}/admin/api/${apiVersion || shopifyApiVersion()}${path}`;
+  const headers = (hasBody) => ({
+    "X-Shopify-Access-Token": token ?? process.env.SHOPIFY_ADMIN_TOKEN ?? "",
+    ...(hasBody ? { "Content-Type": "application/json" } : {}),
+  });
+
+  /**
+   * Send with retries. `acquire` waits for the rate limit; `inspect(res, payload)` syncs the
+   * limit from the response and returns { retry, waitMs, waitSource, pausesBucket } for an
+   * answer Shopify wants repeated, or null. With `pausesBucket` the next acquire() does the
+   * waiting.
+   */
+  async function send({ method, label, url, body, idempotent, trace, acquire, inspect }) {
+    const { maxRetries, baseMs, maxWaitMs } = retrySettings();
+    let waitTraced = false; // the bucket wait after a retry is already in the trace
+    for (let attempt = 1; ; attempt += 1) {
+      const throttledMs = await acquire();
+      if (throttledMs >= 1000 && !waitTraced) {
+        trace?.({ type: "shopify_api_throttled", method, path: label, waited_ms: throttledMs });
+      }
+      waitTraced = false;
+
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          headers: headers(body !== undefined),
+          ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        });
+      } catch (err) {
+        if (!idempotent || attempt > maxRetries) throw err;
+        const wait = Math.min(backoffMs(baseMs, attempt), maxWaitMs);
+        trace?.({ type: "shopify_api_retry", method, path: label, attempt, error: String(err?.message || err), wait_ms: wait, wait_source: "backoff" });
+        console.warn("[shopify-client] network error; retrying", method, label, err?.message);
+        await sleep(wait);
+        continue;
+      }
+
+      const payload = safeJsonParse(await res.text());
+      const verdict = inspect(res, payload)
+        || (res.status >= 500 && idempotent ? { retry: true, waitMs: retryAfterMs(res.headers), waitSource: "retry_after" } : null);
+      if (!verdict || attempt > maxRetries) return { status: res.status, ok: res.ok, payload, attempts: attempt };
+
+      const wait = verdict.waitMs ?? Math.min(backoffMs(baseMs, attempt), maxWaitMs);
+      if (wait > maxWaitMs) {
+        console.warn("[shopify-client] wait beyond SHOPIFY_API_RETRY_MAX_WAIT_MS; not retrying", method, label, wait);
+        return { status: res.status, ok: res.ok, payload, attempts: attempt };
+      }
+      trace?.({
+        type: "shopify_api_retry",
+        method,
+        path: label,
+        attempt,
+        response_status: res.status,
+        wait_ms: wait,
+        wait_source: verdict.waitMs === null || verdict.waitMs === undefined ? "backoff" : verdict.waitSource,
+      });
+      console.warn("[shopify-client] retrying", method, label, res.status, `in ${wait}ms`);
+      if (verdict.pausesBucket) {
+        waitTraced = true; // acquire() does the waiting
+      } else {
+        await sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * Any REST endpoint, e.g. rest("/orders/123.json", { query: { fields: "id,tags" } }).
+   * @returns {Promise<{ status: number, ok: boolean, payload: object, attempts: number }>}
+   */
+  function rest(path, { method = "GET", body, query, onTrace: callTrace } = {}) {
+    const search = query
+      ? new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== "")).toString()
+      : "";
+    const bucketKey = `shopify-rest:${shopHost()}`;
+    return send({
+      method,
+      label: path,
+      url: adminUrl(`${path}${search ? `?${search}` : ""}`),
+      body,
+      idempotent: method !== "POST",
+      trace: callTrace || onTrace || null,
+      acquire: () => {
+        const size = restBuckets.get(shopHost()) || REST_DEFAULT_BUCKET;
+        return acquireSlot(bucketKey, (size / 20) * 60, { capacity: size });
+      },
+      inspect: (res) => {
+        const m = String(res.headers.get("x-shopify-shop-api-call-limit") || "").match(/^(\d+)\/(\d+)$/);
+        if (m) {
+          restBuckets.set(shopHost(), Number(m[2]));
+          syncSlots(bucketKey, Number(m[2]) - Number(m[1]));
+        }
+        if (res.status !== 429) return null;
+        const waitMs = retryAfterMs(res.headers) ?? 2000;
+        pauseSlots(bucketKey, waitMs);
+        return { retry: true, waitMs, waitSource: "retry_after", pausesBucket: true };
+      },
+    });
+  }
+
+  /**
+   * A GraphQL query or mutation. `cost` is the estimated query cost reserved from the bucket
+   * (default 10 — pass the real figure for connection-heavy queries). Resolves to
+   * { status, ok, payload: data, errors, cost, attempts }; `ok` is false when the response has
+   * top-level errors.
+   */
+  async function graphql(query, variables = {}, { cost = MUTATION_COST, onTrace: callTrace } = {}) {
+    const bucketKey = `shopify-graphql:${shopHost()}`;
+    const mutation = /^\s*mutation\b/.test(query);
+    let estimate = cost;
+    const res = await send({
+      method: "POST",
+      label: `graphql:${(query.match(/^\s*(?:query|mutation)\s+(\w+)/) || [])[1] || "anonymous"}`,
+      url: adminUrl("/graphql.json"),
+      body: { query, variables },
+      idempotent: !mutation,
+      trace: callTrace || onTrace || null,
+      acquire: () => {
+        const limits = graphqlLimits.get(shopHost()) || GRAPHQL_DEFAULT_LIMITS;
+        return acquireSlot(bucketKey, limits.restoreRate * 60, {
+          capacity: limits.maximumAvailable,
+          cost: Math.min(estimate, limits.maximumAvailable),
+        });
+      },
+      inspect: (httpRes, payload) => {
+        const costInfo = payload?.extensions?.cost;
+        const throttle = costInfo?.throttleStatus;
+        if (throttle) {
+          graphqlLimits.set(shopHost(), { maximumAvailable: throttle.maximumAvailable, restoreRate: throttle.restoreRate });
+          syncSlots(bucketKey, throttle.currentlyAvailable);
+        }
+        if (costInfo?.requestedQueryCost) estimate = costInfo.requestedQueryCost;
+        if (httpRes.status === 429) {
+          const waitMs = retryAfterMs(httpRes.headers) ?? 1000;
+          pauseSlots(bucketKey, waitMs);
+          return { retry: true, waitMs, waitSource: "retry_after", pausesBucket: true };
+        }
+        const throttled = (payload?.errors || []).some((e) => e?.extensions?.code === "THROTTLED");
+        if (!throttled) return null;
+        // Shopify didn't run it: wait until the bucket holds the query's cost again.
+        const waitMs = throttle
+          ? Math.ceil((Math.max(0, estimate - throttle.currentlyAvailable) / throttle.restoreRate) * 1000)
+          : 1000;
+        return { retry: true, waitMs, waitSource: "query_cost", pausesBucket: Boolean(throttle) };
+      },
+    });
+    const errors = Array.isArray(res.payload?.errors) && res.payload.errors.length > 0 ? res.payload.errors : null;
+    return {
+      status: res.status,
+      ok: res.ok && !errors,
+      payload: res.payload?.data ?? null,
+      errors,
+      cost: res.payload?.extensions?.cost ?? null,
+      attempts: res.attempts,
+    };
+  }
+
+  /** A GraphQL result reshaped for REST callers; failures carry the errors as `payload.errors`. */
+  function reshape(res, toPayload) {
+    if (!res.ok) return { status: res.status, ok: false, payload: { errors: res.errors || res.payload }, attempts: res.attempts };
+    return { status: res.status, ok: true, payload: toPayload(res.payload), attempts: res.attempts };
+  }
+
+  /** A mutation's result: `ok` also requires no userErrors. */
+  function reshapeMutation(res, field, toPayload) {
+    const out = res.payload?.[field];
+    const userErrors = out?.userErrors || [];
+    if (res.ok && userErrors.length > 0) {
+      return { status: 422, ok: false, payload: { errors: userErrors }, attempts: res.attempts };
+    }
+    return reshape(res, () => toPayload(out));
+  }
+
+  const restTracking = (t = {}) => ({ company: t.company || "Carrier", number: t.number || "", url: t.url || "" });
+
+  return {
+    rest,
+    graphql,
+
+    // ---- Products and orders (REST)
+    getProduct: (productId, { fields, ...options } = {}) => rest(`/products/${productId}.json`, { query: { fields }, ...options }),
+    getOrder: (orderId, { fields, ...options } = {}) => rest(`/orders/${orderId}.json`, { query: { fields }, ...options }),
+    /** Orders (any status) with this name, e.g. "#1042". */
+    findOrdersByName: (name, options) => rest("/orders.json", { query: { status: "any", name }, ...options }),
+    /** PUT only the given fields: { tags, note, note_attributes, ... }. */
+    updateOrder: (orderId, fields, options) => rest(`/orders/${orderId}.json`, { method: "PUT", body: { order: { id: orderId, ...fields } }, ...options }),
+
+    // ---- Fulfillment orders and fulfillments (GraphQL, or REST with SHOPIFY_FULFILLMENT_API=rest)
+    /** payload: { fulfillment_orders: [{ id, status, line_items: [{ id, line_item_id, quantity, fulfillable_quantity }] }] } */
+    async getFulfillmentOrders(orderId, options) {
+      if (fulfillmentApi() === "rest") return rest(`/orders/${orderId}/fulfillment_orders.json`, options);
+      const res = await graphql(FULFILLMENT_ORDERS_QUERY, { id: toGid("Order", orderId) }, { cost: FULFILLMENT_ORDERS_COST, ...options });
+      if (res.ok && !res.payload?.order) return { status: 404, ok: false, payload: { errors: "Order not found" }, attempts: res.attempts };
+      return reshape(res, (data) => ({ fulfillment_orders: data.order.fulfillmentOrders.nodes.map(restFulfillmentOrder) }));
+    },
+
+    /** Put a fulfillment order on hold. `reason` is a REST hold reason (other, awaiting_payment, ...). */
+    async holdFulfillmentOrder(fulfillmentOrderId, { reason = "other", notes = "" } = {}, options) {
+      if (fulfillmentApi() === "rest") {
+        return rest(`/fulfillment_orders/${fulfillmentOrderId}/hold.json`, {
+          method: "POST",
+          body: { fulfillment_hold: { reason, reason_notes: notes } },
+          ...options,
+        });
+      }
+      const res = await graphql(`mutation FulfillmentOrderHold($id: ID!, $hold: FulfillmentOrderHoldInput!) {
+  fulfillmentOrderHold(id: $id, fulfillmentHold: $hold) { fulfillmentOrder { id status } userErrors { field message } }
+}`, { id: toGid("FulfillmentOrder", fulfillmentOrderId), hold: { reason: String(reason).toUpperCase(), reasonNotes: notes } }, options);
+      return reshapeMutation(res, "fulfillmentOrderHold", (out) => ({ fulfillment_order: { id: legacyId(out.fulfillmentOrder?.id), status: lower(out.fulfillmentOrder?.status) } }));
+    },
+
+    async releaseFulfillmentOrderHold(fulfillmentOrderId, options) {
+      if (fulfillmentApi() === "rest") return rest(`/fulfillment_orders/${fulfillmentOrderId}/release_hold.json`, { method: "POST", ...options });
+      const res = await graphql(`mutation FulfillmentOrderReleaseHold($id: ID!) {
+  fulfillmentOrderReleaseHold(id: $id) { fulfillmentOrder { id status } userErrors { field message } }
+}`, { id: toGid("FulfillmentOrder", fulfillmentOrderId) }, options);
+      return reshapeMutation(res, "fulfillmentOrderReleaseHold", (out) => ({ fulfillment_order: { id: legacyId(out.fulfillmentOrder?.id), status: lower(out.fulfillmentOrder?.status) } }));
+    },
+
+    /** payload: { fulfillments: [{ id, status, tracking_number, tracking_numbers, ... }] } */
+    async listFulfillments(orderId, options) {
+      if (fulfillmentApi() === "rest") return rest(`/orders/${orderId}/fulfillments.json`, options);
+      const res = await graphql(FULFILLMENTS_QUERY, { id: toGid("Order", orderId) }, { cost: FULFILLMENTS_COST, ...options });
+      if (res.ok && !res.payload?.order) return { status: 404, ok: false, payload: { errors: "Order not found" }, attempts: res.attempts };
+      return reshape(res, (data) => ({ fulfillments: data.order.fulfillments.map(restFulfillment) }));
+    },
+
+    /**
+     * Fulfill fulfillment orders with tracking. `lineItemsByFulfillmentOrder` uses the REST shape:
+     * [{ fulfillment_order_id, fulfillment_order_line_items?: [{ id, quantity }] }].
+     * payload: { fulfillment: { id, status, ... } }
+     */
+    async createFulfillment({ lineItemsByFulfillmentOrder, tracking, notifyCustomer = true }, options) {
+      if (fulfillmentApi() === "rest") {
+        return rest("/fulfillments.json", {
+          method: "POST",
+          body: {
+            fulfillment: {
+              line_items_by_fulfillment_order: lineItemsByFulfillmentOrder,
+              tracking_info: restTracking(tracking),
+              notify_customer: notifyCustomer,
+            },
+          },
+          ...options,
+        });
+      }
+      const res = await graphql(`mutation FulfillmentCreate($fulfillment: FulfillmentV2Input!) {
+  fulfillmentCreateV2(fulfillment: $fulfillment) { fulfillment { ${FULFILLMENT_FIELDS} } userErrors { field message } }
+}`, {
+        fulfillment: {
+          lineItemsByFulfillmentOrder: lineItemsByFulfillmentOrder.map((entry) => ({
+            fulfillmentOrderId: toGid("FulfillmentOrder", entry.fulfillment_order_id),
+            ...(entry.fulfillment_order_line_items
+              ? {
+                fulfillmentOrderLineItems: entry.fulfillment_order_line_items.map((l) => ({
+                  id: toGid("FulfillmentOrderLineItem", l.id),
+                  quantity: l.quantity,
+                })),
+              }
+              : {}),
+          })),
+          trackingInfo: restTracking(tracking),
+          notifyCustomer,
+        },
+      }, options);
+      return reshapeMutation(res, "fulfillmentCreateV2", (out) => ({ fulfillment: restFulfillment(out.fulfillment || {}) }));
+    },
+
+    /** Replace a fulfillment's tracking. payload: { fulfillment } */
+    async updateFulfillmentTracking(fulfillmentId, tracking, { notifyCustomer = true, ...options } = {}) {
+      if (fulfillmentApi() === "rest") {
+        return rest(`/fulfillments/${fulfillmentId}/update_tracking.json`, {
+          method: "POST",
+          body: { fulfillment: { tracking_info: restTracking(tracking), notify_customer: notifyCustomer } },
+          ...options,
+        });
+      }
+      const res = await graphql(`mutation FulfillmentTrackingUpdate($id: ID!, $tracking: FulfillmentTrackingInput!, $notify: Boolean) {
+  fulfillmentTrackingInfoUpdateV2(fulfillmentId: $id, trackingInfoInput: $tracking, notifyCustomer: $notify) { fulfillment { ${FULFILLMENT_FIELDS} } userErrors { field message } }
+}`, { id: toGid("Fulfillment", fulfillmentId), tracking: restTracking(tracking), notify: notifyCustomer }, options);
+      return reshapeMutation(res, "fulfillmentTrackingInfoUpdateV2", (out) => ({ fulfillment: restFulfillment(out.fulfillment || {}) }));
+    },
+
+    async cancelFulfillment(fulfillmentId, options) {
+      if (fulfillmentApi() === "rest") return rest(`/fulfillments/${fulfillmentId}/cancel.json`, { method: "POST", ...options });
+      const res = await graphql(`mutation FulfillmentCancel($id: ID!) {
+  fulfillmentCancel(id: $id) { fulfillment { id status } userErrors { field message } }
+}`, { id: toGid("Fulfillment", fulfillmentId) }, options);
+      return reshapeMutation(res, "fulfillmentCancel", (out) => ({ fulfillment: { id: legacyId(out.fulfillment?.id), status: lower(out.fulfillment?.status) } }));
+    },
+  };
+}
+
+/** Shared client configured from env. */
+export const shopify = createShopifyClient();
@@ -0,0 +1,347 @@
+// api/shopify-order-events.js
+// Follow-up Shopify order topics that act on an existing Printful order, looked up
+// by the NBHL{order_number} external_id the create flow assigned. Each handler
+// records its calls through `trackRequest` and returns the object stored as
+// `trace.result`, so the outcome lands in the same order log as the create flow.
+import {
+  printfulExternalId,
+  getPrintfulOrder,
+  cancelPrintfulOrder,
+  updatePrintfulOrder,
+  buildPrintfulRecipient,
+  PRINTFUL_CANCELLABLE_STATUSES,
+  PRINTFUL_EDITABLE_STATUSES,
+} from "./printful-orders.js";
+import { cancelPrintfulRetry } from "./printful-retry.js";
+import { recordOrderCancellation } from "./order-cancellations.js";
+import { listOrderLogs, getOrderLog, truncate } from "./order-log.js";
+import { hasR2Config } from "./r2-store.js";
+import { shopify } from "./shopify-client.js";
+
+/** Fetch the Printful order for a Shopify order; `order` is null on 404. */
+async function lookupPrintfulOrder(externalId, trackRequest) {
+  const found = await getPrintfulOrder({ externalId });
+  trackRequest({
+    type: "printful_order_lookup",
+    external_id: externalId,
+    response_status: found.status,
+    response_ok: found.ok,
+    printful_order_id: found.payload?.result?.id ?? null,
+    printful_status: found.payload?.result?.status ?? null,
+    ...(found.ok || found.status === 404 ? {} : { response_preview: truncate(found.payload) }),
+  });
+  return { ...found, order: found.ok ? found.payload?.result : null };
+}
+
+/**
+ * orders/cancelled: cancel the Printful order while it is still cancellable.
+ * Also records the cancellation, so a create job that hasn't submitted yet stops before it
+ * does (order-cancellations.js), and stops a queued retry so a later attempt doesn't submit
+ * a cancelled order.
+ */
+export async function handleOrderCancelled(order, { trackRequest }) {
+  const externalId = printfulExternalId(order);
+  const recorded = await recordOrderCancellation(externalId, { shopifyOrderId: order?.id ?? null, reason: "shopify_order_cancelled" });
+  if (recorded) trackRequest({ type: "order_cancellation_recorded", external_id: externalId, cancelled_at: recorded.cancelled_at });
+  return cancelByExternalId(externalId, { trackRequest });
+}
+
+async function cancelByExternalId(externalId, { trackRequest, found: prefetched } = {}) {
+
+  if (hasR2Config()) {
+    const retryStatus = await cancelPrintfulRetry(externalId, "shopify_order_cancelled");
+    if (retryStatus) trackRequest({ type: "printful_retry_cancelled", external_id: externalId, previous_status: retryStatus });
+  }
+
+  const found = prefetched || await lookupPrintfulOrder(externalId, trackRequest);
+  if (found.status === 404) {
+    return { ok: true, action: "cancel", status: "not_found", external_id: externalId, reason: "no_printful_order" };
+  }
+  if (!found.ok) {
+    return { ok: false, action: "cancel", status: "lookup_failed", external_id: externalId, response_status: found.status };
+  }
+
+  const pfOrder = found.order;
+  const pfStatus = String(pfOrder?.status || "").toLowerCase();
+  if (pfStatus === "canceled") {
+    return { ok: true, action: "cancel", status: "already_cancelled", external_id: externalId, printful_order_id: pfOrder.id };
+  }
+  if (!PRINTFUL_CANCELLABLE_STATUSES.includes(pfStatus)) {
+    console.warn("[shopify-order-events] Printful order not cancellable", { externalId, pfStatus });
+    return {
+      ok: false,
+      action: "cancel",
+      status: "not_cancellable",
+      external_id: externalId,
+      printful_order_id: pfOrder?.id ?? null,
+      printful_status: pfStatus || null,
+      reason: `Printful order is ${pfStatus || "in an unknown state"}; only ${PRINTFUL_CANCELLABLE_STATUSES.join("/")} orders can be cancelled`,
+    };
+  }
+
+  const cancelled = await cancelPrintfulOrder({ id: pfOrder.id });
+  trackRequest({
+    type: "printful_order_cancel_response",
+    printful_order_id: pfOrder.id,
+    response_status: cancelled.status,
+    response_ok: cancelled.ok,
+    response_preview: truncate(cancelled.payload),
+  });
+  if (!cancelled.ok) {
+    return {
+      ok: false,
+      action: "cancel",
+      status: "cancel_failed",
+      external_id: externalId,
+      printful_order_id: pfOrder.id,
+      printful_status: pfStatus,
+      reason: cancelled.payload?.error?.message || `Printful cancel returned ${cancelled.status}`,
+    };
+  }
+  console.log("[printful] Order cancelled:", pfOrder.id);
+  return { ok: true, action: "cancel", status: "cancelled", external_id: externalId, printful_order_id: pfOrder.id, previous_status: pfStatus };
+}
+
+const RECIPIENT_FIELDS = ["name", "address1", "address2", "city", "state_code", "country_code", "zip", "phone", "email"];
+
+/** Fields whose Shopify value differs from the Printful recipient (trimmed, case-insensitive). */
+function diffRecipient(shopifyRecipient, printfulRecipient = {}) {
+  const norm = (v) => String(v ?? "").trim().toLowerCase();
+  const changes = {};
+  for (const field of RECIPIENT_FIELDS) {
+    if (norm(shopifyRecipient[field]) !== norm(printfulRecipient[field])) {
+      changes[field] = { from: printfulRecipient[field] ?? null, to: shopifyRecipient[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * orders/updated: push shipping address corrections to the Printful order.
+ * Shopify fires this topic for any order edit (including our own tags and notes),
+ * so most deliveries end as `unchanged` without touching Printful.
+ */
+export async function handleOrderUpdated(order, { trackRequest }) {
+  const externalId = printfulExternalId(order);
+  if (order.cancelled_at) {
+    return { ok: true, action: "address_update", status: "skipped", external_id: externalId, reason: "order_cancelled" };
+  }
+
+  const found = await lookupPrintfulOrder(externalId, trackRequest);
+  if (found.status === 404) {
+    return { ok: true, action: "address_update", status: "not_found", external_id: externalId, reason: "no_printful_order" };
+  }
+  if (!found.ok) {
+    return { ok: false, action: "address_update", status: "lookup_failed", external_id: externalId, response_status: found.status };
+  }
+
+  const pfOrder = found.order;
+  const pfStatus = String(pfOrder?.status || "").toLowerCase();
+  const recipient = buildPrintfulRecipient(order);
+  const changes = diffRecipient(recipient, pfOrder?.recipient);
+  const changedFields = Object.keys(changes);
+  trackRequest({ type: "recipient_diff", printful_order_id: pfOrder?.id ?? null, changed_fields: changedFields, changes });
+
+  if (changedFields.length === 0) {
+    return { ok: true, action: "address_update", status: "unchanged", external_id: externalId, printful_order_id: pfOrder?.id ?? null };
+  }
+  if (!PRINTFUL_EDITABLE_STATUSES.includes(pfStatus)) {
+    console.warn("[shopify-order-events] address change arrived too late", { externalId, pfStatus, changedFields });
+    return {
+      ok: false,
+      action: "address_update",
+      status: "too_late",
+      external_id: externalId,
+      printful_order_id: pfOrder?.id ?? null,
+      printful_status: pfStatus || null,
+      changed_fields: changedFields,
+      reason: `Printful order is ${pfStatus || "in an unknown state"}; the address can only be changed while it is ${PRINTFUL_EDITABLE_STATUSES.join("/")}`,
+    };
+  }
+
+  const patch = { recipient: Object.fromEntries(RECIPIENT_FIELDS.map((f) => [f, recipient[f]])) };
+  const updated = await updatePrintfulOrder({ id: pfOrder.id }, patch, { confirm: pfStatus === "pending" });
+  trackRequest({
+    type: "printful_order_update_response",
+    printful_order_id: pfOrder.id,
+    request: patch,
+    response_status: updated.status,
+    response_ok: updated.ok,
+    response_preview: truncate(updated.payload),
+  });
+  if (!updated.ok) {
+    return {
+      ok: false,
+      action: "address_update",
+      status: "update_failed",
+      external_id: externalId,
+      printful_order_id: pfOrder.id,
+      printful_status: pfStatus,
+      changed_fields: changedFields,
+      reason: updated.payload?.error?.message || `Printful update returned ${updated.status}`,
+    };
+  }
+  console.log("[printful] Order recipient updated:", pfOrder.id, changedFields);
+  return {
+    ok: true,
+    action: "address_update",
+    status: "updated",
+    external_id: externalId,
+    printful_order_id: pfOrder.id,
+    printful_status: updated.payload?.result?.status || pfStatus,
+    changed_fields: changedFields,
+  };
+}
+
+async function getShopifyOrder(orderId) {
+  const r = await shopify.getOrder(orderId, { fields: "id,order_number,created_at" });
+  if (!r.ok) throw new Error(`Shopify get order ${orderId} failed: ${r.status}`);
+  return r.payload.order;
+}
+
+/**
+ * Shopify line item ID → Printful variant ID, from the newest successful create
+ * trace for this order. Only needed for orders created before Printful items
+ * carried the line item ID as their external_id.
+ */
+async function lineItemVariantsFromLogs(shopifyOrder) {
+  if (!hasR2Config()) return {};
+  const date = String(shopifyOrder?.created_at || "").slice(0, 10);
+  const attempts = date ? [{ order: shopifyOrder.order_number, date }, { order: shopifyOrder.order_number }] : [{ order: shopifyOrder.order_number }];
+  for (const query of attempts) {
+    const keys = await listOrderLogs({ ...query, limit: 20 });
+    for (const key of keys) {
+      const log = await getOrderLog(key);
+      const mapped = (log?.line_items || []).filter((li) => li.line_item_id && li.variant_id && li.file_count);
+      if (mapped.length === 0) continue;
+      return Object.fromEntries(mapped.map((li) => [String(li.line_item_id), li.variant_id]));
+    }
+  }
+  return {};
+}
+
+// Writable item fields set when the order was created. A PUT replaces the item, so anything
+// left out falls back to Printful's default (a DTF hat or embroidered item loses its technique).
+const ORDER_ITEM_FIELDS = ["external_id", "variant_id", "technique", "retail_price", "name", "sku"];
+
+/** Item payload for PUT /orders: keep the fields, files and options the item was created with. */
+function toOrderItemPayload(item, quantity) {
+  const fields = ORDER_ITEM_FIELDS.filter((k) => item[k] !== undefined && item[k] !== null && item[k] !== "");
+  return {
+    ...Object.fromEntries(fields.map((k) => [k, item[k]])),
+    quantity,
+    files: (item.files || []).map((f) => ({ type: f.type, id: f.id })),
+    ...(Array.isArray(item.options) && item.options.length > 0 ? { options: item.options } : {}),
+  };
+}
+
+/**
+ * refunds/create: remove or reduce refunded line items on the Printful order, and
+ * cancel it when nothing is left. The payload is a refund, not an order, so the
+ * order number (and therefore the external_id) is looked up from Shopify first.
+ */
+export async function handleRefundCreated(refund, { trackRequest, trace }) {
+  const refundLines = (refund?.refund_line_items || []).filter((r) => r?.line_item_id && r.quantity > 0);
+  const shopifyOrder = await getShopifyOrder(refund.order_id);
+  const externalId = printfulExternalId(shopifyOrder);
+  if (trace?.incoming) {
+    trace.incoming.shopify_order_id = shopifyOrder?.id ?? refund.order_id ?? null;
+    trace.incoming.order_number = shopifyOrder?.order_number ?? null;
+    trace.incoming.refund_id = refund?.id ?? null;
+  }
+  trackRequest({
+    type: "shopify_refund_line_items",
+    refund_id: refund?.id ?? null,
+    line_items: refundLines.map((r) => ({ line_item_id: r.line_item_id, quantity: r.quantity, sku: r.line_item?.sku || null })),
+  });
+  if (refundLines.length === 0) {
+    return { ok: true, action: "refund", status: "skipped", external_id: externalId, reason: "no_refunded_line_items" };
+  }
+
+  const found = await lookupPrintfulOrder(externalId, trackRequest);
+  if (found.status === 404) {
+    return { ok: true, action: "refund", status: "not_found", external_id: externalId, reason: "no_printful_order" };
+  }
+  if (!found.ok) {
+    return { ok: false, action: "refund", status: "lookup_failed", external_id: externalId, response_status: found.status };
+  }
+  const pfOrder = found.order;
+  const pfStatus = String(pfOrder?.status || "").toLowerCase();
+  const pfItems = (pfOrder?.items || []).map((item) => ({ item, quantity: item.quantity }));
+
+  // Match each refunded line item to a Printful item: by external_id first, then
+  // by the variant recorded for that line item in the create trace.
+  // Bundle SKUs create one Printful item per component, external_id `{line_item_id}-{index}`.
+  const itemsForLineItem = (lineItemId) => pfItems.filter((p) => {
+    const ext = String(p.item.external_id || "");
+    return ext === lineItemId || ext.startsWith(`${lineItemId}-`);
+  });
+  const needsLogs = refundLines.some((r) => itemsForLineItem(String(r.line_item_id)).length === 0);
+  const variantsByLineItem = needsLogs ? await lineItemVariantsFromLogs(shopifyOrder) : {};
+  const reductions = [];
+  const unmatched = [];
+  for (const r of refundLines) {
+    const lineItemId = String(r.line_item_id);
+    let targets = itemsForLineItem(lineItemId);
+    let matchedBy = "external_id";
+    if (targets.length === 0 && variantsByLineItem[lineItemId]) {
+      const byVariant = pfItems.find((p) => !p.item.external_id && p.item.variant_id === variantsByLineItem[lineItemId] && p.quantity > 0);
+      targets = byVariant ? [byVariant] : [];
+      matchedBy = "trace_variant";
+    }
+    if (targets.length === 0) {
+      unmatched.push({ line_item_id: r.line_item_id, quantity: r.quantity });
+      continue;
+    }
+    for (const target of targets) {
+      const removed = Math.min(target.quantity, r.quantity);
+      target.quantity -= removed;
+      reductions.push({ line_item_id: r.line_item_id, printful_item_id: target.item.id, variant_id: target.item.variant_id, removed, remaining: target.quantity, matched_by: matchedBy });
+    }
+  }
+  trackRequest({ type: "refund_item_reconciliation", printful_order_id: pfOrder?.id ?? null, reductions, unmatched });
+
+  const base = { action: "refund", external_id: externalId, printful_order_id: pfOrder?.id ?? null, reductions, unmatched };
+  if (reductions.length === 0) {
+    return { ok: true, ...base, status: "no_printful_items", reason: "refunded line items were never sent to Printful" };
+  }
+
+  const remaining = pfItems.filter((p) => p.quantity > 0);
+  if (remaining.length === 0) {
+    const cancelled = await cancelByExternalId(externalId, { trackRequest, found });
+    return { ...cancelled, ...base, action: "refund", status: cancelled.ok ? "cancelled" : cancelled.status };
+  }
+
+  if (!PRINTFUL_EDITABLE_STATUSES.includes(pfStatus)) {
+    console.warn("[shopify-order-events] refund arrived too late", { externalId, pfStatus });
+    return {
+      ok: false,
+      ...base,
+      status: "too_late",
+      printful_status: pfStatus || null,
+      reason: `Printful order is ${pfStatus || "in an unknown state"}; items can only be changed while it is ${PRINTFUL_EDITABLE_STATUSES.join("/")}`,
+    };
+  }
+
+  const patch = { items: remaining.map((p) => toOrderItemPayload(p.item, p.quantity)) };
+  const updated = await updatePrintfulOrder({ id: pfOrder.id }, patch, { confirm: pfStatus === "pending" });
+  trackRequest({
+    type: "printful_order_update_response",
+    printful_order_id: pfOrder.id,
+    request: patch,
+    response_status: updated.status,
+    response_ok: updated.ok,
+    response_preview: truncate(updated.payload),
+  });
+  if (!updated.ok) {
+    return {
+      ok: false,
+      ...base,
+      status: "update_failed",
+      printful_status: pfStatus,
+      reason: updated.payload?.error?.message || `Printful update returned ${updated.status}`,
+    };
+  }
+  console.log("[printful] Order items reduced for refund:", pfOrder.id, reductions);
+  return { ok: true, ...base, status: "items_reduced", printful_status: updated.payload?.result?.status || pfStatus };
+}
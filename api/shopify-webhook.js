@@ -1,458 +1,81 @@
 import crypto from "crypto";
-import sharp from "sharp";
-import { PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
-import { productColorSizeToVariant } from "./variant-map.js";
+import { runOrderPipeline } from "./order-pipeline.js";
+import { orderProcessingMode, createOrderJob } from "./order-jobs.js";
 import { saveOrderLog } from "./order-log.js";
+import {
+  webhookDedupeEnabled,
+  claimWebhookDelivery,
+  updateWebhookDelivery,
+  releaseWebhookDelivery,
+} from "./webhook-deliveries.js";
 
-// ---- Helpers
-function shopDomain() {
-  return (process.env.SHOPIFY_STORE_DOMAIN || "")
-    .replace(/^https?:\/\//, "")
-    .replace(/\/+$/, "");
-}
-
-function parseStructuredSku(rawSku = "") {
-  const sku = String(rawSku).trim();
-  const parts = sku.split("_");
-  if (parts.length < 4) return null;
-  const templateRef = String(parts[0] || "").trim();
-  const productCode = parts[1];
-  const size = parts[parts.length - 1];
-  const color = parts.slice(2, -1).join("_");
-  if (!templateRef) return null;
-  const normalize = (s) => String(s).toUpperCase().replace(/[^A-Z0-9]/g, "");
-  const variantKey = [productCode, color, size].map(normalize).join("_");
-  return { templateRef, productCode, color, variantKey };
-}
-
-async function getHandleByProductId(id) {
-  const url = `https://${shopDomain()}/admin/api/2025-01/products/${id}.json`;
-  const r = await fetch(url, {
-    headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }
-  });
-  if (!r.ok) throw new Error(`Shopify get product ${id} failed: ${r.status}`);
-  const { product } = await r.json();
-  return product.handle;
-}
-
-function artUrlFromHandle(handle) {
-  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
-  return `${base}/${handle}.png`;
-}
+// How long the webhook waits on its kick to the order worker before answering Shopify.
+const WORKER_KICK_TIMEOUT_MS = 1500;
 
 /**
- * Base filename for design art on the CDN.
- * variant-merch uploads: {designId}/{teamSlug}_{designId}_{fullProductId}.png (all lowercased/slugged).
- * fullProductId is productCode + "_" + color from the structured SKU (middle segments before size).
- *
- * Shopify handles are often team-only (iron-rats) but can be composite without color (iron-rats_26-divprev_bc3001).
- * If we always did {handle}_{templateRef}_{fullProductId}, composites would duplicate design+product.
- *
- * MAIN_ART_FILENAME_MODE:
- * - full (default): derive team slug + build 3-part basename; or handle.png if handle is already the full basename.
- * - handle | legacy: {handle}.png
+ * Ask the order worker to run a job now rather than on its next scheduled run (the
+ * /api/order-worker cron in vercel.json). Best effort: we stop waiting after a moment, and the
+ * schedule picks up anything a failed kick misses. `kicked` is "unknown" when we stopped
+ * waiting, since a timeout doesn't show the request reached the worker. Needs CRON_SECRET.
  */
-function mainArtFileBaseName(handle, templateRef, productCode, color) {
-  const mode = String(process.env.MAIN_ART_FILENAME_MODE || "full").toLowerCase();
-  if (mode === "handle" || mode === "legacy") {
-    return `${sanitizeFilePart(handle || "art")}.png`;
-  }
-  const hSan = sanitizeFilePart(handle || "art");
-  const tSan = sanitizeFilePart(templateRef);
-  const pSan = sanitizeFilePart(productCode);
-  const fullProductId = [productCode, color].filter(Boolean).join("_");
-  const fpSan = sanitizeFilePart(fullProductId);
-
-  // Handle already matches full art basename (e.g. legacy slug that still includes color)
-  const fullBasenameSuffix = `_${tSan}_${fpSan}`;
-  if (fpSan && hSan.endsWith(fullBasenameSuffix)) {
-    return `${hSan}.png`;
-  }
-
-  // Composite handle: team_design_product (no color) — strip suffix so we do not repeat design/product
-  const noColorSuffix = pSan ? `_${tSan}_${pSan}` : "";
-  if (noColorSuffix && hSan.endsWith(noColorSuffix)) {
-    const teamSlug = hSan.slice(0, -noColorSuffix.length);
-    if (teamSlug) {
-      return `${teamSlug}_${tSan}_${fpSan}.png`;
-    }
-  }
-
-  return `${hSan}_${tSan}_${fpSan}.png`;
-}
-
-function mainArtUrlWithPrefix(handle, templateRef, productCode, color) {
-  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
-  const prefix = String(templateRef || "").trim();
-  const filename = mainArtFileBaseName(handle, templateRef, productCode, color);
-  if (!base) return `${prefix}/${filename}`;
-  return prefix ? `${base}/${encodeURIComponent(prefix)}/${filename}` : `${base}/${filename}`;
-}
-
-function placementArtUrl(templateRef, placement) {
-  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
-  const prefix = String(templateRef || "").trim();
-  const filename = `${prefix}_${sanitizeFilePart(placement || "")}.png`;
-  if (!base) return `${prefix}/${filename}`;
-  return prefix ? `${base}/${encodeURIComponent(prefix)}/${encodeURIComponent(filename)}` : `${base}/${templateRef}_${placement}.png`;
-}
-
-function compositePublicBaseUrl() {
-  return (process.env.COMPOSITE_PUBLIC_BASE_URL || process.env.ART_BASE_URL || "").replace(/\/+$/, "");
-}
-
-function compositeUploadPluginId() {
-  return process.env.COMPOSITE_UPLOAD_PLUGIN_ID || "variant-merch";
-}
-
-function numberArtUrl(templateRef, customNumber) {
-  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
-  const prefix = String(templateRef || "").trim();
-  const filename = `${prefix}_${sanitizeFilePart(String(customNumber || ""))}.png`;
-  if (!base) return `${prefix}/${filename}`;
-  return prefix ? `${base}/${encodeURIComponent(prefix)}/${encodeURIComponent(filename)}` : `${base}/${templateRef}_${customNumber}.png`;
-}
-
-function configuredNumberKeys() {
-  const raw = process.env.CUSTOM_NUMBER_FIELD_KEYS || "";
-  return raw
-    .split(",")
-    .map((k) => k.trim().toLowerCase())
-    .filter(Boolean);
-}
-
-function extractCustomNumberFromLineItem(li = {}) {
-  const configuredKeys = configuredNumberKeys();
-  const isNoneLikeValue = (v) => {
-    const s = String(v ?? "").trim().toLowerCase();
-    return s === "none" || s === "no" || s === "n/a" || s === "na";
-  };
-  const isNumberFieldName = (name) => /number|jersey|shirt|custom/i.test(name);
-  const props = [
-    ...(Array.isArray(li?.properties) ? li.properties : []),
-    ...(Array.isArray(li?.custom_properties) ? li.custom_properties : []),
-  ];
-
-  for (const p of props) {
-    const name = String(p?.name || p?.key || "").trim();
-    const value = String(p?.value ?? "").trim();
-    if (!name || !value) continue;
-    const nameLc = name.toLowerCase();
-    const isTargetField = configuredKeys.length > 0
-      ? configuredKeys.includes(nameLc)
-      : isNumberFieldName(name);
-    if (!isTargetField) continue;
-    if (isNoneLikeValue(value)) return null;
-    if (/^\d+$/.test(value)) return value;
-  }
-
-  if (configuredKeys.length > 0) return null;
-  for (const p of props) {
-    const value = String(p?.value ?? "").trim();
-    if (/^\d+$/.test(value)) return value;
-  }
-  return null;
-}
-
-function summarizeLineItemProperties(li = {}) {
-  const props = [
-    ...(Array.isArray(li?.properties) ? li.properties : []),
-    ...(Array.isArray(li?.custom_properties) ? li.custom_properties : []),
-  ];
-  return props.map((p) => ({
-    name: String(p?.name || p?.key || "").trim(),
-    value: String(p?.value ?? "").trim(),
-  }));
-}
-
-function sanitizeFilePart(value = "") {
-  return String(value).toLowerCase().replace(/[^a-z0-9_-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
-}
-
-function compositeFileName({ handle, templateRef, customNumber }) {
-  const h = sanitizeFilePart(handle || "art");
-  const t = sanitizeFilePart(templateRef || "template");
-  const n = sanitizeFilePart(customNumber || "0");
-  return `${h}__${t}__num-${n}.png`;
-}
-
-function deriveRemotePathFromSourceUrl(sourceUrl, fileName) {
+async function kickOrderWorker(req, jobId) {
+  if (!process.env.CRON_SECRET) return { kicked: false, reason: "CRON_SECRET not set" };
+  const base = process.env.ORDER_WORKER_URL || `https://${req.headers.host}/api/order-worker`;
+  const workerUrl = `${base}${base.includes("?") ? "&" : "?"}job_id=${encodeURIComponent(jobId)}`;
   try {
-    const u = new URL(sourceUrl);
-    const parts = u.pathname.split("/").filter(Boolean);
-    parts.pop(); // drop source filename
-    const prefix = parts.join("/");
-    return prefix ? `${prefix}/${fileName}` : fileName;
-  } catch {
-    return fileName;
+    const r = await fetch(workerUrl, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` },
+      signal: AbortSignal.timeout(WORKER_KICK_TIMEOUT_MS),
+    });
+    if (r.ok) return { kicked: true };
+    console.warn("[shopify-webhook] worker kick rejected", jobId, r.status);
+    return { kicked: false, reason: `worker answered ${r.status}` };
+  } catch (err) {
+    // The worker may be running the job, or the request may never have arrived (cold start,
+    // slow DNS or TLS); the schedule covers the second case.
+    if (err?.name === "TimeoutError") return { kicked: "unknown" };
+    console.warn("[shopify-webhook] worker kick failed", jobId, err?.message);
+    return { kicked: false, reason: err?.message || String(err) };
   }
 }
 
-// Composite in same directory as design art: designId/compositeFileName (preserve designId case for R2)
-function compositeRemotePath(templateRef, fileName) {
-  const prefix = String(templateRef || "").trim();
-  return prefix ? `${prefix}/${fileName}` : fileName;
-}
-
-async function fetchImageBuffer(url) {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`Image fetch failed (${r.status}) for ${url}`);
-  const buf = await r.arrayBuffer();
-  return Buffer.from(buf);
-}
-
-async function buildCompositePng({ baseUrl, overlayUrl }) {
-  const [baseBuffer, overlayBuffer] = await Promise.all([
-    fetchImageBuffer(baseUrl),
-    fetchImageBuffer(overlayUrl),
-  ]);
-  return sharp(baseBuffer)
-    .composite([{ input: overlayBuffer, left: 0, top: 0 }])
-    .png()
-    .toBuffer();
-}
-
-function r2Endpoint() {
-  if (process.env.R2_ENDPOINT) return process.env.R2_ENDPOINT;
-  const accountId = process.env.R2_ACCOUNT_ID || "";
-  if (!accountId) return "";
-  return `https://${accountId}.r2.cloudflarestorage.com`;
-}
-
-function hasR2UploadConfig() {
-  return Boolean(
-    process.env.R2_BUCKET_NAME &&
-    process.env.R2_ACCESS_KEY_ID &&
-    process.env.R2_SECRET_ACCESS_KEY &&
-    r2Endpoint()
-  );
-}
-
-async function uploadCompositeDirectToR2({ remotePath, pngBuffer }) {
-  const endpoint = r2Endpoint();
-  const bucket = process.env.R2_BUCKET_NAME || "";
-  const key = String(remotePath || "").replace(/^\/+/, "");
-  const client = new S3Client({
-    region: process.env.R2_REGION || "auto",
-    endpoint,
-    forcePathStyle: true,
-    credentials: {
-      accessKeyId: process.env.R2_ACCESS_KEY_ID || "",
-      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || "",
-    },
-  });
-
-  await client.send(new PutObjectCommand({
-    Bucket: bucket,
-    Key: key,
-    Body: pngBuffer,
-    ContentType: "image/png",
-    CacheControl: "public, max-age=31536000, immutable",
-  }));
-
-  const publicBase = compositePublicBaseUrl();
-  const normalizedPath = key.replace(/^\/+/, "");
-  return {
-    method: "r2_direct",
-    endpoint,
-    bucket,
-    remote_path: normalizedPath,
-    url: publicBase ? `${publicBase}/${normalizedPath}` : null,
+/**
+ * Answer a redelivered webhook without running anything. The trace goes to the order log
+ * with `duplicate_of` pointing at the original delivery's record (its job or log).
+ */
+async function answerDuplicate(res, { order, topic, shop, webhookId, original, debugBypass, includeTraceInResponse }) {
+  const ref = {
+    webhook_id: original.webhook_id,
+    status: original.status,
+    claimed_at: original.claimed_at,
+    job_id: original.job_id,
+    log_key: original.log_key,
   };
-}
-
-async function uploadCompositeViaApi({ fileName, remotePath, pngBuffer }) {
-  const apiUrl = process.env.COMPOSITE_UPLOAD_API_URL || "https://stribe-api.vercel.app/api/upload";
-  if (!apiUrl) return null;
-  const publicBase = compositePublicBaseUrl();
-  const normalizedRemotePath = String(remotePath || "").replace(/^\/+/, "");
-  const pluginId = compositeUploadPluginId();
-  const computedPublicUrl = publicBase ? `${publicBase}/${normalizedRemotePath}` : null;
-  const r = await fetch(apiUrl, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/octet-stream",
-      "X-File-Path": normalizedRemotePath,
-      "X-File-Name": fileName,
-      "X-Plugin-ID": pluginId,
+  const trace = {
+    received_at: new Date().toISOString(),
+    debug_bypass: debugBypass,
+    incoming: {
+      shopify_topic: topic,
+      shopify_shop_domain: shop,
+      webhook_id: webhookId,
+      shopify_order_id: order.id || null,
+      order_number: order.order_number || null,
     },
-    body: pngBuffer,
-  });
-  const text = await r.text();
-  const parsed = safeJsonParse(text);
-  if (!r.ok) throw new Error(`Composite API upload failed (${r.status}): ${truncate(parsed)}`);
-  const url = parsed?.url;
-  return {
-    upload_api_url: apiUrl,
-    remote_path: remotePath,
-    api_reported_url: typeof url === "string" && url ? url : null,
-    url: computedPublicUrl || (typeof url === "string" && url ? url : null),
+    duplicate_of: original,
+    requests: [],
+    result: { ok: true, duplicate: true },
   };
-}
-
-async function uploadCompositeToCdn({ fileName, remotePath, pngBuffer }) {
-  if (hasR2UploadConfig()) {
-    return uploadCompositeDirectToR2({ remotePath, pngBuffer });
-  }
-  return uploadCompositeViaApi({ fileName, remotePath, pngBuffer });
-}
-
-async function uploadFileToPrintful(fileUrl) {
-  const storeId = process.env.PRINTFUL_STORE_ID;
-  const res = await fetch("https://api.printful.com/files", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.PRINTFUL_API_TOKEN}`,
-      "Content-Type": "application/json",
-      "X-PF-Store-Id": storeId,
-    },
-    body: JSON.stringify({ url: fileUrl, store_id: Number(storeId) }),
-  });
-  const data = await res.json();
-  if (!res.ok) throw new Error(`Printful file upload failed: ${JSON.stringify(data)}`);
-  return data?.result?.id;
-}
-
-function safeJsonParse(text) {
-  try { return JSON.parse(text); }
-  catch { return { raw: text }; }
-}
-
-function truncate(value, maxLen = 1200) {
-  const str = typeof value === "string" ? value : JSON.stringify(value);
-  if (str.length <= maxLen) return str;
-  return `${str.slice(0, maxLen)}...[truncated]`;
-}
-
-/** Catalog variant payload: { variant, product } */
-async function fetchPrintfulCatalogVariant(variantId) {
-  const token = process.env.PRINTFUL_API_TOKEN;
-  const res = await fetch(`https://api.printful.com/products/variant/${variantId}`, {
-    headers: token ? { Authorization: `Bearer ${token}` } : {},
-  });
-  const text = await res.text();
-  const parsed = safeJsonParse(text);
-  if (!res.ok) {
-    throw new Error(`Printful catalog variant ${variantId} failed (${res.status}): ${truncate(parsed)}`);
-  }
-  return parsed?.result ?? null;
-}
-
-/**
- * Yupoong 6245CM (catalog) is EMBROIDERY by default; `default` maps to embroidery and requires thread_colors.
- * When DTFILM is available, the DTF front slot is typically type/id `front_dtf_hat`.
- */
-function resolveDtfHatMainFilePlacement(product) {
-  if (!product || typeof product !== "object") return null;
-  const techniques = product.techniques;
-  if (!Array.isArray(techniques) || !techniques.some((t) => t && t.key === "DTFILM")) return null;
-  const files = product.files;
-  if (!Array.isArray(files)) return null;
-  const dtfHat = files.find(
-    (f) => f && (f.type === "front_dtf_hat" || f.id === "front_dtf_hat")
-  );
-  if (!dtfHat?.type) return null;
-  return { fileType: dtfHat.type, technique: "DTFILM" };
-}
-
-/**
- * Per-product extra `options` to attach to the Printful order item.
- *
- * Some catalog products (notably AOP cut-and-sew items) require option values
- * or the draft order is rejected with a 400 BadRequest. Today this only handles
- * the All-Over Print Headband (product 545) which mandates `stitch_color`
- * (white|black). The stitch tracks the design colorway encoded in the SKU so
- * the visible seam blends with the printed artwork.
- */
-function buildOrderItemOptions({ productCode, color }) {
-  const code = String(productCode || "").toUpperCase();
-  const colorKey = String(color || "").toUpperCase();
-  if (code === "HEADBAND") {
-    const stitch = colorKey === "BLACK" ? "black" : "white";
-    return [{ id: "stitch_color", value: stitch }];
-  }
-  return [];
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-async function resetFulfillmentStatus(shopifyOrderId) {
-  const results = { holds: [], cancels: [], errors: [] };
-  try {
-    const foRes = await fetch(
-      `https://${shopDomain()}/admin/api/2025-01/orders/${shopifyOrderId}/fulfillment_orders.json`,
-      { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } }
-    );
-    if (!foRes.ok) {
-      results.errors.push(`FO fetch failed: ${foRes.status}`);
-      return results;
-    }
-    const { fulfillment_orders } = await foRes.json();
-
-    for (const fo of (fulfillment_orders || [])) {
-      if (fo.status === "open") {
-        try {
-          const r = await fetch(
-            `https://${shopDomain()}/admin/api/2025-01/fulfillment_orders/${fo.id}/hold.json`,
-            {
-              method: "POST",
-              headers: {
-                "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify({
-                fulfillment_hold: { reason: "other", reason_notes: "Awaiting Printful fulfillment" },
-              }),
-            }
-          );
-          if (r.ok) results.holds.push(fo.id);
-          else results.errors.push(`Hold FO ${fo.id}: ${r.status}`);
-        } catch (e) {
-          results.errors.push(`Hold FO ${fo.id}: ${e.message}`);
-        }
-      }
-    }
-
-    const fRes = await fetch(
-      `https://${shopDomain()}/admin/api/2025-01/orders/${shopifyOrderId}/fulfillments.json`,
-      { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } }
-    );
-    if (fRes.ok) {
-      const { fulfillments } = await fRes.json();
-      for (const f of (fulfillments || [])) {
-        if (f.status === "success" && !f.tracking_number) {
-          try {
-            const r = await fetch(
-              `https://${shopDomain()}/admin/api/2025-01/fulfillments/${f.id}/cancel.json`,
-              {
-                method: "POST",
-                headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-              }
-            );
-            if (r.ok) results.cancels.push(f.id);
-            else results.errors.push(`Cancel fulfillment ${f.id}: ${r.status}`);
-          } catch (e) {
-            results.errors.push(`Cancel fulfillment ${f.id}: ${e.message}`);
-          }
-        }
-      }
-    }
-  } catch (e) {
-    results.errors.push(`resetFulfillmentStatus: ${e.message}`);
-  }
-  return results;
-}
-
-function isPrintfulExternalIdDuplicate(payload) {
-  const code = String(payload?.error?.api_error_code || "");
-  if (code === "OR-13") return true;
-  const msg = String(payload?.error?.message || payload?.result || "").toLowerCase();
-  return msg.includes("external id already exists");
+  console.log("[shopify-webhook] duplicate delivery skipped", { webhookId, orderId: order.id, original: ref });
+  await saveOrderLog(trace);
+  const body = { ok: true, duplicate: true, original: ref };
+  return res.status(200).json(includeTraceInResponse ? { ...body, trace } : body);
 }
 
 // ---- Main handler
+// Verifies the delivery and drops redeliveries, then stores it as a job and acknowledges
+// (ORDER_PROCESSING=async), or runs the pipeline before answering (inline; also debug requests,
+// unless &async=1).
 export default async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).send("Method Not Allowed");
 
@@ -473,511 +96,64 @@ export default async function handler(req, res) {
 
   let order;
   try { order = JSON.parse(raw); } catch { return res.status(400).send("Invalid JSON"); }
-  const trace = {
-    received_at: new Date().toISOString(),
-    debug_bypass: debugBypass,
-    incoming: {
-      shopify_topic: req.headers["x-shopify-topic"] || null,
-      shopify_shop_domain: req.headers["x-shopify-shop-domain"] || null,
-      shopify_order_id: order.id || null,
-      order_number: order.order_number || null,
-      line_item_count: (order.line_items || []).length,
-      raw_preview: truncate(raw, 1800),
-    },
-    line_items: [],
-    requests: [],
-    missing: [],
-    result: null,
-  };
+  const topic = req.headers["x-shopify-topic"] || null;
+  const shop = req.headers["x-shopify-shop-domain"] || null;
   console.log("[shopify-webhook] received order", {
     orderId: order.id,
     orderNumber: order.order_number,
+    topic,
     lineItemCount: (order.line_items || []).length,
   });
 
-  const configCheck = {
-    ART_BASE_URL_set: Boolean(process.env.ART_BASE_URL),
-    PRINTFUL_API_TOKEN_set: Boolean(process.env.PRINTFUL_API_TOKEN),
-    PRINTFUL_STORE_ID_set: Boolean(process.env.PRINTFUL_STORE_ID),
-    COMPOSITE_UPLOAD_API_URL_set: Boolean(process.env.COMPOSITE_UPLOAD_API_URL),
-  };
-  trace.config_check = configCheck;
-  if (!configCheck.ART_BASE_URL_set) console.warn("[shopify-webhook] ART_BASE_URL is not set; art URLs will be invalid.");
-  if (!configCheck.PRINTFUL_STORE_ID_set || !configCheck.PRINTFUL_API_TOKEN_set) console.warn("[shopify-webhook] PRINTFUL_STORE_ID or PRINTFUL_API_TOKEN not set; Printful file upload will fail.");
-
-  const sa = order.shipping_address || order.customer?.default_address || {};
-  const recipient = {
-    name: [sa.first_name, sa.last_name].filter(Boolean).join(" ") || order.customer?.first_name || "Customer",
-    address1: sa.address1 || "N/A",
-    city: sa.city || "N/A",
-    state_code: sa.province_code || sa.province || "",
-    country_code: sa.country_code || sa.country || "US",
-    zip: sa.zip || "",
-    email: order.email || "",
-    phone: sa.phone || order.customer?.phone || "",
-  };
-
-  const items = [];
-  const missing = [];
-
-  const trackRequest = (entry) => {
-    trace.requests.push(entry);
-    console.log("[shopify-webhook][trace]", JSON.stringify(entry));
-  };
-
-  const fulfillmentReset = await resetFulfillmentStatus(order.id);
-  trace.fulfillment_reset = fulfillmentReset;
-  trackRequest({ type: "fulfillment_reset", ...fulfillmentReset });
-
-  async function uploadFileToPrintfulTracked(fileUrl, context = {}) {
-    const storeId = process.env.PRINTFUL_STORE_ID;
-    const body = { url: fileUrl, store_id: Number(storeId) };
-    const res = await fetch("https://api.printful.com/files", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.PRINTFUL_API_TOKEN}`,
-        "Content-Type": "application/json",
-        "X-PF-Store-Id": storeId,
-      },
-      body: JSON.stringify(body),
-    });
-    const text = await res.text();
-    const parsed = safeJsonParse(text);
-    trackRequest({
-      type: "printful_file_upload",
-      context,
-      request: body,
-      response_status: res.status,
-      response_ok: res.ok,
-      response_preview: truncate(parsed),
-    });
-    if (!res.ok) throw new Error(`Printful file upload failed: ${truncate(parsed)}`);
-    return parsed?.result?.id;
-  }
-
-  async function waitForPrintfulFileReady(fileId, context = {}) {
-    if (!fileId) return { ready: false, reason: "missing_file_id" };
-    const storeId = process.env.PRINTFUL_STORE_ID;
-    const maxAttempts = Number(process.env.PRINTFUL_FILE_READY_ATTEMPTS || 8);
-    const delayMs = Number(process.env.PRINTFUL_FILE_READY_DELAY_MS || 1500);
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-      const res = await fetch(`https://api.printful.com/files/${fileId}`, {
-        headers: {
-          Authorization: `Bearer ${process.env.PRINTFUL_API_TOKEN}`,
-          "X-PF-Store-Id": storeId,
-        },
-      });
-      const text = await res.text();
-      const parsed = safeJsonParse(text);
-      const status = String(
-        parsed?.result?.status ||
-        parsed?.result?.preview_status ||
-        parsed?.result?.sync_status ||
-        ""
-      ).toLowerCase();
-      const isReady = status === "ok" || status === "accepted" || status === "ready";
-      const isFailed = status === "failed" || status === "error" || status === "rejected";
-      trackRequest({
-        type: "printful_file_status_check",
-        context,
-        file_id: fileId,
-        attempt,
-        max_attempts: maxAttempts,
-        response_status: res.status,
-        response_ok: res.ok,
-        file_status: status || null,
-        response_preview: truncate(parsed),
-      });
-
-      if (!res.ok) return { ready: false, reason: `status_check_http_${res.status}`, status };
-      if (isReady) return { ready: true, status };
-      if (isFailed) return { ready: false, reason: "file_status_failed", status };
-      if (attempt < maxAttempts) await sleep(delayMs);
-    }
-
-    return { ready: false, reason: "timeout_waiting_for_file_ready" };
-  }
-
-  for (const li of (order.line_items || [])) {
-    console.log("[shopify-webhook] processing line item", {
-      lineItemId: li?.id,
-      sku: li?.sku,
-      productId: li?.product_id,
-      quantity: li?.quantity,
-    });
-    const parsed = parseStructuredSku(li?.sku);
-    if (!parsed) {
-      console.log("[shopify-webhook] invalid structured sku", li?.sku);
-      missing.push(li?.sku || li.title);
-      trace.line_items.push({
-        sku: li?.sku || null,
-        line_item_id: li?.id || null,
-        product_id: li?.product_id || null,
-        quantity: li?.quantity ?? 1,
-        parse_ok: false,
-      });
-      continue;
-    }
-
-    const { templateRef, productCode, color, variantKey } = parsed;
-    const vId = productColorSizeToVariant[variantKey];
-    if (!vId) {
-      console.log("[shopify-webhook] variant map miss", { sku: li?.sku, variantKey });
-      missing.push(li?.sku || li.title);
-      trace.line_items.push({
-        sku: li?.sku || null,
-        line_item_id: li?.id || null,
-        product_id: li?.product_id || null,
-        quantity: li?.quantity ?? 1,
-        parse_ok: true,
-        variant_key: variantKey,
-        variant_id_found: false,
-      });
-      continue;
-    }
-
-    let handle;
+  // ---- Redeliveries stop here, before any side effects. Refund payloads carry the order as order_id.
+  const webhookId = req.headers["x-shopify-webhook-id"] || null;
+  let delivery = null;
+  if (webhookId && webhookDedupeEnabled()) {
     try {
-      handle = await getHandleByProductId(li.product_id);
-      trackRequest({
-        type: "shopify_product_lookup",
-        line_item_id: li?.id || null,
-        product_id: li?.product_id || null,
-        handle,
-      });
-    } catch (e) {
-      console.error("handle lookup failed", li.product_id, e);
-      missing.push(li?.sku || li.title);
-      trace.line_items.push({
-        sku: li?.sku || null,
-        line_item_id: li?.id || null,
-        product_id: li?.product_id || null,
-        quantity: li?.quantity ?? 1,
-        parse_ok: true,
-        variant_key: variantKey,
-        variant_id_found: true,
-        variant_id: vId,
-        product_handle_lookup_ok: false,
-        error: String(e?.message || e),
-      });
-      continue;
-    }
-
-    let dtfPlacement = null;
-    try {
-      const catalog = await fetchPrintfulCatalogVariant(vId);
-      const product = catalog?.product;
-      dtfPlacement = resolveDtfHatMainFilePlacement(product);
-      trackRequest({
-        type: "printful_catalog_variant",
-        line_item_id: li?.id || null,
-        sku: li?.sku || null,
-        variant_id: vId,
-        product_id: product?.id ?? null,
-        dtf_main_file_type: dtfPlacement?.fileType ?? null,
-      });
-    } catch (e) {
-      console.warn("[shopify-webhook] Printful catalog variant lookup failed", vId, e?.message);
-      trackRequest({
-        type: "printful_catalog_variant_error",
-        line_item_id: li?.id || null,
-        sku: li?.sku || null,
-        variant_id: vId,
-        error: String(e?.message || e),
-      });
+      const claim = await claimWebhookDelivery({ webhookId, orderId: order.order_id ?? order.id, topic });
+      if (claim.duplicate) {
+        return answerDuplicate(res, { order, topic, shop, webhookId, original: claim.record, debugBypass, includeTraceInResponse });
+      }
+      delivery = claim.record;
+    } catch (err) {
+      console.warn("[shopify-webhook] delivery dedupe unavailable; processing", webhookId, err?.message);
     }
+  }
+  const settleDelivery = (fn, ...args) => (delivery ? fn(delivery, ...args) : Promise.resolve())
+    .catch((err) => console.warn("[shopify-webhook] delivery record update failed", webhookId, err?.message));
 
-    const mainFilePlacementLabel = dtfPlacement?.fileType || "default";
-
+  const inline = orderProcessingMode() === "inline" || (debugBypass && url.searchParams.get("async") !== "1");
+  if (inline) {
+    let run;
     try {
-      // ---- Upload files first (prefixed path matches variant-merch: designId/filename.png)
-      const mainArtUrl = mainArtUrlWithPrefix(handle, templateRef, productCode, color);
-      const customNumber = extractCustomNumberFromLineItem(li);
-      let defaultArtUrl = mainArtUrl;
-      console.log("[shopify-webhook] line item custom properties", {
-        lineItemId: li?.id || null,
-        sku: li?.sku || null,
-        properties: summarizeLineItemProperties(li),
-        extractedCustomNumber: customNumber || null,
-      });
-      if (customNumber) {
-        const customNumberUrl = numberArtUrl(templateRef, customNumber);
-        const numberHead = await fetch(customNumberUrl, { method: "HEAD" });
-        trackRequest({
-          type: "custom_number_head_check",
-          line_item_id: li?.id || null,
-          sku: li?.sku || null,
-          custom_number: customNumber,
-          url: customNumberUrl,
-          response_status: numberHead.status,
-          response_ok: numberHead.ok,
-        });
-        if (numberHead.ok) {
-          const compositeName = compositeFileName({ handle, templateRef, customNumber });
-          const remotePath = compositeRemotePath(templateRef, compositeName);
-          const compositeBuffer = await buildCompositePng({
-            baseUrl: mainArtUrl,
-            overlayUrl: customNumberUrl,
-          });
-          const uploadResult = await uploadCompositeToCdn({
-            fileName: compositeName,
-            remotePath,
-            pngBuffer: compositeBuffer,
-          });
-          if (!uploadResult?.url) {
-            throw new Error("Composite upload succeeded but no public URL was resolved");
-          }
-          trackRequest({
-            type: "composite_created_uploaded",
-            line_item_id: li?.id || null,
-            sku: li?.sku || null,
-            template_ref: templateRef,
-            custom_number: customNumber,
-            base_url: mainArtUrl,
-            number_url: customNumberUrl,
-            composite_file_name: compositeName,
-            composite_remote_path: remotePath,
-            composite_public_url: uploadResult.url,
-            upload_method: uploadResult?.method || "api_proxy",
-            upload_configured: hasR2UploadConfig() || Boolean(process.env.COMPOSITE_UPLOAD_API_URL),
-          });
-          defaultArtUrl = uploadResult.url;
-        } else {
-          trackRequest({
-            type: "composite_skipped_missing_number_file",
-            line_item_id: li?.id || null,
-            sku: li?.sku || null,
-            template_ref: templateRef,
-            custom_number: customNumber,
-            number_url: customNumberUrl,
-          });
-        }
-      }
-      const mainFileId = await uploadFileToPrintfulTracked(defaultArtUrl, {
-        sku: li?.sku || null,
-        line_item_id: li?.id || null,
-        placement: mainFilePlacementLabel,
-        source: defaultArtUrl === mainArtUrl ? "base_art" : "composite_art",
-      });
-      if (defaultArtUrl !== mainArtUrl) {
-        const fileReady = await waitForPrintfulFileReady(mainFileId, {
-          sku: li?.sku || null,
-          line_item_id: li?.id || null,
-          placement: mainFilePlacementLabel,
-          source: "composite_art",
-        });
-        trackRequest({
-          type: "printful_file_ready_result",
-          line_item_id: li?.id || null,
-          sku: li?.sku || null,
-          file_id: mainFileId,
-          ...fileReady,
-        });
-      }
-
-      const placementFiles = [];
-      const placements = ["front", "back", "sleeve_left", "sleeve_right"];
-      for (const placement of placements) {
-        const placementUrl = placementArtUrl(templateRef, placement);
-        const headRes = await fetch(placementUrl, { method: "HEAD" });
-        trackRequest({
-          type: "placement_head_check",
-          line_item_id: li?.id || null,
-          sku: li?.sku || null,
-          placement,
-          url: placementUrl,
-          response_status: headRes.status,
-          response_ok: headRes.ok,
-        });
-        if (headRes.ok) {
-          try { 
-            const fileId = await uploadFileToPrintfulTracked(placementUrl, {
-              sku: li?.sku || null,
-              line_item_id: li?.id || null,
-              placement,
-            });
-            placementFiles.push({ type: placement, id: fileId });
-          } catch (e) {
-            console.log("Placement upload failed:", placement, e.message);
-          }
-        }
-      }
-
-      const mainFileType = dtfPlacement?.fileType || "default";
-      const allFiles = [{ type: mainFileType, id: mainFileId }, ...placementFiles];
-      const orderItem = {
-        variant_id: vId,
-        quantity: li.quantity ?? 1,
-        files: allFiles,
-      };
-      if (dtfPlacement?.technique) orderItem.technique = dtfPlacement.technique;
-
-      // All-Over Print Headband (Printful product 545) requires a `stitch_color`
-      // option (white|black) on the order item or the draft is rejected. We match
-      // the stitch to the design colorway encoded in the SKU so the seam blends
-      // with the printed art.
-      const itemOptions = buildOrderItemOptions({ productCode, color });
-      if (itemOptions.length > 0) orderItem.options = itemOptions;
-
-      items.push(orderItem);
-      trace.line_items.push({
-        sku: li?.sku || null,
-        line_item_id: li?.id || null,
-        product_id: li?.product_id || null,
-        quantity: li?.quantity ?? 1,
-        parse_ok: true,
-        variant_key: variantKey,
-        variant_id_found: true,
-        variant_id: vId,
-        template_ref: templateRef,
-        custom_number: customNumber || null,
-        product_handle_lookup_ok: true,
-        product_handle: handle,
-        default_art_source: defaultArtUrl === mainArtUrl ? "base_art" : "composite_art",
-        default_art_url: defaultArtUrl,
-        printful_main_file_type: mainFileType,
-        printful_item_technique: dtfPlacement?.technique || null,
-        printful_item_options: itemOptions.length > 0 ? itemOptions : null,
-        file_count: allFiles.length,
-      });
-      console.log("[shopify-webhook] mapped line item", {
-        sku: li?.sku,
-        variantId: vId,
-        templateRef,
-        fileCount: allFiles.length,
+      run = await runOrderPipeline({
+        order,
+        topic,
+        shop_domain: shop,
+        webhook_id: webhookId,
+        received_at: new Date().toISOString(),
+        debug_bypass: debugBypass,
       });
-
-    } catch (e) {
-      console.error("File upload failed for SKU", li?.sku, e.message);
-      missing.push(li?.sku || li.title);
-      trace.line_items.push({
-        sku: li?.sku || null,
-        line_item_id: li?.id || null,
-        product_id: li?.product_id || null,
-        quantity: li?.quantity ?? 1,
-        parse_ok: true,
-        variant_key: variantKey,
-        variant_id_found: true,
-        variant_id: vId,
-        template_ref: templateRef,
-        product_handle_lookup_ok: true,
-        product_handle: handle,
-        upload_ok: false,
-        error: String(e?.message || e),
-      });
-      continue;
+    } catch (err) {
+      await settleDelivery(releaseWebhookDelivery);
+      throw err;
     }
+    await settleDelivery(updateWebhookDelivery, { status: "done", log_key: run.logKey, result: run.trace.result });
+    return res.status(200).json(includeTraceInResponse ? { ...run.response, trace: run.trace } : run.response);
   }
-  trace.missing = missing;
-
-  if (items.length === 0) {
-    console.error("[shopify-webhook] no valid items", { missing, orderId: order.id });
-    trace.result = { ok: false, reason: "No valid items" };
-    console.log("[shopify-webhook][trace:summary]", JSON.stringify(trace));
-    await saveOrderLog(trace);
-    return res.status(200).json(includeTraceInResponse
-      ? { ok:false, reason:"No valid items", missing, trace }
-      : { ok:false, reason:"No valid items", missing }
-    );
-  }
-
-  const draftOrder = {
-    recipient,
-    items,
-    external_id: `NBHL${order.order_number || order.id}`,
-    shipping: "STANDARD",
-    store_id: Number(process.env.PRINTFUL_STORE_ID),
-    confirm: false, // <-- create draft first
-  };
 
+  let job;
   try {
-    // ---- Step 1: Create draft
-    trackRequest({
-      type: "printful_order_create_request",
-      request: draftOrder,
-    });
-    const r = await fetch("https://api.printful.com/orders", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.PRINTFUL_API_TOKEN}`,
-        "Content-Type": "application/json",
-        "X-PF-Store-Id": process.env.PRINTFUL_STORE_ID,
-      },
-      body: JSON.stringify(draftOrder),
-    });
-    const draftText = await r.text();
-    const draftPayload = safeJsonParse(draftText);
-    trackRequest({
-      type: "printful_order_create_response",
-      response_status: r.status,
-      response_ok: r.ok,
-      response_preview: truncate(draftPayload),
-    });
-    if (!r.ok) {
-      if (isPrintfulExternalIdDuplicate(draftPayload)) {
-        trace.result = {
-          ok: true,
-          status: "already_exists",
-          external_id: draftOrder.external_id,
-          printful_error_code: draftPayload?.error?.api_error_code || null,
-        };
-        console.log("[printful] duplicate external_id treated as success", {
-          externalId: draftOrder.external_id,
-          code: draftPayload?.error?.api_error_code || null,
-        });
-        console.log("[shopify-webhook][trace:summary]", JSON.stringify(trace));
-        await saveOrderLog(trace);
-        return res.status(200).json(includeTraceInResponse
-          ? { ok: true, already_exists: true, external_id: draftOrder.external_id, missing, trace }
-          : { ok: true, already_exists: true, external_id: draftOrder.external_id, missing }
-        );
-      }
-      throw new Error(`Draft order create failed (${r.status}): ${JSON.stringify(draftPayload)}`);
-    }
-    const orderId = draftPayload?.result?.id;
-
-    if (!orderId) throw new Error("Draft order creation failed");
-
-    // ---- Step 2: Confirm the draft
-    const confirmRes = await fetch(`https://api.printful.com/orders/${orderId}/confirm`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.PRINTFUL_API_TOKEN}`,
-        "X-PF-Store-Id": process.env.PRINTFUL_STORE_ID,
-      },
-    });
-    const confirmText = await confirmRes.text();
-    const confirmPayload = safeJsonParse(confirmText);
-    trackRequest({
-      type: "printful_order_confirm_response",
-      printful_order_id: orderId,
-      response_status: confirmRes.status,
-      response_ok: confirmRes.ok,
-      response_preview: truncate(confirmPayload),
-    });
-    if (!confirmRes.ok) {
-      throw new Error(`Draft confirm failed (${confirmRes.status}): ${JSON.stringify(confirmPayload)}`);
-    }
-    console.log("[printful] Order confirmed:", confirmPayload?.result?.id);
-    trace.result = { ok: true, printful_order_id: confirmPayload?.result?.id || orderId };
-    console.log("[shopify-webhook][trace:summary]", JSON.stringify(trace));
-    await saveOrderLog(trace);
-    return res.status(200).json(includeTraceInResponse
-      ? { ok: true, draft: draftPayload, confirmed: confirmPayload, missing, trace }
-      : { ok: true, draft: draftPayload, confirmed: confirmPayload, missing }
-    );
-
+    job = await createOrderJob({ order, topic, shopDomain: shop, webhookId });
   } catch (err) {
-    console.error("[printful] Order creation/confirmation failed:", err);
-    trace.result = { ok: false, error: String(err) };
-    console.log("[shopify-webhook][trace:summary]", JSON.stringify(trace));
-    await saveOrderLog(trace);
-    return res.status(200).json(includeTraceInResponse
-      ? { ok: false, error: String(err), missing, trace }
-      : { ok: false, error: String(err), missing }
-    );
-  }
+    // Not stored, so not acknowledged: Shopify redelivers, and the released claim lets it through.
+    console.error("[shopify-webhook] could not store order job", order.id, err);
+    await settleDelivery(releaseWebhookDelivery);
+    return res.status(503).json({ ok: false, error: "Order could not be queued" });
+  }
+  await settleDelivery(updateWebhookDelivery, { status: "queued", job_id: job.id });
+  const kick = await kickOrderWorker(req, job.id);
+  return res.status(200).json({ ok: true, queued: true, job_id: job.id, worker_kicked: kick.kicked });
 }
 
 // ---- helpers
@@ -0,0 +1,167 @@
+// api/sku-grammar.js
+// Named SKU patterns shared by the live webhook and the dry-run debug route.
+//
+// A pattern is a regex with named groups `templateRef`, `productCode`, `color` and
+// `size`. Optional per-pattern settings:
+//   defaults   values for groups the regex doesn't capture, e.g. { templateRef: "legacy" }
+//   overrides  per-field replacements, keyed by the normalized value, e.g.
+//              { productCode: { BC: "BC3001" }, size: { ONESIZE: "OS" } }
+//   bundle     { separator, regex } — the main regex captures `templateRef` and
+//              `components`; each component is parsed with `bundle.regex` and
+//              becomes its own Printful item
+//
+// SKU_PATTERNS (JSON array) replaces the default list. Entries are either the
+// name of a built-in pattern or a pattern object; an object named like a built-in
+// is merged over it. Patterns are tried in order and the first match wins.
+
+/** Uppercase and drop anything that isn't A-Z/0-9, the form used by variant map keys. */
+export function normalizeSkuSegment(value) {
+  return String(value ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+const SIZE_ALIASES = { ONESIZE: "OS", OSFA: "OS", ONESIZEFITSALL: "OS" };
+
+const COMPONENT_REGEX = "^(?<productCode>[^_]+)_(?<color>.+)_(?<size>[^_]+)$";
+
+export const BUILTIN_SKU_PATTERNS = {
+  // templateRef_BC3001_BLACK_L+Y6245CM_BLACK_OS — checked before `structured`,
+  // which would otherwise swallow the `+` into the color.
+  bundle: {
+    name: "bundle",
+    regex: "^(?<templateRef>[^_+]+)_(?<components>[^+]+(?:\\+[^+]+)+)$",
+    bundle: { separator: "+", regex: COMPONENT_REGEX },
+    overrides: { size: SIZE_ALIASES },
+  },
+  // templateRef_PRODUCT_COLOR..._SIZE; the color may itself contain underscores.
+  structured: {
+    name: "structured",
+    regex: "^(?<templateRef>[^_]+)_(?<productCode>[^_]+)_(?<color>.+)_(?<size>[^_]+)$",
+    overrides: { size: SIZE_ALIASES },
+  },
+};
+
+const DEFAULT_PATTERN_NAMES = ["bundle", "structured"];
+
+function compilePattern(def) {
+  const compile = (source, flags) => (source instanceof RegExp ? source : new RegExp(source, flags || ""));
+  return {
+    name: def.name || "unnamed",
+    regex: compile(def.regex, def.flags),
+    defaults: def.defaults || {},
+    overrides: def.overrides || {},
+    bundle: def.bundle
+      ? { separator: def.bundle.separator || "+", regex: compile(def.bundle.regex || COMPONENT_REGEX, def.bundle.flags) }
+      : null,
+  };
+}
+
+let cachedPatterns = null;
+let cachedSource = null;
+
+/** Compiled pattern list from SKU_PATTERNS, or the built-in defaults. */
+export function loadSkuPatterns() {
+  const raw = process.env.SKU_PATTERNS || "";
+  if (cachedPatterns && cachedSource === raw) return cachedPatterns;
+
+  let entries = DEFAULT_PATTERN_NAMES;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed) && parsed.length > 0) entries = parsed;
+      else console.warn("[sku-grammar] SKU_PATTERNS must be a non-empty JSON array; using defaults");
+    } catch {
+      console.warn("[sku-grammar] SKU_PATTERNS is not valid JSON; using defaults");
+    }
+  }
+
+  const patterns = [];
+  for (const entry of entries) {
+    const def = typeof entry === "string"
+      ? BUILTIN_SKU_PATTERNS[entry]
+      : { ...(BUILTIN_SKU_PATTERNS[entry?.name] || {}), ...entry };
+    if (!def?.regex) {
+      console.warn("[sku-grammar] skipping unknown or incomplete pattern", entry);
+      continue;
+    }
+    try {
+      patterns.push(compilePattern(def));
+    } catch (err) {
+      console.warn("[sku-grammar] invalid regex in pattern", def.name, err.message);
+    }
+  }
+  cachedPatterns = patterns;
+  cachedSource = raw;
+  return patterns;
+}
+
+/** Replacement for a field value when the pattern overrides it (looked up by normalized value). */
+function overrideFor(pattern, field, raw) {
+  const table = pattern?.overrides?.[field];
+  if (!table) return undefined;
+  const hit = table[normalizeSkuSegment(raw)];
+  return hit === undefined ? undefined : String(hit);
+}
+
+/** Variant map key for a product/color/size triple, e.g. BC3001_HEATHERNAVY_2XL. */
+export function variantKeyFor(productCode, color, size, pattern = BUILTIN_SKU_PATTERNS.structured) {
+  return [
+    overrideFor(pattern, "productCode", productCode) ?? productCode,
+    overrideFor(pattern, "color", color) ?? color,
+    overrideFor(pattern, "size", size) ?? size,
+  ].map(normalizeSkuSegment).join("_");
+}
+
+function buildComponent(pattern, groups) {
+  const raw = (field) => String(groups[field] ?? pattern.defaults[field] ?? "").trim();
+  const productCode = raw("productCode");
+  const color = raw("color");
+  const size = raw("size");
+  if (!productCode || !size) return null;
+  return {
+    productCode: overrideFor(pattern, "productCode", productCode) ?? productCode,
+    color: overrideFor(pattern, "color", color) ?? color,
+    size: overrideFor(pattern, "size", size) ?? size,
+    variantKey: variantKeyFor(productCode, color, size, pattern),
+  };
+}
+
+/**
+ * Parse a SKU with the first matching pattern.
+ * Returns null, or { pattern, templateRef, components: [{ productCode, color, size, variantKey }] }
+ * with the first component's fields also spread at the top level. Fields keep their
+ * raw form unless overridden (art filenames use them); `variantKey` is normalized.
+ */
+export function parseSku(rawSku = "", patterns = loadSkuPatterns()) {
+  const sku = String(rawSku ?? "").trim();
+  if (!sku) return null;
+
+  for (const pattern of patterns) {
+    const match = sku.match(pattern.regex);
+    if (!match) continue;
+    const groups = match.groups || {};
+    const templateRef = String(groups.templateRef ?? pattern.defaults.templateRef ?? "").trim();
+    if (!templateRef) continue;
+
+    let components;
+    if (pattern.bundle) {
+      const parts = String(groups.components || "").split(pattern.bundle.separator).map((p) => p.trim()).filter(Boolean);
+      components = parts.map((part) => {
+        const m = part.match(pattern.bundle.regex);
+        return m ? buildComponent(pattern, m.groups || {}) : null;
+      });
+      if (components.length === 0 || components.some((c) => !c)) continue;
+    } else {
+      const component = buildComponent(pattern, groups);
+      if (!component) continue;
+      components = [component];
+    }
+
+    return {
+      pattern: pattern.name,
+      templateRef: overrideFor(pattern, "templateRef", templateRef) ?? templateRef,
+      ...components[0],
+      components,
+    };
+  }
+  return null;
+}
@@ -0,0 +1,228 @@
+// api/template-layout.js
+// Where personalization (jersey number, player name) goes on a template's art. Each template
+// can ship a layout file next to its art, {ART_BASE_URL}/{templateRef}/{templateRef}_layout.json:
+//   {
+//     "number": {
+//       "set": "block-numbers",          // number art from {set}/{set}_{n}.png (default: templateRef)
+//       "anchor": "top-center",          // point on the base art the number is aligned to
+//       "offset": { "x": 0, "y": "18%" }, // px, or "N%" of the base art's width/height
+//       "scale": 1.25,                    // multiplier on the number art's own size
+//       "maxWidth": "40%",                // px or % of base width; larger numbers shrink to fit
+//       "font": { ... }                   // optional: render numbers with no PNG (text-render.js)
+//     },
+//     "name": {
+//       "placement": "back",              // placement file the name is composited into
+//       "anchor": "top-center", "offset": { "x": 0, "y": "6%" }, "maxWidth": "70%",
+//       "style": "arc",                   // straight (default) | arc
+//       "arc": { "radius": "60%", "direction": "up" }, // radius px or % of base width
+//       "uppercase": true,
+//       "canvas": { "width": 1800, "height": 2400 },   // used when the template has no placement art
+//       "font": { ... }                   // required: names are always rendered from a font
+//     },
+//     "placements": ["back", "label_inside"], // optional: placement files to look for
+//                                             // (see placement-sets.js)
+//     "embroidery": {                         // optional (see embroidery.js)
+//       "technique": "embroidery",            // embroidery | dtf, for products that offer both
+//       "thread_colors": { "default": ["#FFFFFF", "#CC3333"], "embroidery_back": ["#FFFFFF"] },
+//       "max_stitches": 12000
+//     }
+//   }
+// The art's matching corner/edge sits on the anchor (a top-center number hangs from the
+// top-center point), so tightly cropped art of any width stays centered.
+// Templates without a layout file keep the legacy number behavior: the number PNG is expected
+// to be pre-padded to the full canvas and is overlaid at 0,0. Names need a layout.
+import sharp from "sharp";
+import { normalizePlacementList } from "./placement-sets.js";
+
+export const LAYOUT_ANCHORS = [
+  "top-left", "top-center", "top-right",
+  "center-left", "center", "center-right",
+  "bottom-left", "bottom-center", "bottom-right",
+];
+
+const LEGACY_NUMBER_LAYOUT = { legacy: true };
+
+function artBase() {
+  return (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+}
+
+export function templateLayoutUrl(templateRef) {
+  const prefix = String(templateRef || "").trim();
+  const filename = `${prefix}_layout.json`;
+  const base = artBase();
+  if (!base) return `${prefix}/${filename}`;
+  return `${base}/${encodeURIComponent(prefix)}/${encodeURIComponent(filename)}`;
+}
+
+/** A length in px, or a "N%" string relative to `total`. Returns null when unset/invalid. */
+export function resolveLength(value, total) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)(%?)$/);
+  if (!match) return null;
+  const n = Number(match[1]);
+  return match[2] ? (n / 100) * total : n;
+}
+
+/** Anchor, offset, scale and maxWidth shared by every section. */
+function validatePosition(section, where) {
+  const anchor = String(section.anchor || "top-left").toLowerCase();
+  if (!LAYOUT_ANCHORS.includes(anchor)) throw new Error(`${where}: unknown anchor ${section.anchor}`);
+  const scale = section.scale === undefined ? 1 : Number(section.scale);
+  if (!Number.isFinite(scale) || scale <= 0) throw new Error(`${where}: invalid scale ${section.scale}`);
+  return {
+    anchor,
+    offset: { x: section.offset?.x ?? 0, y: section.offset?.y ?? 0 },
+    scale,
+    maxWidth: section.maxWidth ?? null,
+    // Checked when text is actually rendered (text-render.js), so a font typo
+    // doesn't also break templates that have PNG numbers.
+    font: section.font && typeof section.font === "object" ? section.font : null,
+  };
+}
+
+function validateNumber(number) {
+  return { ...validatePosition(number, "number"), set: number.set ? String(number.set).trim() : null };
+}
+
+function validateName(name) {
+  const placement = String(name.placement || "back").toLowerCase();
+  if (!/^[a-z0-9_]+$/.test(placement)) throw new Error(`name: invalid placement ${name.placement}`);
+  const style = String(name.style || "straight").toLowerCase();
+  if (style !== "straight" && style !== "arc") throw new Error(`name: style must be straight or arc, got ${name.style}`);
+  const direction = String(name.arc?.direction || "up").toLowerCase();
+  if (direction !== "up" && direction !== "down") throw new Error(`name: arc direction must be up or down`);
+  if (!name.font) throw new Error("name: `font` is required");
+  return {
+    ...validatePosition(name, "name"),
+    placement,
+    style,
+    arc: { radius: name.arc?.radius ?? "60%", direction },
+    uppercase: name.uppercase !== false,
+    canvas: {
+      width: Number(name.canvas?.width) || 1800,
+      height: Number(name.canvas?.height) || 2400,
+    },
+  };
+}
+
+/** `placements`: a list, or lists keyed by product code ("*" for the rest). */
+function validatePlacements(placements) {
+  const list = normalizePlacementList(placements);
+  if (list) return list;
+  if (!placements || typeof placements !== "object") throw new Error("placements must be an array or an object of arrays");
+  const byProduct = {};
+  for (const [code, value] of Object.entries(placements)) {
+    const entry = normalizePlacementList(value);
+    if (!entry) throw new Error(`placements.${code} must be an array`);
+    byProduct[code === "*" ? "*" : code.toUpperCase()] = entry;
+  }
+  return byProduct;
+}
+
+function validateThreadList(list, where) {
+  if (!Array.isArray(list) || list.length === 0) throw new Error(`${where} must be a non-empty array`);
+  return list.map((hex) => {
+    if (!/^#[0-9a-f]{6}$/i.test(String(hex))) throw new Error(`${where}: ${hex} is not #RRGGBB`);
+    return String(hex).toUpperCase();
+  });
+}
+
+function validateEmbroidery(embroidery) {
+  const technique = embroidery.technique ? String(embroidery.technique).toLowerCase() : null;
+  if (technique && technique !== "embroidery" && technique !== "dtf") {
+    throw new Error(`embroidery: technique must be embroidery or dtf, got ${embroidery.technique}`);
+  }
+  let threadColors = null;
+  if (Array.isArray(embroidery.thread_colors)) {
+    threadColors = validateThreadList(embroidery.thread_colors, "embroidery.thread_colors");
+  } else if (embroidery.thread_colors) {
+    threadColors = Object.fromEntries(Object.entries(embroidery.thread_colors)
+      .map(([placement, list]) => [placement, validateThreadList(list, `embroidery.thread_colors.${placement}`)]));
+  }
+  const maxStitches = embroidery.max_stitches === undefined ? null : Number(embroidery.max_stitches);
+  if (maxStitches !== null && !(maxStitches > 0)) throw new Error(`embroidery: invalid max_stitches ${embroidery.max_stitches}`);
+  return { technique, thread_colors: threadColors, max_stitches: maxStitches };
+}
+
+function validateLayout(raw) {
+  if (!raw?.number && !raw?.name && !raw?.placements && !raw?.embroidery) {
+    throw new Error("layout has no `number`, `name`, `placements` or `embroidery` section");
+  }
+  return {
+    number: raw.number ? validateNumber(raw.number) : LEGACY_NUMBER_LAYOUT,
+    name: raw.name ? validateName(raw.name) : null,
+    placements: raw.placements ? validatePlacements(raw.placements) : null,
+    embroidery: raw.embroidery ? validateEmbroidery(raw.embroidery) : null,
+  };
+}
+
+/**
+ * Layout for a template: { number, name, placements, embroidery, source, error }. A missing
+ * file (404) gives the legacy number layout and nothing else, with no error; an unreadable or invalid file gives
+ * the same plus `error`, so a bad layout degrades to the old number overlay instead of failing
+ * the line item. `cache` (templateRef → Promise) avoids refetching for every item in an order.
+ */
+export function loadTemplateLayout(templateRef, cache = new Map()) {
+  if (!cache.has(templateRef)) {
+    cache.set(templateRef, (async () => {
+      const url = templateLayoutUrl(templateRef);
+      const fallback = { number: LEGACY_NUMBER_LAYOUT, name: null, placements: null, embroidery: null };
+      try {
+        const r = await fetch(url);
+        if (r.status === 404 || r.status === 403) return { ...fallback, source: null, error: null };
+        if (!r.ok) throw new Error(`layout fetch failed (${r.status})`);
+        return { ...validateLayout(await r.json()), source: url, error: null };
+      } catch (err) {
+        return { ...fallback, source: url, error: err.message };
+      }
+    })());
+  }
+  return cache.get(templateRef);
+}
+
+/**
+ * Target box for overlay art on a base of `base` {width,height}, given the overlay's
+ * natural `overlay` {width,height}: { left, top, width, height, clamped }.
+ */
+export function resolveArtBox(layout, base, overlay) {
+  let width = overlay.width * layout.scale;
+  const maxWidth = resolveLength(layout.maxWidth, base.width);
+  if (maxWidth && width > maxWidth) width = maxWidth;
+  // Never larger than the base art itself.
+  width = Math.min(width, base.width, (base.height / overlay.height) * overlay.width);
+  width = Math.max(1, Math.round(width));
+  const height = Math.max(1, Math.round((width / overlay.width) * overlay.height));
+
+  const [vertical, horizontal = "center"] = layout.anchor === "center" ? ["center", "center"] : layout.anchor.split("-");
+  const fraction = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+  const anchorX = fraction[horizontal] * base.width;
+  const anchorY = fraction[vertical] * base.height;
+  const dx = resolveLength(layout.offset.x, base.width) ?? 0;
+  const dy = resolveLength(layout.offset.y, base.height) ?? 0;
+
+  const rawLeft = Math.round(anchorX + dx - fraction[horizontal] * width);
+  const rawTop = Math.round(anchorY + dy - fraction[vertical] * height);
+  const left = Math.min(Math.max(rawLeft, 0), base.width - width);
+  const top = Math.min(Math.max(rawTop, 0), base.height - height);
+  return { left, top, width, height, clamped: left !== rawLeft || top !== rawTop };
+}
+
+/**
+ * Composite overlay art onto the base art. Returns { png, placement } where placement
+ * describes where the overlay went (for the trace).
+ */
+export async function compositeArt(baseBuffer, overlayBuffer, layout) {
+  if (layout.legacy) {
+    const png = await sharp(baseBuffer).composite([{ input: overlayBuffer, left: 0, top: 0 }]).png().toBuffer();
+    return { png, placement: { mode: "legacy", left: 0, top: 0 } };
+  }
+  const [baseMeta, overlayMeta] = await Promise.all([sharp(baseBuffer).metadata(), sharp(overlayBuffer).metadata()]);
+  const box = resolveArtBox(
+    layout,
+    { width: baseMeta.width, height: baseMeta.height },
+    { width: overlayMeta.width, height: overlayMeta.height }
+  );
+  const art = await sharp(overlayBuffer).resize({ width: box.width, height: box.height, fit: "fill" }).png().toBuffer();
+  const png = await sharp(baseBuffer).composite([{ input: art, left: box.left, top: box.top }]).png().toBuffer();
+  return { png, placement: { mode: "layout", anchor: layout.anchor, ...box } };
+}
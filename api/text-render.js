@@ -0,0 +1,205 @@
+// api/text-render.js
+// Render personalization text (jersey numbers without a pre-made PNG, player names) from a
+// template font. The font settings live in the template's layout file (see template-layout.js)
+// under `number.font` / `name.font`:
+//   { "file": "fonts/varsity.ttf", "family": "Varsity Team", "size": 400,
+//     "fill": "#FFFFFF", "stroke": "#0B1F3A", "strokeWidth": 14 }
+// `file` is relative to the template's art folder ({ART_BASE_URL}/{templateRef}/) or an
+// absolute URL. Rendered text is tightly cropped, so it is positioned with the same
+// anchor/offset/scale/maxWidth as number PNGs.
+import crypto from "crypto";
+import path from "path";
+import { mkdir, writeFile, access } from "fs/promises";
+import sharp from "sharp";
+
+// Fonts are downloaded once per function instance; fontconfig needs a file on disk.
+const FONT_DIR = path.join("/tmp", "template-fonts");
+const fontDownloads = new Map(); // url → Promise<path>
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+// An invisible glyph on each side of a character gives every character the same line box
+// (libvips crops text to its ink), so baselines line up and spaces have a width.
+const STRUT = '<span alpha="1">|</span>';
+// Text wider than this much of the circle gets a larger radius instead of wrapping around.
+const MAX_ARC_ANGLE = Math.PI;
+
+export function templateFontUrl(templateRef, file) {
+  if (/^https?:\/\//i.test(file)) return file;
+  const base = (process.env.ART_BASE_URL || "").replace(/\/+$/, "");
+  const prefix = encodeURIComponent(String(templateRef || "").trim());
+  const rel = String(file).replace(/^\/+/, "").split("/").map(encodeURIComponent).join("/");
+  return `${base}/${prefix}/${rel}`;
+}
+
+/** Validate a layout `font` section; throws on anything unusable. `where` names it in errors. */
+export function validateFont(font, where = "font") {
+  if (!font?.file || !font?.family) throw new Error(`${where} needs \`file\` and \`family\``);
+  const size = Number(font.size ?? 400);
+  const strokeWidth = Number(font.strokeWidth ?? (font.stroke ? 8 : 0));
+  const fill = String(font.fill || "#FFFFFF");
+  const stroke = font.stroke ? String(font.stroke) : null;
+  if (!Number.isFinite(size) || size <= 0) throw new Error(`invalid font size ${font.size}`);
+  if (!Number.isFinite(strokeWidth) || strokeWidth < 0) throw new Error(`invalid strokeWidth ${font.strokeWidth}`);
+  if (!HEX_COLOR.test(fill)) throw new Error(`font fill must be #RRGGBB, got ${font.fill}`);
+  if (stroke && !HEX_COLOR.test(stroke)) throw new Error(`font stroke must be #RRGGBB, got ${font.stroke}`);
+  return { file: String(font.file), family: String(font.family), size, fill, stroke, strokeWidth: stroke ? strokeWidth : 0 };
+}
+
+async function downloadFont(url) {
+  if (!fontDownloads.has(url)) {
+    const promise = (async () => {
+      const ext = path.extname(new URL(url).pathname) || ".ttf";
+      const file = path.join(FONT_DIR, `${crypto.createHash("sha1").update(url).digest("hex")}${ext}`);
+      try {
+        await access(file);
+        return file;
+      } catch {
+        // not downloaded yet
+      }
+      const r = await fetch(url);
+      if (!r.ok) throw new Error(`Font fetch failed (${r.status}) for ${url}`);
+      await mkdir(FONT_DIR, { recursive: true });
+      await writeFile(file, Buffer.from(await r.arrayBuffer()));
+      return file;
+    })();
+    promise.catch(() => fontDownloads.delete(url)); // retry on the next order
+    fontDownloads.set(url, promise);
+  }
+  return fontDownloads.get(url);
+}
+
+function escapeMarkup(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function renderMarkup(markup, color, font, fontfile) {
+  // Pango sizes are points; at 72 DPI a point is a pixel.
+  return sharp({
+    text: {
+      text: `<span foreground="${color}">${markup}</span>`,
+      font: `${font.family} ${font.size}`,
+      fontfile,
+      rgba: true,
+      dpi: 72,
+    },
+  }).png().toBuffer({ resolveWithObject: true });
+}
+
+/** Offsets approximating a round outline of radius `r`: two rings, so thin strokes stay covered. */
+function strokeOffsets(r) {
+  const offsets = [];
+  for (const radius of r > 4 ? [r / 2, r] : [r]) {
+    const steps = Math.max(8, Math.ceil((2 * Math.PI * radius) / 2));
+    for (let i = 0; i < steps; i += 1) {
+      const a = (2 * Math.PI * i) / steps;
+      offsets.push([Math.round(Math.cos(a) * radius), Math.round(Math.sin(a) * radius)]);
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Fill plus outline for a piece of markup, padded by the stroke width and not trimmed.
+ * libvips text has no outline option, so the stroke is built from copies of the text in
+ * the stroke color shifted around a circle, with the fill drawn on top.
+ */
+async function renderStroked(markup, font, fontfile) {
+  const fill = await renderMarkup(markup, font.fill, font, fontfile);
+  const pad = Math.ceil(font.strokeWidth);
+  const layers = [];
+  if (font.stroke && pad > 0) {
+    const stroke = await renderMarkup(markup, font.stroke, font, fontfile);
+    for (const [dx, dy] of strokeOffsets(pad)) {
+      layers.push({ input: stroke.data, left: pad + dx, top: pad + dy });
+    }
+  }
+  layers.push({ input: fill.data, left: pad, top: pad });
+
+  const width = fill.info.width + pad * 2;
+  const height = fill.info.height + pad * 2;
+  const png = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+  return { png, width, height };
+}
+
+async function trimmed(png) {
+  // Trim the transparent padding Pango leaves around the glyphs so anchors line up with the ink.
+  const out = await sharp(png).trim({ threshold: 0 }).png().toBuffer({ resolveWithObject: true });
+  return { png: out.data, width: out.info.width, height: out.info.height };
+}
+
+/** Render `text` in a straight line. Returns { png, font_url, width, height }. */
+export async function renderTextArt(text, fontConfig, templateRef) {
+  const font = validateFont(fontConfig);
+  if (!String(text).trim()) throw new Error("Nothing to render");
+  const fontUrl = templateFontUrl(templateRef, font.file);
+  const fontfile = await downloadFont(fontUrl);
+  const { png } = await renderStroked(escapeMarkup(text), font, fontfile);
+  return { ...(await trimmed(png)), font_url: fontUrl };
+}
+
+/** Render `number` (digits only) with the template's number font. */
+export async function renderNumberArt(number, fontConfig, templateRef) {
+  const text = String(number).replace(/[^0-9]/g, "");
+  if (!text) throw new Error(`Nothing to render for number ${number}`);
+  return renderTextArt(text, fontConfig, templateRef);
+}
+
+/**
+ * Render `text` along a circular arc, one character at a time: each character is rotated to
+ * the tangent and placed on a circle of `radius` px. `direction` up bows the middle of the
+ * text upward (the usual jersey name arch); down bows it downward.
+ * Returns { png, font_url, width, height, radius }.
+ */
+export async function renderArcTextArt(text, fontConfig, templateRef, { radius, direction = "up" }) {
+  const font = validateFont(fontConfig);
+  const chars = [...String(text)];
+  if (!chars.some((c) => c.trim())) throw new Error("Nothing to render");
+  const fontUrl = templateFontUrl(templateRef, font.file);
+  const fontfile = await downloadFont(fontUrl);
+
+  // Advance of a character = width of |c| minus width of || (both struts invisible).
+  const empty = await renderStroked(`${STRUT}${STRUT}`, font, fontfile);
+  const glyphs = [];
+  for (const c of chars) {
+    const cell = await renderStroked(`${STRUT}${escapeMarkup(c)}${STRUT}`, font, fontfile);
+    glyphs.push({ char: c, cell, advance: cell.width - empty.width });
+  }
+
+  const length = glyphs.reduce((sum, g) => sum + g.advance, 0);
+  const r = Math.max(Number(radius) || 0, length / MAX_ARC_ANGLE, 1);
+  const up = direction !== "down";
+  const layers = [];
+  let along = -length / 2;
+  for (const g of glyphs) {
+    const angle = (along + g.advance / 2) / r; // radians from the top (or bottom) of the circle
+    along += g.advance;
+    if (!g.char.trim()) continue;
+    // Each cell is centered on its character, so rotating about the center keeps it in place.
+    const rotated = await sharp(g.cell.png)
+      .rotate((up ? angle : -angle) * (180 / Math.PI), { background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    const x = r * Math.sin(angle);
+    const y = up ? -r * Math.cos(angle) : r * Math.cos(angle);
+    layers.push({
+      input: rotated.data,
+      left: Math.round(x - rotated.info.width / 2),
+      top: Math.round(y - rotated.info.height / 2),
+      width: rotated.info.width,
+      height: rotated.info.height,
+    });
+  }
+
+  const minLeft = Math.min(...layers.map((l) => l.left));
+  const minTop = Math.min(...layers.map((l) => l.top));
+  const width = Math.max(...layers.map((l) => l.left + l.width)) - minLeft;
+  const height = Math.max(...layers.map((l) => l.top + l.height)) - minTop;
+  const png = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite(layers.map((l) => ({ input: l.input, left: l.left - minLeft, top: l.top - minTop })))
+    .png()
+    .toBuffer();
+  return { ...(await trimmed(png)), font_url: fontUrl, radius: Math.round(r) };
+}
@@ -0,0 +1,83 @@
+import {
+  listVariantMappings,
+  writeVariantMappings,
+  normalizeVariantKey,
+  VariantMapConflictError,
+} from "./variant-map-store.js";
+import { variantKeyFor } from "./sku-grammar.js";
+
+// Auth: ADMIN_TOKEN as `Authorization: Bearer <token>` or ?token=.
+// GET    ?prefix=BC3001                       list effective entries (seed + store)
+// POST   { key | product_code,color,size, variant_id, version? }   add a new key
+// PUT    { key | product_code,color,size, variant_id, version? }   change an existing key
+// DELETE ?key=BC3001_BLACK_L&version=7        remove a key (seed keys are tombstoned)
+export default async function handler(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const bearer = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const token = bearer || url.searchParams.get("token");
+  if (!process.env.ADMIN_TOKEN || token !== process.env.ADMIN_TOKEN) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  try {
+    if (req.method === "GET") {
+      const listing = await listVariantMappings({ prefix: url.searchParams.get("prefix") });
+      return res.status(200).json({ count: listing.entries.length, ...listing });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      let body;
+      try { body = JSON.parse(await getRawBody(req)); } catch { return res.status(400).send("Invalid JSON"); }
+      const key = body?.key
+        ? normalizeVariantKey(body.key)
+        : normalizeVariantKey(variantKeyFor(body?.product_code, body?.color, body?.size));
+      const variantId = Number(body?.variant_id);
+      if (!key) return res.status(400).json({ error: "Provide key (PRODUCTCODE_COLOR_SIZE) or product_code, color and size" });
+      if (!Number.isInteger(variantId) || variantId <= 0) return res.status(400).json({ error: "variant_id must be a positive integer" });
+
+      const { entries } = await listVariantMappings();
+      const existing = entries.find((e) => e.key === key);
+      if (req.method === "POST" && existing) {
+        return res.status(409).json({ error: `${key} already exists`, variant_id: existing.variant_id });
+      }
+      if (req.method === "PUT" && !existing) {
+        return res.status(404).json({ error: `${key} does not exist; use POST to add it` });
+      }
+      const doc = await writeVariantMappings({ [key]: variantId }, { expectedVersion: body?.version });
+      return res.status(req.method === "POST" ? 201 : 200).json({
+        ok: true,
+        key,
+        variant_id: variantId,
+        previous_variant_id: existing?.variant_id ?? null,
+        version: doc.version,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      const key = normalizeVariantKey(url.searchParams.get("key"));
+      if (!key) return res.status(400).json({ error: "key must be PRODUCTCODE_COLOR_SIZE" });
+      const { entries } = await listVariantMappings();
+      const existing = entries.find((e) => e.key === key);
+      if (!existing) return res.status(404).json({ error: `${key} does not exist` });
+      const doc = await writeVariantMappings({ [key]: null }, { expectedVersion: url.searchParams.get("version") });
+      return res.status(200).json({ ok: true, key, removed_variant_id: existing.variant_id, version: doc.version });
+    }
+
+    return res.status(405).send("Method Not Allowed");
+  } catch (err) {
+    if (err instanceof VariantMapConflictError) {
+      return res.status(409).json({ error: err.message, current_version: err.actual });
+    }
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// helpers
+function getRawBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
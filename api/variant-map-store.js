@@ -0,0 +1,119 @@
+// api/variant-map-store.js
+// Variant mappings (PRODUCTCODE_COLOR_SIZE → Printful variant_id) editable without a deploy.
+// The document lives in R2 at _config/variant-map.json:
+//   { "version": 7, "updated_at": "...", "entries": { "BC3001_BLACK_L": 4018, "BC3001_OLDCOLOR_S": null } }
+// Entries are layered over the `productColorSizeToVariant` literal, which stays the seed
+// and the fallback when R2 is unavailable. A null entry removes a seed key.
+import { productColorSizeToVariant } from "./variant-map.js";
+import { hasR2Config, getJsonObject, putJsonObject } from "./r2-store.js";
+import { normalizeSkuSegment } from "./sku-grammar.js";
+
+const VARIANT_MAP_KEY = "_config/variant-map.json";
+const KEY_PATTERN = /^[A-Z0-9]+_[A-Z0-9]+_[A-Z0-9]+$/;
+
+export class VariantMapConflictError extends Error {
+  constructor(expected, actual) {
+    super(`Variant map version conflict: expected ${expected}, found ${actual}`);
+    this.name = "VariantMapConflictError";
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+let cached = null; // { doc, loadedAt }
+
+function cacheTtlMs() {
+  const ttl = Number(process.env.VARIANT_MAP_CACHE_TTL_MS);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : 60_000;
+}
+
+function emptyDocument() {
+  return { version: 0, updated_at: null, entries: {} };
+}
+
+/** Normalize a key the way parseSku builds variant keys; returns null when it isn't PRODUCT_COLOR_SIZE. */
+export function normalizeVariantKey(key) {
+  const parts = String(key || "").split("_").map(normalizeSkuSegment).filter(Boolean);
+  const normalized = parts.join("_");
+  return parts.length === 3 && KEY_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Load the R2 document, served from the in-process cache while it is fresh.
+ * Read failures fall back to an empty document (seed only) rather than throwing,
+ * so a storage hiccup never blocks order processing.
+ */
+export async function loadVariantMapDocument({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cached.loadedAt < cacheTtlMs()) return cached.doc;
+  if (!hasR2Config()) return emptyDocument();
+  try {
+    const doc = (await getJsonObject(VARIANT_MAP_KEY)) || emptyDocument();
+    cached = { doc, loadedAt: Date.now() };
+    return doc;
+  } catch (err) {
+    console.error("[variant-map-store] failed to load variant map, using seed:", err.message);
+    return cached?.doc || emptyDocument();
+  }
+}
+
+function mergeWithSeed(doc) {
+  const merged = { ...productColorSizeToVariant };
+  for (const [key, value] of Object.entries(doc.entries || {})) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+/** Seed merged with the stored entries, plus the document version it came from. */
+export async function getVariantMap() {
+  const doc = await loadVariantMapDocument();
+  return { version: doc.version, map: mergeWithSeed(doc) };
+}
+
+export async function resolveVariantId(variantKey) {
+  const doc = await loadVariantMapDocument();
+  const stored = doc.entries?.[variantKey];
+  if (stored === null) return undefined;
+  return stored ?? productColorSizeToVariant[variantKey];
+}
+
+/** Every effective entry with where it comes from: "store", "seed", or "store_override". */
+export async function listVariantMappings({ prefix } = {}) {
+  const doc = await loadVariantMapDocument({ fresh: true });
+  const merged = mergeWithSeed(doc);
+  const wanted = prefix ? normalizeSkuSegment(prefix) : "";
+  const entries = Object.keys(merged)
+    .filter((k) => !wanted || k.startsWith(`${wanted}_`))
+    .sort()
+    .map((key) => {
+      const inStore = Object.prototype.hasOwnProperty.call(doc.entries || {}, key);
+      const inSeed = Object.prototype.hasOwnProperty.call(productColorSizeToVariant, key);
+      return { key, variant_id: merged[key], source: inStore ? (inSeed ? "store_override" : "store") : "seed" };
+    });
+  const removed = Object.entries(doc.entries || {}).filter(([, v]) => v === null).map(([k]) => k).sort();
+  return { version: doc.version, updated_at: doc.updated_at, entries, removed };
+}
+
+/**
+ * Apply changes ({ KEY: variantId | null }) and bump the version. Pass `expectedVersion`
+ * to reject the write when someone else saved in between (read-check-write, so this
+ * narrows the race rather than closing it).
+ */
+export async function writeVariantMappings(changes, { expectedVersion } = {}) {
+  if (!hasR2Config()) throw new Error("R2 is not configured; the variant map store is read-only");
+  const doc = await loadVariantMapDocument({ fresh: true });
+  if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== doc.version) {
+    throw new VariantMapConflictError(Number(expectedVersion), doc.version);
+  }
+  const entries = { ...(doc.entries || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    // Removing a key that only exists in the store needs no tombstone.
+    if (value === null && !Object.prototype.hasOwnProperty.call(productColorSizeToVariant, key)) delete entries[key];
+    else entries[key] = value;
+  }
+  const next = { version: doc.version + 1, updated_at: new Date().toISOString(), entries };
+  await putJsonObject(VARIANT_MAP_KEY, next);
+  cached = { doc: next, loadedAt: Date.now() };
+  return next;
+}
@@ -691,157 +691,157 @@ export const productColorSizeToVariant = {
   "G18500_BLACK_4XL": 5536,
 
   // Cotton Heritage M2580 premium pullover hoodie (Printful catalog product 380)
-  "CHM2580_ADOBE_2XL": 24991,
-  "CHM2580_ADOBE_3XL": 24992,
-  "CHM2580_ADOBE_L": 24989,
-  "CHM2580_ADOBE_M": 24988,
   "CHM2580_ADOBE_S": 24987,
+  "CHM2580_ADOBE_M": 24988,
+  "CHM2580_ADOBE_L": 24989,
   "CHM2580_ADOBE_XL": 24990,
-  "CHM2580_BLACK_2XL": 10783,
-  "CHM2580_BLACK_3XL": 13416,
-  "CHM2580_BLACK_L": 10781,
-  "CHM2580_BLACK_M": 10780,
+  "CHM2580_ADOBE_2XL": 24991,
+  "CHM2580_ADOBE_3XL": 24992,
   "CHM2580_BLACK_S": 10779,
+  "CHM2580_BLACK_M": 10780,
+  "CHM2580_BLACK_L": 10781,
   "CHM2580_BLACK_XL": 10782,
-  "CHM2580_BONE_2XL": 20288,
-  "CHM2580_BONE_3XL": 20289,
-  "CHM2580_BONE_L": 20286,
-  "CHM2580_BONE_M": 20285,
+  "CHM2580_BLACK_2XL": 10783,
+  "CHM2580_BLACK_3XL": 13416,
   "CHM2580_BONE_S": 20284,
+  "CHM2580_BONE_M": 20285,
+  "CHM2580_BONE_L": 20286,
   "CHM2580_BONE_XL": 20287,
-  "CHM2580_CARBONGREY_2XL": 10788,
-  "CHM2580_CARBONGREY_3XL": 13420,
-  "CHM2580_CARBONGREY_L": 10786,
-  "CHM2580_CARBONGREY_M": 10785,
+  "CHM2580_BONE_2XL": 20288,
+  "CHM2580_BONE_3XL": 20289,
   "CHM2580_CARBONGREY_S": 10784,
+  "CHM2580_CARBONGREY_M": 10785,
+  "CHM2580_CARBONGREY_L": 10786,
   "CHM2580_CARBONGREY_XL": 10787,
-  "CHM2580_CAROLINABLUE_2XL": 11500,
-  "CHM2580_CAROLINABLUE_3XL": 13422,
-  "CHM2580_CAROLINABLUE_L": 11498,
-  "CHM2580_CAROLINABLUE_M": 11497,
+  "CHM2580_CARBONGREY_2XL": 10788,
+  "CHM2580_CARBONGREY_3XL": 13420,
   "CHM2580_CAROLINABLUE_S": 11496,
+  "CHM2580_CAROLINABLUE_M": 11497,
+  "CHM2580_CAROLINABLUE_L": 11498,
   "CHM2580_CAROLINABLUE_XL": 11499,
-  "CHM2580_CHARCOALHEATHER_2XL": 11485,
-  "CHM2580_CHARCOALHEATHER_3XL": 13419,
-  "CHM2580_CHARCOALHEATHER_L": 11483,
-  "CHM2580_CHARCOALHEATHER_M": 11482,
+  "CHM2580_CAROLINABLUE_2XL": 11500,
+  "CHM2580_CAROLINABLUE_3XL": 13422,
   "CHM2580_CHARCOALHEATHER_S": 11481,
+  "CHM2580_CHARCOALHEATHER_M": 11482,
+  "CHM2580_CHARCOALHEATHER_L": 11483,
   "CHM2580_CHARCOALHEATHER_XL": 11484,
-  "CHM2580_DUSTYROSE_2XL": 13891,
-  "CHM2580_DUSTYROSE_3XL": 13892,
-  "CHM2580_DUSTYROSE_L": 13889,
-  "CHM2580_DUSTYROSE_M": 13888,
+  "CHM2580_CHARCOALHEATHER_2XL": 11485,
+  "CHM2580_CHARCOALHEATHER_3XL": 13419,
   "CHM2580_DUSTYROSE_S": 13887,
+  "CHM2580_DUSTYROSE_M": 13888,
+  "CHM2580_DUSTYROSE_L": 13889,
   "CHM2580_DUSTYROSE_XL": 13890,
-  "CHM2580_FORESTGREEN_2XL": 16166,
-  "CHM2580_FORESTGREEN_3XL": 16167,
-  "CHM2580_FORESTGREEN_L": 16164,
-  "CHM2580_FORESTGREEN_M": 16163,
+  "CHM2580_DUSTYROSE_2XL": 13891,
+  "CHM2580_DUSTYROSE_3XL": 13892,
   "CHM2580_FORESTGREEN_S": 16162,
+  "CHM2580_FORESTGREEN_M": 16163,
+  "CHM2580_FORESTGREEN_L": 16164,
   "CHM2580_FORESTGREEN_XL": 16165,
-  "CHM2580_KHAKI_2XL": 13903,
-  "CHM2580_KHAKI_3XL": 13904,
-  "CHM2580_KHAKI_L": 13901,
-  "CHM2580_KHAKI_M": 13900,
+  "CHM2580_FORESTGREEN_2XL": 16166,
+  "CHM2580_FORESTGREEN_3XL": 16167,
   "CHM2580_KHAKI_S": 13899,
+  "CHM2580_KHAKI_M": 13900,
+  "CHM2580_KHAKI_L": 13901,
   "CHM2580_KHAKI_XL": 13902,
-  "CHM2580_LATTE_2XL": 24985,
-  "CHM2580_LATTE_3XL": 24986,
-  "CHM2580_LATTE_L": 24983,
-  "CHM2580_LATTE_M": 24982,
+  "CHM2580_KHAKI_2XL": 13903,
+  "CHM2580_KHAKI_3XL": 13904,
   "CHM2580_LATTE_S": 24981,
+  "CHM2580_LATTE_M": 24982,
+  "CHM2580_LATTE_L": 24983,
   "CHM2580_LATTE_XL": 24984,
-  "CHM2580_LAVENDER_2XL": 25009,
-  "CHM2580_LAVENDER_3XL": 25010,
-  "CHM2580_LAVENDER_L": 25007,
-  "CHM2580_LAVENDER_M": 25006,
+  "CHM2580_LATTE_2XL": 24985,
+  "CHM2580_LATTE_3XL": 24986,
   "CHM2580_LAVENDER_S": 25005,
+  "CHM2580_LAVENDER_M": 25006,
+  "CHM2580_LAVENDER_L": 25007,
   "CHM2580_LAVENDER_XL": 25008,
-  "CHM2580_LIGHTPINK_2XL": 24997,
-  "CHM2580_LIGHTPINK_3XL": 24998,
-  "CHM2580_LIGHTPINK_L": 24995,
-  "CHM2580_LIGHTPINK_M": 24994,
+  "CHM2580_LAVENDER_2XL": 25009,
+  "CHM2580_LAVENDER_3XL": 25010,
   "CHM2580_LIGHTPINK_S": 24993,
+  "CHM2580_LIGHTPINK_M": 24994,
+  "CHM2580_LIGHTPINK_L": 24995,
   "CHM2580_LIGHTPINK_XL": 24996,
-  "CHM2580_MAROON_2XL": 11490,
-  "CHM2580_MAROON_3XL": 13418,
-  "CHM2580_MAROON_L": 11488,
-  "CHM2580_MAROON_M": 11487,
+  "CHM2580_LIGHTPINK_2XL": 24997,
+  "CHM2580_LIGHTPINK_3XL": 24998,
   "CHM2580_MAROON_S": 11486,
+  "CHM2580_MAROON_M": 11487,
+  "CHM2580_MAROON_L": 11488,
   "CHM2580_MAROON_XL": 11489,
-  "CHM2580_MILITARYGREEN_2XL": 13897,
-  "CHM2580_MILITARYGREEN_3XL": 13898,
-  "CHM2580_MILITARYGREEN_L": 13895,
-  "CHM2580_MILITARYGREEN_M": 13894,
+  "CHM2580_MAROON_2XL": 11490,
+  "CHM2580_MAROON_3XL": 13418,
   "CHM2580_MILITARYGREEN_S": 13893,
+  "CHM2580_MILITARYGREEN_M": 13894,
+  "CHM2580_MILITARYGREEN_L": 13895,
   "CHM2580_MILITARYGREEN_XL": 13896,
-  "CHM2580_NAVYBLAZER_2XL": 11495,
-  "CHM2580_NAVYBLAZER_3XL": 13417,
-  "CHM2580_NAVYBLAZER_L": 11493,
-  "CHM2580_NAVYBLAZER_M": 11492,
+  "CHM2580_MILITARYGREEN_2XL": 13897,
+  "CHM2580_MILITARYGREEN_3XL": 13898,
   "CHM2580_NAVYBLAZER_S": 11491,
+  "CHM2580_NAVYBLAZER_M": 11492,
+  "CHM2580_NAVYBLAZER_L": 11493,
   "CHM2580_NAVYBLAZER_XL": 11494,
-  "CHM2580_OATMEALHEATHER_2XL": 24979,
-  "CHM2580_OATMEALHEATHER_3XL": 24980,
-  "CHM2580_OATMEALHEATHER_L": 24977,
-  "CHM2580_OATMEALHEATHER_M": 24976,
+  "CHM2580_NAVYBLAZER_2XL": 11495,
+  "CHM2580_NAVYBLAZER_3XL": 13417,
   "CHM2580_OATMEALHEATHER_S": 24975,
+  "CHM2580_OATMEALHEATHER_M": 24976,
+  "CHM2580_OATMEALHEATHER_L": 24977,
   "CHM2580_OATMEALHEATHER_XL": 24978,
-  "CHM2580_PURPLE_2XL": 13915,
-  "CHM2580_PURPLE_3XL": 13916,
-  "CHM2580_PURPLE_L": 13913,
-  "CHM2580_PURPLE_M": 13912,
+  "CHM2580_OATMEALHEATHER_2XL": 24979,
+  "CHM2580_OATMEALHEATHER_3XL": 24980,
   "CHM2580_PURPLE_S": 13911,
+  "CHM2580_PURPLE_M": 13912,
+  "CHM2580_PURPLE_L": 13913,
   "CHM2580_PURPLE_XL": 13914,
-  "CHM2580_SKYBLUE_2XL": 13921,
-  "CHM2580_SKYBLUE_3XL": 13922,
-  "CHM2580_SKYBLUE_L": 13919,
-  "CHM2580_SKYBLUE_M": 13918,
+  "CHM2580_PURPLE_2XL": 13915,
+  "CHM2580_PURPLE_3XL": 13916,
   "CHM2580_SKYBLUE_S": 13917,
+  "CHM2580_SKYBLUE_M": 13918,
+  "CHM2580_SKYBLUE_L": 13919,
   "CHM2580_SKYBLUE_XL": 13920,
-  "CHM2580_TEAMGOLD_2XL": 25003,
-  "CHM2580_TEAMGOLD_3XL": 25004,
-  "CHM2580_TEAMGOLD_L": 25001,
-  "CHM2580_TEAMGOLD_M": 25000,
+  "CHM2580_SKYBLUE_2XL": 13921,
+  "CHM2580_SKYBLUE_3XL": 13922,
   "CHM2580_TEAMGOLD_S": 24999,
+  "CHM2580_TEAMGOLD_M": 25000,
+  "CHM2580_TEAMGOLD_L": 25001,
   "CHM2580_TEAMGOLD_XL": 25002,
-  "CHM2580_TEAMRED_2XL": 20282,
-  "CHM2580_TEAMRED_3XL": 20283,
-  "CHM2580_TEAMRED_L": 20280,
-  "CHM2580_TEAMRED_M": 20279,
+  "CHM2580_TEAMGOLD_2XL": 25003,
+  "CHM2580_TEAMGOLD_3XL": 25004,
   "CHM2580_TEAMRED_S": 20278,
+  "CHM2580_TEAMRED_M": 20279,
+  "CHM2580_TEAMRED_L": 20280,
   "CHM2580_TEAMRED_XL": 20281,
-  "CHM2580_TEAMROYAL_2XL": 13909,
-  "CHM2580_TEAMROYAL_3XL": 13910,
-  "CHM2580_TEAMROYAL_L": 13907,
-  "CHM2580_TEAMROYAL_M": 13906,
+  "CHM2580_TEAMRED_2XL": 20282,
+  "CHM2580_TEAMRED_3XL": 20283,
   "CHM2580_TEAMROYAL_S": 13905,
+  "CHM2580_TEAMROYAL_M": 13906,
+  "CHM2580_TEAMROYAL_L": 13907,
   "CHM2580_TEAMROYAL_XL": 13908,
-  "CHM2580_VINTAGEBLACK_2XL": 20276,
-  "CHM2580_VINTAGEBLACK_3XL": 20277,
-  "CHM2580_VINTAGEBLACK_L": 20274,
-  "CHM2580_VINTAGEBLACK_M": 20273,
+  "CHM2580_TEAMROYAL_2XL": 13909,
+  "CHM2580_TEAMROYAL_3XL": 13910,
   "CHM2580_VINTAGEBLACK_S": 20272,
+  "CHM2580_VINTAGEBLACK_M": 20273,
+  "CHM2580_VINTAGEBLACK_L": 20274,
   "CHM2580_VINTAGEBLACK_XL": 20275,
-  "CHM2580_WHITE_2XL": 10778,
-  "CHM2580_WHITE_3XL": 13421,
-  "CHM2580_WHITE_L": 10776,
-  "CHM2580_WHITE_M": 10775,
+  "CHM2580_VINTAGEBLACK_2XL": 20276,
+  "CHM2580_VINTAGEBLACK_3XL": 20277,
   "CHM2580_WHITE_S": 10774,
+  "CHM2580_WHITE_M": 10775,
+  "CHM2580_WHITE_L": 10776,
   "CHM2580_WHITE_XL": 10777,
+  "CHM2580_WHITE_2XL": 10778,
+  "CHM2580_WHITE_3XL": 13421,
 
   // Classic Dad Hat | Yupoong 6245CM (Printful catalog product 206), one size — use OS in SKU
   // Full list from GET https://api.printful.com/products/206 (11 colors). “Two-tone” UI uses Spruce + Khaki as separate variants.
   "Y6245CM_BLACK_OS": 7854,
-  "Y6245CM_NAVY_OS": 7857,
   "Y6245CM_CRANBERRY_OS": 12735,
-  "Y6245CM_SPRUCE_OS": 8745,
   "Y6245CM_DARKGREY_OS": 12736,
   "Y6245CM_GREENCAMO_OS": 9794,
   "Y6245CM_KHAKI_OS": 7855,
-  "Y6245CM_STONE_OS": 7859,
-  "Y6245CM_PINK_OS": 7858,
   "Y6245CM_LIGHTBLUE_OS": 7856,
+  "Y6245CM_NAVY_OS": 7857,
+  "Y6245CM_PINK_OS": 7858,
+  "Y6245CM_SPRUCE_OS": 8745,
+  "Y6245CM_STONE_OS": 7859,
   "Y6245CM_WHITE_OS": 7853,
 
   // Classic Rope Cap | Richardson 258 (Printful catalog product 846), one size
@@ -858,5 +858,4 @@ export const productColorSizeToVariant = {
   "HEADBAND_BLACK_L": 13802,
   "HEADBAND_WHITE_M": 16363,
   "HEADBAND_WHITE_L": 13802,
-
 };
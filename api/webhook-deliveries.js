@@ -0,0 +1,76 @@
+// api/webhook-deliveries.js
+// Deduplicates Shopify webhook deliveries. Shopify redelivers a webhook, with the same
+// X-Shopify-Webhook-Id, when it doesn't get a 2xx in time, and occasionally delivers one twice
+// anyway. The first delivery claims _webhooks/{webhook_id}_{order_id}.json (a conditional PUT,
+// so concurrent deliveries can't both claim it); a later one finds the claim and is answered
+// before anything else happens.
+//   { webhook_id, order_id, topic, status, claimed_at, expires_at, job_id, log_key, result }
+// `status` is processing (claimed, being queued or run), queued (stored as order job `job_id`)
+// or done (run inline; `log_key` is its order log, `result` its outcome).
+// A delivery that fails — its job couldn't be stored, or the inline run threw — releases its
+// claim, so Shopify's redelivery is processed. A claim left in processing for longer than
+// PROCESSING_STALE_MS (the function died) is taken over by the next delivery.
+//
+// WEBHOOK_DEDUPE            on (default) | off; needs R2
+// WEBHOOK_DEDUPE_TTL_HOURS  how long a delivery is remembered (default 72; Shopify retries for
+//                           48 hours). Expired records are ignored; add an R2 lifecycle rule on
+//                           _webhooks/ to delete them.
+import { hasR2Config, getJsonObject, putJsonObject, putJsonObjectIfAbsent, deleteObject } from "./r2-store.js";
+
+const PREFIX = "_webhooks/";
+const PROCESSING_STALE_MS = 15 * 60_000;
+
+export function webhookDedupeEnabled() {
+  return String(process.env.WEBHOOK_DEDUPE || "on").toLowerCase() !== "off" && hasR2Config();
+}
+
+function ttlMs() {
+  const hours = Number(process.env.WEBHOOK_DEDUPE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 72) * 3600 * 1000;
+}
+
+function deliveryKey(webhookId, orderId) {
+  const safe = (v) => String(v ?? "none").replace(/[^A-Za-z0-9_-]/g, "-");
+  return `${PREFIX}${safe(webhookId)}_${safe(orderId)}.json`;
+}
+
+/**
+ * Claim a delivery: { duplicate, record }. With `duplicate` false the caller owns the new
+ * record; with `duplicate` true `record` is the original delivery's and nothing should run.
+ */
+export async function claimWebhookDelivery({ webhookId, orderId, topic }) {
+  const now = new Date();
+  const key = deliveryKey(webhookId, orderId);
+  const record = {
+    webhook_id: webhookId,
+    order_id: orderId ?? null,
+    topic: topic || null,
+    status: "processing",
+    claimed_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlMs()).toISOString(),
+    job_id: null,
+    log_key: null,
+    result: null,
+  };
+  if (await putJsonObjectIfAbsent(key, record)) return { duplicate: false, record };
+
+  const existing = await getJsonObject(key);
+  const expired = !existing || new Date(existing.expires_at) <= now;
+  const abandoned = existing?.status === "processing" && now - new Date(existing.claimed_at) > PROCESSING_STALE_MS;
+  if (expired || abandoned) {
+    await putJsonObject(key, record);
+    return { duplicate: false, record };
+  }
+  return { duplicate: true, record: existing };
+}
+
+/** Record how a claimed delivery was handled (status, job_id, log_key, result). */
+export async function updateWebhookDelivery(record, fields) {
+  Object.assign(record, fields);
+  await putJsonObject(deliveryKey(record.webhook_id, record.order_id), record);
+}
+
+/** Drop a claim so the delivery's redelivery is processed. */
+export async function releaseWebhookDelivery(record) {
+  await deleteObject(deliveryKey(record.webhook_id, record.order_id));
+}
@@ -0,0 +1,56 @@
+// scripts/printful-catalog.js
+// Printful catalog reads for the variant map scripts. With `fixtures` set, responses
+// are read from recorded JSON files instead of the API; with `record` set, live
+// responses are saved in the same layout:
+//   {dir}/product-{id}.json   GET /products/{id}
+//   {dir}/variant-{id}.json   GET /products/variant/{id}
+// Live reads go through the Printful client (api/printful-client.js), so large manifests are
+// rate limited and retried rather than failing on a 429.
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { createPrintfulClient } from "../api/printful-client.js";
+
+async function catalogGet(liveRead, fixtureName, { token, fixtures, record } = {}) {
+  if (fixtures) {
+    const file = path.join(fixtures, fixtureName);
+    let text;
+    try {
+      text = await readFile(file, "utf8");
+    } catch {
+      return { status: 404, data: { code: 404, error: { message: `No fixture ${file}` } } };
+    }
+    const data = JSON.parse(text);
+    return { status: Number(data?.code) || 200, data };
+  }
+
+  const res = await liveRead(createPrintfulClient({ token }));
+  const data = res.payload;
+  if (record) {
+    await mkdir(record, { recursive: true });
+    await writeFile(path.join(record, fixtureName), `${JSON.stringify(data, null, 2)}\n`, "utf8");
+  }
+  return { status: res.status, data };
+}
+
+/** Catalog product with its variants: { product, variants }. Throws on API errors. */
+export async function getCatalogProduct(productId, options) {
+  const { status, data } = await catalogGet((pf) => pf.getCatalogProduct(productId), `product-${productId}.json`, options);
+  if (status < 200 || status >= 300) {
+    throw new Error(`Printful API error ${status}: ${JSON.stringify(data)}`);
+  }
+  const result = data?.result || {};
+  // GET /products/{id} nests the product under `product`; tolerate the flat shape too.
+  const product = result.product || result;
+  const variants = Array.isArray(result.variants) ? result.variants : [];
+  return { product, variants };
+}
+
+/** Single catalog variant: { variant, product }, or null when Printful doesn't know the ID. */
+export async function getCatalogVariant(variantId, options) {
+  const { status, data } = await catalogGet((pf) => pf.getCatalogVariant(variantId), `variant-${variantId}.json`, options);
+  if (status === 404) return null;
+  if (status < 200 || status >= 300) {
+    throw new Error(`Printful API error ${status}: ${JSON.stringify(data)}`);
+  }
+  return data?.result || null;
+}
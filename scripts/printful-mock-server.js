@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+// scripts/printful-mock-server.js
+// A local stand-in for the Printful API, for exercising the webhook, the order worker and the
+// Printful client (api/printful-client.js) without a real store. Point the app at it with
+//   PRINTFUL_API_BASE=http://localhost:4010
+// It keeps files, orders and the webhook config in memory, answers the catalog endpoints from
+// recorded fixtures (the scripts/printful-catalog.js layout) or with a generic product, and
+// enforces a per-minute rate limit with Printful's X-Ratelimit-* headers.
+//
+// Failures are injected through control endpoints, so retry handling can be checked:
+//   POST /__mock/faults    { method, path, status, count, retry_after } — the next `count`
+//                          requests whose path starts with `path` (and match `method`, when
+//                          given) get `status`, with a Retry-After header when set
+//   GET  /__mock/requests  every request received, oldest first
+//   POST /__mock/reset     drop state, faults and the request log
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const raw = argv[i];
+    if (!raw.startsWith("--")) continue;
+    const key = raw.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      out[key] = true;
+      continue;
+    }
+    out[key] = next;
+    i += 1;
+  }
+  return out;
+}
+
+function usage() {
+  console.log(
+    [
+      "Usage:",
+      "  npm run printful:mock -- [--port 4010] [--fixtures dir] [--rate-limit 120]",
+      "",
+      "Options:",
+      "  --port <n>          Port to listen on (default 4010; 0 = any free port)",
+      "  --fixtures <dir>    Catalog responses recorded with --record (product-{id}.json, variant-{id}.json);",
+      "                      without it, every product and variant ID gets a generic T-shirt",
+      "  --rate-limit <n>    Requests a minute before answering 429 (default 120; 0 = unlimited)",
+      "  --latency <ms>      Delay every response (default 0)",
+      "",
+      "Then run the app with PRINTFUL_API_BASE=http://localhost:<port>.",
+    ].join("\n")
+  );
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.help) {
+  usage();
+  process.exit(0);
+}
+const port = Number(args.port ?? 4010);
+const fixtures = args.fixtures ? String(args.fixtures) : "";
+const rateLimit = Number(args["rate-limit"] ?? 120);
+const latencyMs = Number(args.latency || 0);
+
+let state;
+function resetState() {
+  state = {
+    nextId: 1000,
+    files: new Map(),
+    orders: new Map(),
+    variants: new Set([4011]), // catalog variant IDs asked about, for the printfiles response
+    webhooks: { url: null, types: [], params: [] },
+    faults: [],
+    requests: [],
+    window: { startedAt: Date.now(), count: 0 },
+  };
+}
+resetState();
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function ok(res, result, headers) {
+  send(res, 200, { code: 200, result }, headers);
+}
+
+function fail(res, status, message, extra = {}, headers) {
+  const reason = { 400: "BadRequest", 401: "Unauthorized", 404: "NotFound", 429: "TooManyRequests" }[status] || "Error";
+  send(res, status, { code: status, result: message, error: { reason, message, ...extra } }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      try { resolve(data ? JSON.parse(data) : null); }
+      catch { resolve(undefined); }
+    });
+    req.on("error", reject);
+  });
+}
+
+/** Rate-limit headers for this request, and whether it is over the limit. */
+function rateWindow() {
+  if (!rateLimit) return { limited: false, headers: {} };
+  const now = Date.now();
+  if (now - state.window.startedAt >= 60_000) state.window = { startedAt: now, count: 0 };
+  state.window.count += 1;
+  const reset = Math.ceil((state.window.startedAt + 60_000 - now) / 1000);
+  return {
+    limited: state.window.count > rateLimit,
+    headers: {
+      "X-Ratelimit-Limit": String(rateLimit),
+      "X-Ratelimit-Remaining": String(Math.max(0, rateLimit - state.window.count)),
+      "X-Ratelimit-Reset": String(reset),
+    },
+  };
+}
+
+function takeFault(method, pathname) {
+  const fault = state.faults.find((f) => pathname.startsWith(f.path) && (!f.method || f.method === method));
+  if (!fault) return null;
+  fault.count -= 1;
+  if (fault.count <= 0) state.faults.splice(state.faults.indexOf(fault), 1);
+  return fault;
+}
+
+async function catalogFixture(name) {
+  if (!fixtures) return null;
+  try {
+    return JSON.parse(await readFile(path.join(fixtures, name), "utf8"));
+  } catch {
+    return { code: 404, result: "Not found", error: { reason: "NotFound", message: `No fixture ${name}` } };
+  }
+}
+
+function genericProduct(id) {
+  return {
+    id: Number(id),
+    type: "T-SHIRT",
+    title: `Mock product ${id}`,
+    techniques: [{ key: "DTG", display_name: "DTG printing", is_default: true }],
+    files: [
+      { id: "default", type: "default", title: "Print file" },
+      { id: "back", type: "back", title: "Back print" },
+      { id: "preview", type: "preview", title: "Mockup" },
+    ],
+  };
+}
+
+function genericVariant(id, productId = 71) {
+  return { id: Number(id), product_id: productId, name: `Mock variant ${id}`, size: "M", color: "White" };
+}
+
+function findOrder(ref) {
+  if (ref.startsWith("@")) {
+    const externalId = decodeURIComponent(ref.slice(1));
+    return [...state.orders.values()].find((o) => o.external_id === externalId) || null;
+  }
+  return state.orders.get(Number(ref)) || null;
+}
+
+async function route(req, res, url, body, rate) {
+  const { method } = req;
+  const parts = url.pathname.split("/").filter(Boolean);
+  const h = rate.headers;
+
+  // ---- Files
+  if (url.pathname === "/files" && method === "POST") {
+    if (!body?.url) return fail(res, 400, "Missing file url", {}, h);
+    const file = { id: state.nextId++, url: body.url, status: "waiting", created: Math.floor(Date.now() / 1000) };
+    state.files.set(file.id, file);
+    return ok(res, file, h);
+  }
+  if (parts[0] === "files" && parts.length === 2 && method === "GET") {
+    const file = state.files.get(Number(parts[1]));
+    if (!file) return fail(res, 404, "File not found", {}, h);
+    // Processed by the time anyone asks again.
+    const current = { ...file };
+    file.status = "ok";
+    return ok(res, current, h);
+  }
+
+  // ---- Orders
+  if (url.pathname === "/orders" && method === "POST") {
+    if (!body?.recipient || !Array.isArray(body.items)) return fail(res, 400, "Missing recipient or items", {}, h);
+    if (body.external_id && findOrder(`@${body.external_id}`)) {
+      return fail(res, 400, "Order with the same external ID already exists", { api_error_code: "OR-13" }, h);
+    }
+    const order = {
+      ...body,
+      id: state.nextId++,
+      status: body.confirm ? "pending" : "draft",
+      created: Math.floor(Date.now() / 1000),
+    };
+    delete order.confirm;
+    state.orders.set(order.id, order);
+    return ok(res, order, h);
+  }
+  if (parts[0] === "orders" && parts.length === 3 && parts[2] === "confirm" && method === "POST") {
+    const order = findOrder(parts[1]);
+    if (!order) return fail(res, 404, "Order not found", {}, h);
+    if (order.status !== "draft") return fail(res, 400, `Order is ${order.status}, not a draft`, {}, h);
+    order.status = "pending";
+    return ok(res, order, h);
+  }
+  if (parts[0] === "orders" && parts.length === 2) {
+    const order = findOrder(parts[1]);
+    if (!order) return fail(res, 404, "Order not found", {}, h);
+    if (method === "GET") return ok(res, order, h);
+    if (method === "DELETE") {
+      if (!["draft", "pending", "failed", "onhold"].includes(order.status)) {
+        return fail(res, 400, `Order is ${order.status} and can't be cancelled`, {}, h);
+      }
+      order.status = "canceled";
+      return ok(res, order, h);
+    }
+    if (method === "PUT") {
+      Object.assign(order, body || {});
+      if (url.searchParams.get("confirm") === "1" && order.status === "draft") order.status = "pending";
+      return ok(res, order, h);
+    }
+  }
+
+  // ---- Catalog
+  if (parts[0] === "products" && parts[1] === "variant" && parts.length === 3 && method === "GET") {
+    state.variants.add(Number(parts[2]));
+    const fixture = await catalogFixture(`variant-${parts[2]}.json`);
+    if (fixture) return send(res, Number(fixture.code) || 200, fixture, h);
+    const variant = genericVariant(parts[2]);
+    return ok(res, { variant, product: genericProduct(variant.product_id) }, h);
+  }
+  if (parts[0] === "products" && parts.length === 2 && method === "GET") {
+    const fixture = await catalogFixture(`product-${parts[1]}.json`);
+    if (fixture) return send(res, Number(fixture.code) || 200, fixture, h);
+    return ok(res, { product: genericProduct(parts[1]), variants: [genericVariant(4011, Number(parts[1]))] }, h);
+  }
+  if (parts[0] === "mockup-generator" && parts[1] === "printfiles" && parts.length === 3 && method === "GET") {
+    return ok(res, {
+      product_id: Number(parts[2]),
+      available_placements: { default: "Front print", back: "Back print" },
+      printfiles: [{ printfile_id: 1, width: 4500, height: 5400, dpi: 150, fill_mode: "fit", can_rotate: false }],
+      variant_printfiles: [...state.variants].map((id) => ({ variant_id: id, placements: { default: 1, back: 1 } })),
+      option_groups: [],
+      options: [],
+    }, h);
+  }
+
+  // ---- Webhooks
+  if (url.pathname === "/webhooks" && method === "GET") return ok(res, state.webhooks, h);
+  if (url.pathname === "/webhooks" && method === "POST") {
+    if (!body?.url) return fail(res, 400, "Missing webhook url", {}, h);
+    state.webhooks = { url: body.url, types: body.types || [], params: body.params || [] };
+    return ok(res, state.webhooks, h);
+  }
+
+  return fail(res, 404, `No mock for ${method} ${url.pathname}`, {}, h);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const body = await readBody(req);
+
+  // ---- Control endpoints: no auth, not logged, not rate limited
+  if (url.pathname.startsWith("/__mock/")) {
+    if (url.pathname === "/__mock/faults" && req.method === "POST") {
+      const fault = { method: body?.method || null, path: body?.path || "/", status: Number(body?.status) || 500, count: Number(body?.count) || 1, retry_after: body?.retry_after ?? null };
+      state.faults.push(fault);
+      return send(res, 200, { ok: true, faults: state.faults });
+    }
+    if (url.pathname === "/__mock/requests") return send(res, 200, { count: state.requests.length, requests: state.requests });
+    if (url.pathname === "/__mock/reset" && req.method === "POST") {
+      resetState();
+      return send(res, 200, { ok: true });
+    }
+    return send(res, 404, { error: "Unknown control endpoint" });
+  }
+
+  state.requests.push({
+    at: new Date().toISOString(),
+    method: req.method,
+    path: `${url.pathname}${url.search}`,
+    authorization: req.headers.authorization || null,
+    store_id: req.headers["x-pf-store-id"] || null,
+    body: body ?? null,
+  });
+  if (latencyMs > 0) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+
+  const rate = rateWindow();
+  if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+    return fail(res, 401, "Missing or invalid API token", {}, rate.headers);
+  }
+  if (rate.limited) {
+    return fail(res, 429, "Too many requests", {}, { ...rate.headers, "Retry-After": rate.headers["X-Ratelimit-Reset"] });
+  }
+  const fault = takeFault(req.method, url.pathname);
+  if (fault) {
+    const headers = fault.retry_after !== null ? { ...rate.headers, "Retry-After": String(fault.retry_after) } : rate.headers;
+    return fail(res, fault.status, `Injected ${fault.status}`, {}, headers);
+  }
+  if (body === undefined) return fail(res, 400, "Invalid JSON body", {}, rate.headers);
+
+  try {
+    await route(req, res, url, body, rate);
+  } catch (err) {
+    fail(res, 500, String(err?.message || err), {}, rate.headers);
+  }
+});
+
+server.listen(port, () => {
+  // --port 0 picks a free port; tests read the real one from this line.
+  const { port: listening } = server.address();
+  console.log(`Printful mock listening on http://localhost:${listening}${fixtures ? ` (catalog fixtures: ${fixtures})` : ""}`);
+});
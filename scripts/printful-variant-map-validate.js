@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+import { readFile } from "node:fs/promises";
+import { variantKeyFor, normalizeSkuSegment } from "../api/sku-grammar.js";
+import { productColorSizeToVariant } from "../api/variant-map.js";
+import { getCatalogProduct, getCatalogVariant } from "./printful-catalog.js";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const raw = argv[i];
+    if (!raw.startsWith("--")) continue;
+    const key = raw.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      out[key] = true;
+      continue;
+    }
+    out[key] = next;
+    i += 1;
+  }
+  return out;
+}
+
+function usage() {
+  console.log(
+    [
+      "Usage:",
+      "  npm run printful:validate",
+      "  npm run printful:validate -- --fixtures scripts/fixtures/catalog",
+      "",
+      "Options:",
+      "  --source <seed|store|file>  Map to validate: api/variant-map.js (default), the R2 store merged over it,",
+      "                              or a JSON file of { KEY: variantId }",
+      "  --products <CODE=ID,...>    Printful product IDs per product code; otherwise discovered from a mapped variant",
+      "  --only <CODE,...>           Only validate these product codes",
+      "  --ignore <KEY,...>          Keys to skip (intentional mismatches, e.g. HEADBAND_BLACK_M)",
+      "  --fixtures <dir>            Read recorded catalog responses instead of calling the API",
+      "  --record <dir>              Save live catalog responses as fixtures",
+      "  --strict                    Also exit nonzero on warnings (out of stock, unmapped catalog variants)",
+      "  --json                      Print the report as JSON",
+      "",
+      "Env:",
+      "  PRINTFUL_API_TOKEN          Required unless --fixtures is given",
+    ].join("\n")
+  );
+}
+
+const SEVERITY = {
+  mismatch: "error",
+  not_in_catalog: "error",
+  discontinued: "error",
+  catalog_error: "error",
+  out_of_stock: "warning",
+  unmapped: "warning",
+};
+
+function listOption(value) {
+  return String(value || "").split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+/** Availability from a catalog variant: "discontinued", "out_of_stock" or "ok". */
+function variantAvailability(variant) {
+  const statuses = (Array.isArray(variant?.availability_status) ? variant.availability_status : [])
+    .map((a) => String(a?.status || "").toLowerCase());
+  if (statuses.includes("discontinued")) return "discontinued";
+  if (variant?.in_stock === false || statuses.some((s) => s.includes("out_of_stock"))) return "out_of_stock";
+  return "ok";
+}
+
+/** Keys with a variant ID; null tombstones (keys deleted in the R2 document) are not variants. */
+function mappedEntries(map) {
+  return Object.fromEntries(Object.entries(map).filter(([, id]) => id !== null && id !== undefined));
+}
+
+async function loadMap(source) {
+  if (source === "store") {
+    // Imported lazily so seed validation doesn't need R2 credentials.
+    const { getVariantMap } = await import("../api/variant-map-store.js");
+    const { version, map } = await getVariantMap();
+    return { label: `R2 variant map v${version}`, map: mappedEntries(map) };
+  }
+  if (source === "seed") {
+    return { label: "api/variant-map.js", map: mappedEntries(productColorSizeToVariant) };
+  }
+  // A JSON file of { KEY: variantId | null }, or a document with them under `entries`.
+  const doc = JSON.parse(await readFile(source, "utf8"));
+  return { label: source, map: mappedEntries(doc?.entries || doc) };
+}
+
+/** Find the catalog product for a product code by looking up its mapped variants. */
+async function discoverProductId(keys, map, catalogOptions) {
+  for (const key of keys) {
+    const found = await getCatalogVariant(map[key], catalogOptions);
+    const productId = found?.variant?.product_id ?? found?.product?.id;
+    if (productId) return productId;
+  }
+  return null;
+}
+
+async function validateProduct(code, keys, map, productId, catalogOptions) {
+  const findings = [];
+  const { product, variants } = await getCatalogProduct(productId, catalogOptions);
+  const byId = new Map(variants.map((v) => [v.id, v]));
+
+  for (const key of keys) {
+    const variantId = map[key];
+    const variant = byId.get(variantId);
+    if (!variant) {
+      // Not in this product: either gone from Printful or pointing at another product.
+      const elsewhere = await getCatalogVariant(variantId, catalogOptions);
+      const otherProduct = elsewhere?.variant?.product_id ?? elsewhere?.product?.id ?? null;
+      findings.push({
+        type: elsewhere ? "not_in_catalog" : "discontinued",
+        key,
+        variant_id: variantId,
+        detail: elsewhere
+          ? `variant ${variantId} belongs to product ${otherProduct}, not ${productId}`
+          : `variant ${variantId} no longer exists in the Printful catalog`,
+      });
+      continue;
+    }
+    const expectedKey = variantKeyFor(code, variant.color, variant.size);
+    if (expectedKey !== key) {
+      findings.push({
+        type: "mismatch",
+        key,
+        variant_id: variantId,
+        detail: `variant ${variantId} is ${variant.color} / ${variant.size} (${expectedKey})`,
+      });
+    }
+    const availability = variantAvailability(variant);
+    if (availability !== "ok") {
+      findings.push({ type: availability, key, variant_id: variantId, detail: `variant ${variantId} is ${availability.replace(/_/g, " ")}` });
+    }
+  }
+
+  // Catalog variants in colors we already carry but have no key for (typically a missing size).
+  const mappedIds = new Set(keys.map((k) => map[k]));
+  const carriedColors = new Set(keys.map((k) => k.split("_")[1]));
+  for (const v of variants) {
+    if (mappedIds.has(v.id)) continue;
+    if (!carriedColors.has(normalizeSkuSegment(v.color))) continue;
+    if (variantAvailability(v) === "discontinued") continue;
+    const key = variantKeyFor(code, v.color, v.size);
+    if (key in map) continue;
+    findings.push({ type: "unmapped", key, variant_id: v.id, detail: `catalog variant ${v.id} (${v.color} / ${v.size}) has no key` });
+  }
+
+  const title = `${product?.brand || ""} ${product?.model || ""}`.replace(/\s+/g, " ").trim();
+  return { product_code: code, product_id: productId, product_title: title || null, key_count: keys.length, findings };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.h) {
+    usage();
+    return;
+  }
+
+  const token = process.env.PRINTFUL_API_TOKEN || "";
+  const fixtures = args.fixtures ? String(args.fixtures) : "";
+  if (!token && !fixtures) {
+    console.error("Missing PRINTFUL_API_TOKEN (or pass --fixtures).");
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+  const catalogOptions = { token, fixtures, record: args.record ? String(args.record) : "" };
+
+  const source = String(args.source || "seed");
+  const { label, map } = await loadMap(/^(seed|store)$/i.test(source) ? source.toLowerCase() : source);
+  const ignore = new Set(listOption(args.ignore).map((k) => k.toUpperCase()));
+  const only = new Set(listOption(args.only).map((c) => c.toUpperCase()));
+  const productIds = Object.fromEntries(
+    listOption(args.products).map((pair) => pair.split("=")).map(([code, id]) => [code.toUpperCase(), Number(id)])
+  );
+
+  const keysByCode = new Map();
+  for (const key of Object.keys(map).sort()) {
+    if (ignore.has(key)) continue;
+    const code = key.split("_")[0];
+    if (only.size > 0 && !only.has(code)) continue;
+    keysByCode.set(code, [...(keysByCode.get(code) || []), key]);
+  }
+
+  const reports = [];
+  for (const [code, keys] of keysByCode) {
+    const productId = productIds[code] || await discoverProductId(keys, map, catalogOptions);
+    if (!productId) {
+      reports.push({
+        product_code: code,
+        product_id: null,
+        key_count: keys.length,
+        findings: [{ type: "discontinued", key: `${code}_*`, variant_id: null, detail: "no mapped variant exists in the Printful catalog" }],
+      });
+      continue;
+    }
+    try {
+      reports.push(await validateProduct(code, keys, map, productId, catalogOptions));
+    } catch (err) {
+      reports.push({
+        product_code: code,
+        product_id: productId,
+        key_count: keys.length,
+        findings: [{ type: "catalog_error", key: `${code}_*`, variant_id: null, detail: err.message }],
+      });
+    }
+  }
+
+  const all = reports.flatMap((r) => r.findings);
+  const errors = all.filter((f) => SEVERITY[f.type] === "error").length;
+  const warnings = all.length - errors;
+
+  if (args.json) {
+    console.log(JSON.stringify({ source: label, errors, warnings, products: reports }, null, 2));
+  } else {
+    console.log(`Validating ${label} against the Printful catalog`);
+    for (const r of reports) {
+      console.log(`\n${r.product_code} (product ${r.product_id ?? "?"}${r.product_title ? `, ${r.product_title}` : ""}): ${r.key_count} keys, ${r.findings.length} finding(s)`);
+      for (const f of r.findings) {
+        console.log(`  [${SEVERITY[f.type]}] ${f.type} ${f.key}: ${f.detail}`);
+      }
+    }
+    console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+  }
+
+  if (errors > 0 || (args.strict && warnings > 0)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || String(err));
+  process.exitCode = 1;
+});
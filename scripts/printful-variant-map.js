@@ -1,6 +1,19 @@
 #!/usr/bin/env node
-
-const API_BASE = "https://api.printful.com";
+import { variantKeyFor } from "../api/sku-grammar.js";
+import {
+  VARIANT_MAP_PATH,
+  readVariantMapFile,
+  writeVariantMapFile,
+  mergeIntoVariantMapText,
+  parseVariantMapEntries,
+  diffVariantEntries,
+  formatDiffReport,
+  renderVariantMapSections,
+  replaceVariantMapBlock,
+  removedVariantEntries,
+} from "./variant-map-file.js";
+import { getCatalogProduct } from "./printful-catalog.js";
+import { VARIANT_MANIFEST_PATH, loadVariantManifest, generateProductEntries } from "./variant-map-manifest.js";
 
 function parseArgs(argv) {
   const out = {};
@@ -24,11 +37,18 @@ function usage() {
     [
       "Usage:",
       "  npm run printful:variants -- --product-id 71 --product-code BC3001",
+      "  npm run printful:variants -- --manifest [scripts/variant-manifest.json] --write file",
       "",
       "Options:",
       "  --product-id <id>       Printful catalog product ID (required)",
       "  --product-code <code>   Left-side prefix for keys (required), e.g. BC3001",
       "  --color <name>          Optional exact color filter (case-insensitive), e.g. White",
+      "  --color-mode <mode>     full (default): keys match SKU normalization, e.g. HEATHERNAVY",
+      "                          abbrev: legacy 3-letter codes, e.g. NVY",
+      "  --write <target>        Merge entries into `file` (api/variant-map.js) or `store` (R2 variant map)",
+      "  --dry-run               With --write, print the diff report without saving",
+      "  --manifest [path]       Regenerate every product listed in a JSON/YAML manifest instead of",
+      "                          one --product-id (default scripts/variant-manifest.json)",
       "",
       "Env:",
       "  PRINTFUL_API_TOKEN      Required Bearer token",
@@ -61,6 +81,7 @@ const KNOWN_COLOR_CODES = {
   MAROON: "MAR",
 };
 
+/** Legacy `--color-mode abbrev` codes; these don't match real SKUs or api/variant-map.js keys. */
 function normalizeColor(value) {
   const upper = String(value || "").toUpperCase().trim();
   if (!upper) return "UNK";
@@ -81,15 +102,53 @@ function normalizeColor(value) {
     .join("");
 }
 
-async function getProduct(productId, token) {
-  const res = await fetch(`${API_BASE}/products/${productId}`, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(`Printful API error ${res.status}: ${JSON.stringify(data)}`);
+/** Store writes only add and change keys; keys the manifest dropped are reported, not removed. */
+async function writeToStore(generated, dryRun) {
+  // Imported lazily so file/print modes don't need R2 credentials or the AWS SDK.
+  const { getVariantMap, writeVariantMappings } = await import("../api/variant-map-store.js");
+  const { version, map } = await getVariantMap();
+  const diff = diffVariantEntries(map, generated);
+  console.log(formatDiffReport(diff, `R2 variant map v${version}`));
+  const changes = Object.fromEntries([
+    ...diff.added.map(({ key, id }) => [key, id]),
+    ...diff.changed.map(({ key, to }) => [key, to]),
+  ]);
+  if (!dryRun && Object.keys(changes).length > 0) {
+    const doc = await writeVariantMappings(changes, { expectedVersion: version });
+    console.log(`Saved R2 variant map v${doc.version}`);
+  }
+}
+
+async function runManifest(args, token, writeTarget) {
+  const manifestPath = args.manifest === true ? VARIANT_MANIFEST_PATH : String(args.manifest);
+  const { products } = await loadVariantManifest(manifestPath);
+
+  const sections = [];
+  for (const product of products) {
+    const { variants } = await getCatalogProduct(product.productId, { token });
+    const { entries, unmatchedColors } = generateProductEntries(product, variants);
+    if (unmatchedColors.length > 0) {
+      console.error(`${product.productCode}: no catalog variants for ${unmatchedColors.join(", ")}`);
+    }
+    if (entries.length === 0) console.error(`${product.productCode}: no variants matched the manifest filters`);
+    sections.push({ comment: product.comment, entries });
+  }
+
+  const generated = Object.fromEntries(sections.flatMap((s) => s.entries.map((e) => [e.key, e.id])));
+  const body = renderVariantMapSections(sections);
+
+  if (writeTarget === "file") {
+    const text = await readVariantMapFile();
+    const current = Object.fromEntries(parseVariantMapEntries(text).map((e) => [e.key, e.id]));
+    const diff = { ...diffVariantEntries(current, generated), removed: removedVariantEntries(current, generated) };
+    console.log(formatDiffReport(diff, VARIANT_MAP_PATH));
+    const next = replaceVariantMapBlock(text, body);
+    if (!args["dry-run"] && next !== text) await writeVariantMapFile(next);
+  } else if (writeTarget === "store") {
+    await writeToStore(generated, args["dry-run"]);
+  } else {
+    console.log(body.map((l) => l.slice(2)).join("\n"));
   }
-  return data?.result;
 }
 
 async function main() {
@@ -100,9 +159,11 @@ async function main() {
   }
 
   const token = process.env.PRINTFUL_API_TOKEN || "";
+  const writeTarget = args.write ? String(args.write).toLowerCase() : "";
   const productId = Number(args["product-id"]);
   const productCode = String(args["product-code"] || "").toUpperCase().trim();
   const colorFilter = args.color ? String(args.color).toLowerCase().trim() : "";
+  const colorMode = String(args["color-mode"] || "full").toLowerCase();
 
   if (!token) {
     console.error("Missing PRINTFUL_API_TOKEN.");
@@ -110,6 +171,16 @@ async function main() {
     process.exitCode = 1;
     return;
   }
+  if (writeTarget && writeTarget !== "file" && writeTarget !== "store") {
+    console.error("--write must be file or store.");
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+  if (args.manifest) {
+    await runManifest(args, token, writeTarget);
+    return;
+  }
   if (!Number.isFinite(productId) || productId <= 0) {
     console.error("Missing or invalid --product-id.");
     usage();
@@ -122,9 +193,19 @@ async function main() {
     process.exitCode = 1;
     return;
   }
+  if (colorMode !== "full" && colorMode !== "abbrev") {
+    console.error("--color-mode must be full or abbrev.");
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+  if (writeTarget && colorMode === "abbrev") {
+    console.error("--write only supports --color-mode full; abbreviated keys never match SKUs.");
+    process.exitCode = 1;
+    return;
+  }
 
-  const product = await getProduct(productId, token);
-  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  const { product, variants } = await getCatalogProduct(productId, { token });
 
   const selected = colorFilter
     ? variants.filter((v) => String(v?.color || "").toLowerCase() === colorFilter)
@@ -135,13 +216,27 @@ async function main() {
     return;
   }
 
-  console.log(`// ${product?.brand || ""} ${product?.model || ""} ${product?.type || ""}`.trim());
+  const heading = `${product?.brand || ""} ${product?.model || ""} ${product?.type || ""}`.replace(/\s+/g, " ").trim();
+  const generated = {};
+  console.log(`// ${heading}`);
   for (const v of selected) {
-    const colorCode = normalizeColor(v?.color);
-    const sizeCode = normalizeSize(v?.size);
-    const key = `${productCode}_${colorCode}_${sizeCode}`;
+    const key = colorMode === "abbrev"
+      ? `${productCode}_${normalizeColor(v?.color)}_${normalizeSize(v?.size)}`
+      : variantKeyFor(productCode, v?.color, v?.size);
     const name = String(v?.name || "").replace(/\s+/g, " ").trim();
-    console.log(`"${key}": ${v.id}, // ${name}`);
+    generated[key] = v.id;
+    if (!writeTarget) console.log(`"${key}": ${v.id}, // ${name}`);
+  }
+
+  if (writeTarget === "file") {
+    const text = await readVariantMapFile();
+    const merged = mergeIntoVariantMapText(text, generated, {
+      sectionComment: `${heading} (Printful catalog product ${productId})`,
+    });
+    console.log(formatDiffReport(merged.diff, VARIANT_MAP_PATH));
+    if (!args["dry-run"] && merged.text !== text) await writeVariantMapFile(merged.text);
+  } else if (writeTarget === "store") {
+    await writeToStore(generated, args["dry-run"]);
   }
 }
 
@@ -0,0 +1,138 @@
+// scripts/variant-map-file.js
+// Read and rewrite the `productColorSizeToVariant` literal in api/variant-map.js
+// without disturbing the rest of the file (colorHexMap, section comments).
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+export const VARIANT_MAP_PATH = fileURLToPath(new URL("../api/variant-map.js", import.meta.url));
+
+const BLOCK_START = /^export const productColorSizeToVariant = \{\s*$/;
+const BLOCK_END = /^\};\s*$/;
+const ENTRY_LINE = /^(\s*)"([A-Z0-9_]+)":\s*(\d+),?(.*)$/;
+
+export async function readVariantMapFile(path = VARIANT_MAP_PATH) {
+  return readFile(path, "utf8");
+}
+
+export async function writeVariantMapFile(text, path = VARIANT_MAP_PATH) {
+  await writeFile(path, text, "utf8");
+}
+
+/** Line range of the map literal: `start` is the `export const` line, `end` the closing `};`. */
+function locateBlock(lines) {
+  const start = lines.findIndex((l) => BLOCK_START.test(l));
+  if (start < 0) throw new Error("productColorSizeToVariant block not found in variant map file");
+  const end = lines.findIndex((l, i) => i > start && BLOCK_END.test(l));
+  if (end < 0) throw new Error("Unterminated productColorSizeToVariant block in variant map file");
+  return { start, end };
+}
+
+/** Entries currently in the file, in file order: [{ key, id, line }]. */
+export function parseVariantMapEntries(text) {
+  const lines = text.split("\n");
+  const { start, end } = locateBlock(lines);
+  const entries = [];
+  for (let i = start + 1; i < end; i += 1) {
+    const m = lines[i].match(ENTRY_LINE);
+    if (m) entries.push({ key: m[2], id: Number(m[3]), line: i });
+  }
+  return entries;
+}
+
+/**
+ * Compare generated entries ({ KEY: id }) against the current ones.
+ * Returns { added: [{key,id}], changed: [{key,from,to}], unchanged: [key] }.
+ */
+export function diffVariantEntries(current, generated) {
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  for (const [key, id] of Object.entries(generated)) {
+    if (!(key in current)) added.push({ key, id });
+    else if (current[key] !== id) changed.push({ key, from: current[key], to: id });
+    else unchanged.push(key);
+  }
+  return { added, changed, unchanged };
+}
+
+/**
+ * Merge generated entries into the file text. Changed keys are updated in place;
+ * new keys go after the last existing key with the same product code, or into a new
+ * section (headed by `sectionComment`) at the end of the block.
+ */
+export function mergeIntoVariantMapText(text, generated, { sectionComment } = {}) {
+  const lines = text.split("\n");
+  const existing = parseVariantMapEntries(text);
+  const current = Object.fromEntries(existing.map((e) => [e.key, e.id]));
+  const diff = diffVariantEntries(current, generated);
+
+  for (const { key, to } of diff.changed) {
+    const { line } = existing.find((e) => e.key === key);
+    lines[line] = lines[line].replace(ENTRY_LINE, (_, indent, k, __, rest) => `${indent}"${k}": ${to},${rest.replace(/^,/, "")}`);
+  }
+
+  // Insert bottom-up so earlier line indexes stay valid.
+  const inserts = new Map(); // line index → lines to insert after it
+  const newSection = [];
+  for (const { key, id } of diff.added) {
+    const productPrefix = `${key.split("_")[0]}_`;
+    const anchor = [...existing].reverse().find((e) => e.key.startsWith(productPrefix));
+    const entryLine = `  "${key}": ${id},`;
+    if (anchor) inserts.set(anchor.line, [...(inserts.get(anchor.line) || []), entryLine]);
+    else newSection.push(entryLine);
+  }
+  for (const lineIdx of [...inserts.keys()].sort((a, b) => b - a)) {
+    lines.splice(lineIdx + 1, 0, ...inserts.get(lineIdx));
+  }
+  if (newSection.length > 0) {
+    const { end } = locateBlock(lines);
+    let lastContent = end - 1;
+    while (lastContent > 0 && lines[lastContent].trim() === "") lastContent -= 1;
+    const header = sectionComment ? [`  // ${sectionComment}`] : [];
+    lines.splice(lastContent + 1, 0, "", ...header, ...newSection);
+  }
+
+  return { text: lines.join("\n"), diff };
+}
+
+/**
+ * Render a complete `productColorSizeToVariant` body from ordered sections
+ * ([{ comment: [lines], entries: [{ key, id }] }]), one blank line between sections.
+ */
+export function renderVariantMapSections(sections) {
+  const lines = [];
+  for (const { comment = [], entries } of sections) {
+    if (entries.length === 0) continue;
+    if (lines.length > 0) lines.push("");
+    for (const c of comment) lines.push(`  // ${c}`);
+    for (const { key, id } of entries) lines.push(`  "${key}": ${id},`);
+  }
+  return lines;
+}
+
+/** Replace everything between `productColorSizeToVariant = {` and `};` with `bodyLines`. */
+export function replaceVariantMapBlock(text, bodyLines) {
+  const lines = text.split("\n");
+  const { start, end } = locateBlock(lines);
+  lines.splice(start + 1, end - start - 1, ...bodyLines);
+  return lines.join("\n");
+}
+
+/** Keys in `current` that `generated` no longer produces: [{ key, id }]. */
+export function removedVariantEntries(current, generated) {
+  return Object.keys(current)
+    .filter((key) => !(key in generated))
+    .map((key) => ({ key, id: current[key] }));
+}
+
+export function formatDiffReport(diff, target) {
+  const removed = diff.removed || [];
+  const counts = [`${diff.added.length} added`, `${diff.changed.length} changed`];
+  if (diff.removed) counts.push(`${removed.length} removed`);
+  counts.push(`${diff.unchanged.length} unchanged`);
+  const out = [`Variant map diff (${target}): ${counts.join(", ")}`];
+  for (const { key, id } of diff.added) out.push(`  + ${key}: ${id}`);
+  for (const { key, from, to } of diff.changed) out.push(`  ~ ${key}: ${from} -> ${to}`);
+  for (const { key, id } of removed) out.push(`  - ${key}: ${id}`);
+  return out.join("\n");
+}
@@ -0,0 +1,109 @@
+// scripts/variant-map-manifest.js
+// Manifest for regenerating the whole variant map in one run. JSON, or YAML by extension:
+//   {
+//     "products": [
+//       {
+//         "product_code": "R258",
+//         "product_id": 846,
+//         "comment": ["Classic Rope Cap | Richardson 258 ...", "..."],
+//         "colors": ["BLACK", "KELLYWHITE"],
+//         "sizes": ["OS"],
+//         "colorRenames": { "Black/ White": "BLACK", "White": ["BLACK", "WHITE"] }
+//       }
+//     ]
+//   }
+// `colors` and `sizes` are optional allowlists, compared after normalization (and after
+// renames for colors). A rename maps a catalog color to the key color, or to several key
+// colors that all route to the same variant. Products keep manifest order; `comment`
+// lines become the section heading.
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { normalizeSkuSegment, variantKeyFor } from "../api/sku-grammar.js";
+
+export const VARIANT_MANIFEST_PATH = fileURLToPath(new URL("./variant-manifest.json", import.meta.url));
+
+const SIZE_ORDER = ["XXS", "XS", "S", "M", "L", "XL", "2XL", "3XL", "4XL", "5XL", "6XL", "OS"];
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function validateProduct(p, index) {
+  const where = `manifest products[${index}]`;
+  const productId = Number(p?.product_id);
+  const productCode = normalizeSkuSegment(p?.product_code);
+  if (!Number.isInteger(productId) || productId <= 0) throw new Error(`${where}: product_id must be a positive integer`);
+  if (!productCode) throw new Error(`${where}: product_code is required`);
+  if (p.colorRenames !== undefined && (typeof p.colorRenames !== "object" || Array.isArray(p.colorRenames))) {
+    throw new Error(`${where}: colorRenames must be an object`);
+  }
+  const colorRenames = {};
+  for (const [from, to] of Object.entries(p.colorRenames || {})) {
+    colorRenames[normalizeSkuSegment(from)] = asList(to).map(normalizeSkuSegment).filter(Boolean);
+  }
+  return {
+    productId,
+    productCode,
+    comment: asList(p.comment).map(String),
+    colors: asList(p.colors).map(normalizeSkuSegment).filter(Boolean),
+    sizes: asList(p.sizes).map(normalizeSkuSegment).filter(Boolean),
+    colorRenames,
+  };
+}
+
+/** Read and validate a manifest file; `.yaml`/`.yml` files are parsed as YAML. */
+export async function loadVariantManifest(path = VARIANT_MANIFEST_PATH) {
+  const text = await readFile(path, "utf8");
+  let raw;
+  if (/\.ya?ml$/i.test(path)) {
+    const { parse } = await import("yaml");
+    raw = parse(text);
+  } else {
+    raw = JSON.parse(text);
+  }
+  const products = asList(raw?.products).map(validateProduct);
+  if (products.length === 0) throw new Error(`No products in manifest ${path}`);
+  const codes = products.map((p) => p.productCode);
+  const dupe = codes.find((c, i) => codes.indexOf(c) !== i);
+  if (dupe) throw new Error(`Product code ${dupe} appears more than once in manifest ${path}`);
+  return { products };
+}
+
+function sizeRank(size) {
+  const i = SIZE_ORDER.indexOf(size);
+  return i < 0 ? SIZE_ORDER.length : i;
+}
+
+/**
+ * Entries for one manifest product from its catalog variants, sorted by color then size:
+ * { entries: [{ key, id, name }], unmatchedColors: [allowlisted colors the catalog lacks] }.
+ */
+export function generateProductEntries(product, variants) {
+  const allowedColors = new Set(product.colors);
+  const allowedSizes = new Set(product.sizes);
+  const seenColors = new Set();
+  const byKey = new Map();
+
+  for (const v of variants) {
+    const catalogColor = normalizeSkuSegment(v?.color);
+    const keyColors = product.colorRenames[catalogColor] || [catalogColor];
+    for (const color of keyColors) {
+      if (allowedColors.size > 0 && !allowedColors.has(color)) continue;
+      const key = variantKeyFor(product.productCode, color, v?.size);
+      const size = key.split("_")[2]; // after size aliases, e.g. "One size" → OS
+      if (allowedSizes.size > 0 && !allowedSizes.has(size)) continue;
+      seenColors.add(color);
+      // First catalog variant wins if two normalize to the same key.
+      if (!byKey.has(key)) {
+        byKey.set(key, { key, id: v.id, color, size, name: String(v?.name || "").replace(/\s+/g, " ").trim() });
+      }
+    }
+  }
+
+  const entries = [...byKey.values()].sort((a, b) =>
+    a.color.localeCompare(b.color) || sizeRank(a.size) - sizeRank(b.size) || a.size.localeCompare(b.size)
+  );
+  const unmatchedColors = product.colors.filter((c) => !seenColors.has(c));
+  return { entries: entries.map(({ key, id, name }) => ({ key, id, name })), unmatchedColors };
+}
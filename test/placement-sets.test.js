@@ -0,0 +1,62 @@
+// Placement sets for hats under each technique: the embroidery_* files only go on an
+// embroidered item, never on the DTFILM front_dtf_hat one.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolvePlacements } from "../api/placement-sets.js";
+import { resolveMainTechnique, resolveTechniquePolicy } from "../api/embroidery.js";
+
+// Yupoong 6245CM as the catalog lists it: embroidered by default, DTF available.
+const hat = {
+  id: 206,
+  techniques: [{ key: "EMBROIDERY", is_default: true }, { key: "DTFILM", is_default: false }],
+  files: ["embroidery_front", "embroidery_back", "embroidery_left", "embroidery_right", "front_dtf_hat"].map((type) => ({ type })),
+};
+
+function hatPlacements(policy) {
+  const main = resolveMainTechnique(hat, policy);
+  return {
+    main,
+    set: resolvePlacements({
+      productCode: "Y6245CM",
+      fileTypes: hat.files.map((f) => f.type),
+      mainFileType: main.fileType,
+      embroidered: Boolean(main.embroidery),
+    }),
+  };
+}
+
+test("a DTF hat gets no embroidery placements", () => {
+  delete process.env.TECHNIQUE_POLICY;
+  const { policy } = resolveTechniquePolicy("Y6245CM");
+  assert.equal(policy, "dtf");
+  const { main, set } = hatPlacements(policy);
+  assert.equal(main.technique, "DTFILM");
+  assert.equal(main.fileType, "front_dtf_hat");
+  assert.deepEqual(set.placements, []);
+  assert.deepEqual(set.wrong_technique, ["embroidery_back", "embroidery_left", "embroidery_right"]);
+  assert.equal(set.source, "builtin");
+});
+
+test("an embroidered hat keeps its embroidery placements", () => {
+  const { main, set } = hatPlacements("embroidery");
+  assert.equal(main.technique, "EMBROIDERY");
+  assert.deepEqual(set.placements, ["embroidery_back", "embroidery_left", "embroidery_right"]);
+  assert.deepEqual(set.wrong_technique, []);
+});
+
+test("template placements are filtered by technique too", () => {
+  const set = resolvePlacements({
+    productCode: "R258",
+    templateOverride: { R258: ["embroidery_back", "back"] },
+    mainFileType: "front_dtf_hat",
+    embroidered: false,
+  });
+  assert.deepEqual(set.placements, ["back"]);
+  assert.deepEqual(set.wrong_technique, ["embroidery_back"]);
+});
+
+test("an unknown technique keeps the set as is", () => {
+  const set = resolvePlacements({ productCode: "Y6245CM", embroidered: null });
+  assert.deepEqual(set.placements, ["embroidery_back", "embroidery_left", "embroidery_right"]);
+  assert.deepEqual(set.unsupported, []);
+});
@@ -0,0 +1,175 @@
+// Runs the Printful client (api/printful-client.js) against scripts/printful-mock-server.js,
+// with failures injected through the mock's /__mock/faults endpoint.
+import test, { before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { createPrintfulClient } from "../api/printful-client.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+let mock;
+let baseUrl;
+
+Object.assign(process.env, {
+  PRINTFUL_RATE_LIMIT_PER_MINUTE: "0", // the mock's own limit is off too; these tests inject 429s
+  PRINTFUL_API_MAX_RETRIES: "3",
+  PRINTFUL_API_RETRY_BASE_MS: "50",
+  PRINTFUL_API_RETRY_MAX_WAIT_MS: "5000",
+});
+
+before(async () => {
+  mock = spawn(process.execPath, ["scripts/printful-mock-server.js", "--port", "0", "--rate-limit", "0"], {
+    cwd: root,
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  let output = "";
+  mock.stdout.setEncoding("utf8");
+  while (!/listening on (\S+)/.test(output)) {
+    const [chunk] = await once(mock.stdout, "data");
+    output += chunk;
+  }
+  baseUrl = output.match(/listening on (\S+)/)[1];
+});
+
+after(() => {
+  mock?.kill();
+});
+
+async function control(path, body) {
+  const r = await fetch(`${baseUrl}/__mock/${path}`, {
+    method: body === undefined ? "GET" : "POST",
+    headers: { "Content-Type": "application/json" },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  });
+  return r.json();
+}
+
+const injectFault = (fault) => control("faults", fault);
+const mockRequests = async () => (await control("requests")).requests;
+
+function client(options = {}) {
+  const trace = [];
+  const pf = createPrintfulClient({ token: "test-token", storeId: 42, baseUrl, onTrace: (e) => trace.push(e), ...options });
+  return { pf, trace };
+}
+
+const draftOrder = {
+  external_id: "T1001",
+  recipient: { name: "Test", address1: "1 Main St", city: "Austin", state_code: "TX", country_code: "US", zip: "78701" },
+  items: [{ variant_id: 4011, quantity: 1, files: [{ type: "default", id: 1 }] }],
+};
+
+beforeEach(async () => {
+  await control("reset", {});
+});
+
+test("sends the bearer token and X-PF-Store-Id", async () => {
+  const { pf } = client();
+  const res = await pf.getWebhooks();
+  assert.equal(res.ok, true);
+  const [request] = await mockRequests();
+  assert.equal(request.authorization, "Bearer test-token");
+  assert.equal(request.store_id, "42");
+});
+
+test("a missing token is rejected by the API, not retried", async () => {
+  // Empty strings rather than undefined, so PRINTFUL_API_TOKEN and PRINTFUL_STORE_ID don't fill in.
+  const { pf, trace } = client({ token: "", storeId: "" });
+  const res = await pf.getWebhooks();
+  assert.equal(res.status, 401);
+  assert.equal(res.attempts, 1);
+  assert.deepEqual(trace, []);
+  const [request] = await mockRequests();
+  assert.equal(request.authorization, null);
+  assert.equal(request.store_id, null);
+});
+
+test("a 5xx on createOrder is not retried", async () => {
+  await injectFault({ method: "POST", path: "/orders", status: 503, count: 1 });
+  const { pf, trace } = client();
+  const res = await pf.createOrder(draftOrder);
+  assert.equal(res.status, 503);
+  assert.equal(res.ok, false);
+  assert.equal(res.attempts, 1);
+  assert.deepEqual(trace, []);
+  const posts = (await mockRequests()).filter((r) => r.method === "POST" && r.path === "/orders");
+  assert.equal(posts.length, 1);
+});
+
+test("a 5xx on a GET is retried with growing backoff", async () => {
+  await injectFault({ method: "GET", path: "/products/variant/", status: 500, count: 2 });
+  const { pf, trace } = client();
+  const res = await pf.getCatalogVariant(4011);
+  assert.equal(res.ok, true);
+  assert.equal(res.attempts, 3);
+  assert.equal(res.payload.result.variant.id, 4011);
+
+  assert.equal(trace.length, 2);
+  for (const [i, entry] of trace.entries()) {
+    assert.equal(entry.type, "printful_api_retry");
+    assert.equal(entry.method, "GET");
+    assert.equal(entry.path, "/products/variant/4011");
+    assert.equal(entry.attempt, i + 1);
+    assert.equal(entry.response_status, 500);
+    assert.equal(entry.wait_source, "backoff");
+  }
+  // 50ms then 100ms, each with up to 20% jitter.
+  assert.ok(trace[0].wait_ms >= 50 && trace[0].wait_ms <= 60, `first wait ${trace[0].wait_ms}`);
+  assert.ok(trace[1].wait_ms >= 100 && trace[1].wait_ms <= 120, `second wait ${trace[1].wait_ms}`);
+  assert.equal((await mockRequests()).length, 3);
+});
+
+test("a 5xx on a GET gives up after PRINTFUL_API_MAX_RETRIES", async () => {
+  await injectFault({ method: "GET", path: "/orders/", status: 502, count: 10 });
+  const { pf, trace } = client();
+  const res = await pf.getOrder({ externalId: "T1001" });
+  assert.equal(res.status, 502);
+  assert.equal(res.attempts, 4);
+  assert.equal(trace.length, 3);
+});
+
+test("a 429 waits for Retry-After, even on createOrder", async () => {
+  await injectFault({ method: "POST", path: "/orders", status: 429, count: 1, retry_after: 1 });
+  const { pf, trace } = client();
+  const startedAt = Date.now();
+  const res = await pf.createOrder(draftOrder);
+  const elapsed = Date.now() - startedAt;
+  assert.equal(res.ok, true);
+  assert.equal(res.attempts, 2);
+  assert.ok(elapsed >= 1000, `retried after ${elapsed}ms`);
+
+  assert.deepEqual(trace, [{
+    type: "printful_api_retry",
+    method: "POST",
+    path: "/orders",
+    attempt: 1,
+    response_status: 429,
+    wait_ms: 1000,
+    wait_source: "retry_after",
+  }]);
+  const posts = (await mockRequests()).filter((r) => r.method === "POST" && r.path === "/orders");
+  assert.equal(posts.length, 2);
+});
+
+test("a 429 holds other requests too, and they trace the wait", async () => {
+  await injectFault({ method: "GET", path: "/webhooks", status: 429, count: 1, retry_after: 2 });
+  const { pf, trace } = client();
+  const callTrace = [];
+  const first = pf.getWebhooks();
+  await new Promise((resolve) => setTimeout(resolve, 200)); // the 429 has paused the bucket
+  // A per-call onTrace takes the place of the client's.
+  const second = pf.getFile(1, { onTrace: (e) => callTrace.push(e) });
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.equal(a.ok, true);
+  assert.equal(a.attempts, 2);
+  assert.equal(b.status, 404); // no such file, but only after the pause
+  assert.deepEqual(trace.map((e) => e.type), ["printful_api_retry"]);
+  assert.equal(callTrace.length, 1);
+  const [throttled] = callTrace;
+  assert.equal(throttled.type, "printful_api_throttled");
+  assert.equal(throttled.method, "GET");
+  assert.equal(throttled.path, "/files/1");
+  assert.ok(throttled.waited_ms >= 1000, `waited ${throttled.waited_ms}ms`);
+});
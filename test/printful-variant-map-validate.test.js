@@ -0,0 +1,68 @@
+// Runs the variant map validator against the recorded catalog in scripts/fixtures/catalog.
+// The fixture map (scripts/fixtures/variant-map.json) maps one Gildan 18500 color with a
+// color mismatch, an out-of-stock variant, a discontinued variant, a variant removed from the
+// catalog, a catalog size with no key, and a null tombstone.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+function validate(...args) {
+  const res = spawnSync(
+    process.execPath,
+    [
+      "scripts/printful-variant-map-validate.js",
+      "--source", "scripts/fixtures/variant-map.json",
+      "--fixtures", "scripts/fixtures/catalog",
+      ...args,
+    ],
+    { cwd: root, encoding: "utf8", env: { ...process.env, PRINTFUL_API_TOKEN: "" } }
+  );
+  return { status: res.status, stdout: res.stdout, stderr: res.stderr };
+}
+
+test("reports every catalog problem and exits nonzero", () => {
+  const { status, stdout } = validate("--json");
+  assert.equal(status, 1);
+  const report = JSON.parse(stdout);
+  assert.equal(report.errors, 3);
+  assert.equal(report.warnings, 2);
+  assert.equal(report.products.length, 1);
+
+  const [product] = report.products;
+  assert.equal(product.product_code, "G18500");
+  assert.equal(product.product_id, 146); // discovered from variant-5534.json
+  assert.equal(product.key_count, 6);
+  const findings = Object.fromEntries(product.findings.map((f) => [f.key, f]));
+  assert.deepEqual(Object.keys(findings).sort(), [
+    "G18500_BLACK_2XL",
+    "G18500_BLACK_3XL",
+    "G18500_BLACK_4XL",
+    "G18500_BLACK_M",
+    "G18500_BLACK_XL",
+  ]);
+  assert.equal(findings.G18500_BLACK_M.type, "mismatch");
+  assert.match(findings.G18500_BLACK_M.detail, /Navy \/ M \(G18500_NAVY_M\)/);
+  assert.equal(findings.G18500_BLACK_2XL.type, "discontinued");
+  assert.equal(findings.G18500_BLACK_3XL.type, "discontinued");
+  assert.match(findings.G18500_BLACK_3XL.detail, /no longer exists/);
+  assert.equal(findings.G18500_BLACK_XL.type, "out_of_stock");
+  assert.equal(findings.G18500_BLACK_4XL.type, "unmapped");
+  assert.equal(findings.G18500_BLACK_4XL.variant_id, 5536);
+});
+
+test("skips null tombstones", () => {
+  const { stdout } = validate("--json");
+  const keys = JSON.parse(stdout).products.flatMap((p) => p.findings.map((f) => f.key));
+  assert.ok(!keys.some((k) => k.startsWith("G18500_RED")));
+});
+
+test("warnings alone pass unless --strict", () => {
+  const ignore = ["--products", "G18500=146", "--ignore", "G18500_BLACK_M,G18500_BLACK_2XL,G18500_BLACK_3XL"];
+  const lenient = validate(...ignore);
+  assert.equal(lenient.status, 0, lenient.stdout + lenient.stderr);
+  assert.match(lenient.stdout, /0 error\(s\), 2 warning\(s\)/);
+  assert.equal(validate(...ignore, "--strict").status, 1);
+});
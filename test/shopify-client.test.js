@@ -0,0 +1,248 @@
+// Runs the Shopify Admin client (api/shopify-client.js) against a local mock that answers each
+// request with the next scripted reply. Every test uses its own shop, so the per-shop rate-limit
+// buckets don't carry over between tests.
+import test, { before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { createShopifyClient } from "../api/shopify-client.js";
+
+let server;
+let baseUrl;
+let replies = []; // { status, headers, body }, answered in order; then 200 {}
+let requests = [];
+
+Object.assign(process.env, {
+  SHOPIFY_API_MAX_RETRIES: "3",
+  SHOPIFY_API_RETRY_BASE_MS: "50",
+  SHOPIFY_API_RETRY_MAX_WAIT_MS: "5000",
+});
+delete process.env.SHOPIFY_FULFILLMENT_API;
+delete process.env.SHOPIFY_API_VERSION;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let text = "";
+    for await (const chunk of req) text += chunk;
+    requests.push({
+      method: req.method,
+      path: req.url,
+      token: req.headers["x-shopify-access-token"] || null,
+      body: text ? JSON.parse(text) : null,
+    });
+    const reply = replies.shift() || {};
+    res.writeHead(reply.status || 200, { "Content-Type": "application/json", ...reply.headers });
+    res.end(JSON.stringify(reply.body ?? {}));
+  });
+  server.listen(0);
+  await once(server, "listening");
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+});
+
+beforeEach(() => {
+  replies = [];
+  requests = [];
+});
+
+let shopCount = 0;
+function client() {
+  const trace = [];
+  shopCount += 1;
+  const shopify = createShopifyClient({ shop: `test-${shopCount}.myshopify.com`, token: "shpat_test", baseUrl, onTrace: (e) => trace.push(e) });
+  return { shopify, trace };
+}
+
+const throttleStatus = (currentlyAvailable) => ({ maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 });
+
+test("REST calls send the access token to the versioned admin path", async () => {
+  const { shopify } = client();
+  replies = [{ body: { order: { id: 7, tags: "" } } }];
+  const res = await shopify.getOrder(7, { fields: "id,tags" });
+  assert.equal(res.ok, true);
+  assert.equal(res.payload.order.id, 7);
+  assert.deepEqual(requests, [{ method: "GET", path: "/admin/api/2025-01/orders/7.json?fields=id%2Ctags", token: "shpat_test", body: null }]);
+});
+
+test("a REST 429 waits for Retry-After", async () => {
+  const { shopify, trace } = client();
+  replies = [
+    { status: 429, headers: { "Retry-After": "1" }, body: { errors: "Exceeded 2 calls per second for api client." } },
+    { body: { order: { id: 7 } } },
+  ];
+  const startedAt = Date.now();
+  const res = await shopify.updateOrder(7, { tags: "printful" });
+  const elapsed = Date.now() - startedAt;
+  assert.equal(res.ok, true);
+  assert.equal(res.attempts, 2);
+  assert.ok(elapsed >= 1000, `retried after ${elapsed}ms`);
+  assert.deepEqual(trace, [{
+    type: "shopify_api_retry",
+    method: "PUT",
+    path: "/orders/7.json",
+    attempt: 1,
+    response_status: 429,
+    wait_ms: 1000,
+    wait_source: "retry_after",
+  }]);
+  assert.equal(requests.length, 2);
+});
+
+test("REST calls are paced by the bucket Shopify reports", async () => {
+  const { shopify, trace } = client();
+  // A full 40-request bucket drains 2 a second, so the next request waits about 500ms.
+  replies = [{ headers: { "X-Shopify-Shop-Api-Call-Limit": "40/40" }, body: { product: { id: 1 } } }];
+  await shopify.getProduct(1);
+  const startedAt = Date.now();
+  const res = await shopify.getProduct(1);
+  const elapsed = Date.now() - startedAt;
+  assert.equal(res.ok, true);
+  assert.ok(elapsed >= 400 && elapsed < 1000, `waited ${elapsed}ms`);
+  assert.deepEqual(trace, []); // waits under a second aren't traced
+});
+
+test("a REST GET is retried after a 5xx, a POST is not", async () => {
+  const { shopify, trace } = client();
+  replies = [{ status: 502 }, { body: { product: { id: 1 } } }];
+  const read = await shopify.getProduct(1);
+  assert.equal(read.ok, true);
+  assert.equal(read.attempts, 2);
+  assert.equal(trace.length, 1);
+  assert.equal(trace[0].wait_source, "backoff");
+  assert.ok(trace[0].wait_ms >= 50 && trace[0].wait_ms <= 60, `waited ${trace[0].wait_ms}ms`);
+
+  replies = [{ status: 503 }];
+  requests = [];
+  const write = await shopify.rest("/orders/7/close.json", { method: "POST" });
+  assert.equal(write.status, 503);
+  assert.equal(write.attempts, 1);
+  assert.equal(requests.length, 1);
+});
+
+test("a THROTTLED GraphQL query waits until its cost is restored", async () => {
+  const { shopify, trace } = client();
+  replies = [
+    {
+      body: {
+        errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+        extensions: { cost: { requestedQueryCost: 520, actualQueryCost: null, throttleStatus: throttleStatus(470) } },
+      },
+    },
+    {
+      body: {
+        data: { order: { fulfillmentOrders: { nodes: [] } } },
+        extensions: { cost: { requestedQueryCost: 520, actualQueryCost: 12, throttleStatus: throttleStatus(988) } },
+      },
+    },
+  ];
+  const startedAt = Date.now();
+  const res = await shopify.getFulfillmentOrders(7);
+  const elapsed = Date.now() - startedAt;
+  assert.equal(res.ok, true);
+  assert.equal(res.attempts, 2);
+  // 50 points short at 50 a second.
+  assert.ok(elapsed >= 900, `retried after ${elapsed}ms`);
+  assert.deepEqual(trace, [{
+    type: "shopify_api_retry",
+    method: "POST",
+    path: "graphql:FulfillmentOrders",
+    attempt: 1,
+    response_status: 200,
+    wait_ms: 1000,
+    wait_source: "query_cost",
+  }]);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].path, "/admin/api/2025-01/graphql.json");
+});
+
+test("fulfillment orders come back in the REST shape", async () => {
+  const { shopify } = client();
+  replies = [{
+    body: {
+      data: {
+        order: {
+          fulfillmentOrders: {
+            nodes: [{
+              id: "gid://shopify/FulfillmentOrder/11",
+              status: "ON_HOLD",
+              lineItems: {
+                nodes: [{
+                  id: "gid://shopify/FulfillmentOrderLineItem/21",
+                  totalQuantity: 2,
+                  remainingQuantity: 1,
+                  lineItem: { id: "gid://shopify/LineItem/31" },
+                }],
+              },
+            }],
+          },
+        },
+      },
+      extensions: { cost: { requestedQueryCost: 520, actualQueryCost: 8, throttleStatus: throttleStatus(992) } },
+    },
+  }];
+  const res = await shopify.getFulfillmentOrders(7);
+  assert.equal(requests[0].body.variables.id, "gid://shopify/Order/7");
+  assert.deepEqual(res, {
+    status: 200,
+    ok: true,
+    payload: {
+      fulfillment_orders: [{
+        id: 11,
+        status: "on_hold",
+        line_items: [{ id: 21, line_item_id: 31, quantity: 2, fulfillable_quantity: 1 }],
+      }],
+    },
+    attempts: 1,
+  });
+
+  replies = [{ body: { data: { order: null } } }];
+  const missing = await shopify.getFulfillmentOrders(8);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.ok, false);
+});
+
+test("fulfillments come back in the REST shape", async () => {
+  const { shopify } = client();
+  const fulfillment = {
+    id: "gid://shopify/Fulfillment/41",
+    status: "SUCCESS",
+    trackingInfo: [
+      { number: "1Z999", company: "UPS", url: "https://ups.test/1Z999" },
+      { number: "1Z998", company: "UPS", url: null },
+    ],
+  };
+  replies = [{ body: { data: { order: { fulfillments: [fulfillment] } } } }];
+  const list = await shopify.listFulfillments(7);
+  assert.deepEqual(list.payload, {
+    fulfillments: [{
+      id: 41,
+      status: "success",
+      tracking_number: "1Z999",
+      tracking_numbers: ["1Z999", "1Z998"],
+      tracking_company: "UPS",
+      tracking_url: "https://ups.test/1Z999",
+    }],
+  });
+
+  requests = [];
+  replies = [{ body: { data: { fulfillmentCreateV2: { fulfillment, userErrors: [] } } } }];
+  const created = await shopify.createFulfillment({
+    lineItemsByFulfillmentOrder: [{ fulfillment_order_id: 11, fulfillment_order_line_items: [{ id: 21, quantity: 1 }] }],
+    tracking: { company: "UPS", number: "1Z999", url: "https://ups.test/1Z999" },
+  });
+  assert.equal(created.ok, true);
+  assert.equal(created.payload.fulfillment.id, 41);
+  assert.equal(created.payload.fulfillment.tracking_number, "1Z999");
+  assert.deepEqual(requests[0].body.variables.fulfillment.lineItemsByFulfillmentOrder, [{
+    fulfillmentOrderId: "gid://shopify/FulfillmentOrder/11",
+    fulfillmentOrderLineItems: [{ id: "gid://shopify/FulfillmentOrderLineItem/21", quantity: 1 }],
+  }]);
+
+  const userErrors = [{ field: ["fulfillment"], message: "Fulfillment order is closed" }];
+  replies = [{ body: { data: { fulfillmentCreateV2: { fulfillment: null, userErrors } } } }];
+  const rejected = await shopify.createFulfillment({ lineItemsByFulfillmentOrder: [{ fulfillment_order_id: 11 }], tracking: {} });
+  assert.deepEqual(rejected, { status: 422, ok: false, payload: { errors: userErrors }, attempts: 1 });
+});